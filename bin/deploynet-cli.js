@@ -3,6 +3,18 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const {
+  MANIFEST_FILENAME,
+  PUBLIC_KEY_FILE,
+  loadOrCreateSigningKey,
+  createDeployManifest,
+  writeManifest
+} = require('../lib/manifest.js');
+const { Seeder } = require('../lib/seeder.js');
+const { STATUS_REFRESH_INTERVAL, statsUrl, fetchSiteStats, formatStats } = require('../lib/status.js');
+
+// The modules client.js reads from window, in the order a page has to load them (see web/index.html)
+const CLIENT_MODULES = ['integrity.js', 'transfer.js', 'swarm.js', 'scoring.js', 'storage.js', 'eviction.js', 'http-cache.js', 'signaling.js', 'ice.js', 'reconnect.js', 'identity.js', 'site-token.js', 'rate-limit.js', 'content-index.js', 'peer-pool.js', 'heartbeat.js', 'telemetry.js', 'logger.js', 'interception.js'];
 
 class DeployNetCLI {
   constructor() {
@@ -11,6 +23,7 @@ class DeployNetCLI {
       'start': this.start.bind(this),
       'build': this.build.bind(this),
       'deploy': this.deploy.bind(this),
+      'seed': this.seed.bind(this),
       'status': this.status.bind(this),
       'help': this.help.bind(this)
     };
@@ -29,7 +42,7 @@ class DeployNetCLI {
     }
   }
 
-  init(args) {
+  async init(args) {
     console.log('🚀 Initializing DeployNet project...');
     
     const projectName = args[0] || 'my-deploynet-project';
@@ -50,18 +63,22 @@ class DeployNetCLI {
       fs.mkdirSync(path.join(projectPath, dir), { recursive: true });
     });
     
+    // Clients need the manifest public key, so the signing key pair is created up front
+    const { publicKey } = await loadOrCreateSigningKey(path.join(projectPath, 'config'));
+    
     // Create basic files
     const indexPath = path.join(projectPath, 'public', 'index.html');
     fs.writeFileSync(indexPath, `<!DOCTYPE html>
 <html>
 <head>
     <title>New DeployNet Site</title>
-    <script src="https://cdn.deploynet.io/client.js"></script>
+${[...CLIENT_MODULES, 'client.js'].map(file => `    <script src="https://cdn.deploynet.io/${file}"></script>`).join('\n')}
     <script>
         // Initialize DeployNet
         const deployNet = new DeployNetClient({
             signalingServer: 'wss://signaling.deploynet.io',
-            siteId: '${projectName}'
+            siteId: '${projectName}',
+            manifestPublicKey: ${JSON.stringify(publicKey)}
         });
         deployNet.initialize();
     </script>
@@ -81,6 +98,7 @@ class DeployNetCLI {
     }, null, 2));
 
     console.log(`✅ DeployNet project created at ${projectPath}`);
+    console.log('🔑 Keep config/manifest-key.json secret and out of version control: it signs your deploys');
     console.log('📋 Next steps:');
     console.log(`   1. cd ${projectName}`);
     console.log('   2. Place your static files in the public/ directory');
@@ -113,13 +131,17 @@ class DeployNetCLI {
     
     try {
       // In a real implementation, this would build the client bundle
-      // For now, we'll just copy the client file
+      // For now, we'll just copy the client file and the modules it loads
       const source = path.join(__dirname, 'web', 'client.js');
       const dest = path.join(process.cwd(), 'dist', 'deploynet-client.js');
+      const modules = [...CLIENT_MODULES, 'deploynet-sw.js'];
       
       if (fs.existsSync(source)) {
         fs.mkdirSync(path.dirname(dest), { recursive: true });
         fs.copyFileSync(source, dest);
+        modules.forEach(file => {
+          fs.copyFileSync(path.join(__dirname, 'web', file), path.join(path.dirname(dest), file));
+        });
         console.log('✅ Client built successfully');
       } else {
         console.error('❌ Source client file not found');
@@ -131,8 +153,11 @@ class DeployNetCLI {
     }
   }
 
-  deploy(args) {
-    console.log('🚀 Deploying to DeployNet...');
+  async deploy(args) {
+    const dryRun = args.includes('--dry-run');
+    const seed = !args.includes('--no-seed');
+    const metricsPort = this.optionValue(args, '--metrics-port');
+    console.log(dryRun ? '🔍 Planning deployment (dry run)...' : '🚀 Deploying to DeployNet...');
     
     // Check if we're in a DeployNet project
     if (!this.isDeployNetProject()) {
@@ -140,40 +165,187 @@ class DeployNetCLI {
       process.exit(1);
     }
     
-    const configPath = path.join(process.cwd(), 'config', 'deploynet.json');
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const configDir = path.join(process.cwd(), 'config');
+    const config = JSON.parse(fs.readFileSync(path.join(configDir, 'deploynet.json'), 'utf8'));
+    const publicDir = path.resolve(config.publicDir || 'public');
+    if (!fs.existsSync(publicDir)) {
+      console.error(`❌ Nothing to deploy: ${publicDir} does not exist`);
+      process.exit(1);
+    }
+    
+    // Peers ask for absolute URLs, so the seeder has to know where the site is served from
+    if (seed && !dryRun && !config.siteUrl) {
+      console.error('❌ Set "siteUrl" in config/deploynet.json to the address the site is served from, or pass --no-seed');
+      process.exit(1);
+    }
     
     console.log(`📝 Deploying site: ${config.siteId}`);
-    console.log(`📡 Signaling server: ${config.signalingServer}`);
-    
-    // Simulate deployment process
-    console.log('📦 Packaging assets...');
-    console.log('🌐 Connecting to peer network...');
-    console.log('⚡ Distributing content...');
-    
-    setTimeout(() => {
-      console.log('✅ Deployment successful!');
-      console.log(`🔗 Your site is now live on the DeployNet P2P CDN`);
-      console.log(`📊 Monitor at: https://dashboard.deploynet.io/sites/${config.siteId}`);
-    }, 2000);
+    
+    // A dry run only needs the diff, so it never creates a signing key
+    const keys = dryRun ? null : await loadOrCreateSigningKey(configDir);
+    const { manifest, previous, diff, changed } = await createDeployManifest(publicDir, {
+      siteId: config.siteId,
+      privateKey: keys && keys.privateKey,
+      pieceSize: config.pieceSize
+    });
+    this.printManifestDiff(previous, manifest, diff);
+    
+    if (dryRun) {
+      console.log(changed ? `Would publish manifest v${manifest.version}` : 'Nothing to publish');
+      return;
+    }
+    
+    if (keys.created) {
+      console.log('🔑 Generated a manifest signing key in config/. Configure clients with this manifestPublicKey:');
+      console.log(JSON.stringify(keys.publicKey));
+    }
+    const manifestPath = writeManifest(publicDir, manifest);
+    console.log(`📦 Wrote ${path.relative(process.cwd(), manifestPath)} (v${manifest.version}, ${Object.keys(manifest.files).length} files)`);
+    
+    if (!seed) {
+      return;
+    }
+    
+    console.log(`🌐 Seeding through ${config.signalingServer}...`);
+    const seeder = new Seeder({
+      siteId: config.siteId,
+      signalingServer: config.signalingServer,
+      siteUrl: config.siteUrl,
+      publicDir,
+      manifest,
+      publicKey: keys.publicKey,
+      metricsPort: metricsPort === undefined ? undefined : Number(metricsPort)
+    });
+    try {
+      await seeder.start();
+    } catch (error) {
+      console.error(`❌ Seeding failed: ${error.message}`);
+      seeder.stop();
+      process.exit(1);
+    }
+    
+    console.log('✅ Deployment successful! Serving assets to peers until stopped (Ctrl+C)');
+    if (seeder.metricsServer) {
+      const { address, port } = seeder.metricsServer.address();
+      console.log(`📈 Prometheus metrics at http://${address}:${port}/metrics`);
+    }
+    process.on('SIGINT', () => {
+      console.log('\n👋 Stopping seeder');
+      seeder.stop();
+      process.exit(0);
+    });
   }
 
-  status(args) {
-    console.log('📊 Checking DeployNet status...');
+  // Always-on seeder for servers: follows whatever the origin publishes, no project checkout needed
+  async seed(args) {
+    const config = this.isDeployNetProject()
+      ? JSON.parse(fs.readFileSync(path.join(process.cwd(), 'config', 'deploynet.json'), 'utf8'))
+      : {};
+    const siteId = this.optionValue(args, '--site') || config.siteId;
+    const signalingServer = this.optionValue(args, '--server') || config.signalingServer;
+    const siteUrl = this.optionValue(args, '--site-url') || config.siteUrl;
+    const publicKeyFile = path.resolve(this.optionValue(args, '--public-key') || path.join('config', PUBLIC_KEY_FILE));
+    const cacheDir = path.resolve(this.optionValue(args, '--cache-dir') || path.join('.deploynet', 'cache', siteId || ''));
+    const metricsPort = this.optionValue(args, '--metrics-port');
     
-    if (this.isDeployNetProject()) {
-      const configPath = path.join(process.cwd(), 'config', 'deploynet.json');
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      
-      console.log(`Site ID: ${config.siteId}`);
-      console.log(`Status: Active`);
-      console.log(`Peers: 42 online`);
-      console.log(`Cache Hit Rate: 78%`);
-      console.log(`Bandwidth Saved: 65%`);
-    } else {
+    if (!siteId || !signalingServer || !siteUrl) {
+      console.error('❌ Run inside a DeployNet project or pass --site, --server and --site-url');
+      process.exit(1);
+    }
+    if (!fs.existsSync(publicKeyFile)) {
+      console.error(`❌ No manifest public key at ${publicKeyFile}; pass --public-key <file> with the key printed by "deploynet deploy"`);
+      process.exit(1);
+    }
+    
+    console.log(`🌱 Seeding ${siteUrl} (${siteId}) through ${signalingServer}...`);
+    const seeder = new Seeder({
+      siteId,
+      signalingServer,
+      siteUrl,
+      publicKey: JSON.parse(fs.readFileSync(publicKeyFile, 'utf8')),
+      cacheDir,
+      metricsPort: metricsPort === undefined ? undefined : Number(metricsPort)
+    });
+    try {
+      await seeder.start();
+    } catch (error) {
+      console.error(`❌ Seeding failed: ${error.message}`);
+      seeder.stop();
+      process.exit(1);
+    }
+    
+    const stats = seeder.client.getStats();
+    console.log(`✅ Seeding manifest v${seeder.seededVersion} (${stats.cache.persistentEntries} files cached in ${cacheDir}) until stopped (Ctrl+C)`);
+    if (seeder.metricsServer) {
+      const { address, port } = seeder.metricsServer.address();
+      console.log(`📈 Prometheus metrics at http://${address}:${port}/metrics`);
+    }
+    process.on('SIGINT', () => {
+      console.log('\n👋 Stopping seeder');
+      seeder.stop();
+      process.exit(0);
+    });
+  }
+
+  printManifestDiff(previous, manifest, diff) {
+    if (!previous) {
+      console.log(`📋 First deploy: ${Object.keys(manifest.files).length} files`);
+      return;
+    }
+    
+    console.log(`📋 Changes since ${MANIFEST_FILENAME} v${previous.version}:`);
+    diff.added.forEach(assetPath => console.log(`  + ${assetPath}`));
+    diff.changed.forEach(assetPath => console.log(`  ~ ${assetPath}`));
+    diff.removed.forEach(assetPath => console.log(`  - ${assetPath}`));
+    console.log(`  ${diff.unchanged} unchanged`);
+  }
+
+  async status(args) {
+    const json = args.includes('--json');
+    const watch = args.includes('--watch');
+    const config = this.isDeployNetProject()
+      ? JSON.parse(fs.readFileSync(path.join(process.cwd(), 'config', 'deploynet.json'), 'utf8'))
+      : {};
+    const siteId = this.optionValue(args, '--site') || config.siteId;
+    const signalingServer = this.optionValue(args, '--server') || config.signalingServer;
+    
+    if (!siteId || !signalingServer) {
       console.log('Not in a DeployNet project directory');
-      console.log('Run "deploynet init" to create a new project');
+      console.log('Run "deploynet init" to create a new project, or pass --site and --server');
+      process.exit(1);
+    }
+    
+    const url = statsUrl(signalingServer, siteId);
+    const show = async () => {
+      try {
+        const stats = await fetchSiteStats(url);
+        if (json) {
+          // One object per line, so --watch output can be piped
+          console.log(JSON.stringify(stats, null, watch ? 0 : 2));
+        } else {
+          if (watch) {
+            console.clear();
+          }
+          console.log('📊 DeployNet status');
+          formatStats(stats).forEach(line => console.log(line));
+        }
+        return true;
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+      }
+    };
+    
+    if (!watch) {
+      if (!(await show())) {
+        process.exit(1);
+      }
+      return;
     }
+    
+    // Keep refreshing through errors: the hub may just be restarting
+    await show();
+    setInterval(show, STATUS_REFRESH_INTERVAL);
   }
 
   help(args) {
@@ -187,14 +359,31 @@ COMMANDS:
   init [name]     Create a new DeployNet project
   start          Start the local signaling server
   build          Build the client library
-  deploy         Deploy your site to DeployNet
-  status         Check deployment status
+  deploy         Sign a manifest for public/ and seed it to peers
+                 --dry-run              Show what changed since the last deploy
+                 --no-seed              Only write the manifest
+                 --metrics-port <port>  Serve Prometheus metrics from the seeder
+  seed           Keep seeding the site as it is deployed, from any server
+                 --site-url <url>       Where the site is served from
+                 --server <url>         Signaling server to join
+                 --site <id>            Site to seed
+                 --public-key <file>    Manifest public key (default: config/${PUBLIC_KEY_FILE})
+                 --cache-dir <dir>      Where assets are stored (default: .deploynet/cache/<site>)
+                 --metrics-port <port>  Serve Prometheus metrics
+  status         Show live peer and cache stats for the site
+                 --json          Print the raw stats
+                 --watch         Refresh every few seconds
+                 --server <url>  Query another signaling server, e.g. ws://localhost:8080
+                 --site <id>     Query another site
   help           Show this help message
 
 EXAMPLES:
   deploynet init my-website
   deploynet deploy
+  deploynet deploy --dry-run
+  deploynet seed --site-url https://example.com --site example --server wss://signal.example.com
   deploynet status
+  deploynet status --watch --server ws://localhost:8080
 
 For more information, visit: https://docs.deploynet.io/cli
     `);
@@ -209,6 +398,11 @@ For more information, visit: https://docs.deploynet.io/cli
     }
   }
 
+  optionValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  }
+
   isDeployNetProject() {
     return fs.existsSync(path.join(process.cwd(), 'config', 'deploynet.json'));
   }
@@ -13,7 +13,8 @@ import (
 )
 
 var (
-	addr = flag.String("addr", "localhost:8080", "http service address")
+	addr             = flag.String("addr", "localhost:8080", "http service address")
+	heartbeatTimeout = flag.Duration("heartbeat-timeout", 60*time.Second, "drop clients that send nothing for this long")
 )
 
 var upgrader = websocket.Upgrader{
@@ -33,14 +34,18 @@ const (
 	Register
 	Unregister
 	Broadcast
+	Telemetry
 )
 
+// SignalMessage is mirrored by web/signaling.js; keep the two in sync
 type SignalMessage struct {
+	Version   int             `json:"version"`
 	Type      MessageType     `json:"type"`
 	Payload   json.RawMessage `json:"payload"`
 	SenderID  string          `json:"sender_id"`
 	Timestamp time.Time       `json:"timestamp"`
 	RoomID    string          `json:"room_id"`
+	TargetID  string          `json:"target_id,omitempty"`
 }
 
 type Client struct {
@@ -57,6 +62,7 @@ type Hub struct {
 	Broadcast  chan SignalMessage
 	Register   chan *Client
 	Unregister chan *Client
+	Telemetry  *Telemetry
 	mu         sync.RWMutex
 }
 
@@ -67,6 +73,7 @@ func NewHub() *Hub {
 		Broadcast:  make(chan SignalMessage),
 		Register:   make(chan *Client),
 		Unregister: make(chan *Client),
+		Telemetry:  NewTelemetry(),
 	}
 }
 
@@ -75,6 +82,13 @@ func (h *Hub) Run() {
 		select {
 		case client := <-h.Register:
 			h.mu.Lock()
+			// A reconnecting client reuses its ID; the stale connection is replaced
+			if previous, ok := h.Clients[client.ID]; ok && previous != client {
+				if room, ok := h.Rooms[previous.RoomID]; ok {
+					delete(room, previous.ID)
+				}
+				close(previous.Send)
+			}
 			h.Clients[client.ID] = client
 			
 			// Create room if it doesn't exist
@@ -88,7 +102,8 @@ func (h *Hub) Run() {
 			
 		case client := <-h.Unregister:
 			h.mu.Lock()
-			if _, ok := h.Clients[client.ID]; ok {
+			// Only the current connection for an ID may unregister it
+			if current, ok := h.Clients[client.ID]; ok && current == client {
 				delete(h.Clients, client.ID)
 				if room, ok := h.Rooms[client.RoomID]; ok {
 					delete(room, client.ID)
@@ -97,19 +112,31 @@ func (h *Hub) Run() {
 					}
 				}
 				close(client.Send)
+				h.Telemetry.Forget(client.RoomID, client.ID)
 			}
 			h.mu.Unlock()
 			
 			log.Printf("Client %s unregistered", client.ID)
 			
 		case message := <-h.Broadcast:
+			// Receivers need the type and sender, not just the payload
+			data, err := json.Marshal(message)
+			if err != nil {
+				log.Printf("error marshaling message: %v", err)
+				continue
+			}
+
 			h.mu.RLock()
 			clientsInRoom, ok := h.Rooms[message.RoomID]
 			if ok {
 				for _, client := range clientsInRoom {
+					// Addressed messages (SDP and ICE) reach only their target
+					if message.TargetID != "" && client.ID != message.TargetID {
+						continue
+					}
 					if client.ID != message.SenderID {
 						select {
-						case client.Send <- message.Payload:
+						case client.Send <- data:
 						default:
 							// Remove client if send fails
 							h.Unregister <- client
@@ -128,6 +155,8 @@ func (c *Client) ReadPump(hub *Hub) {
 		c.Conn.Close()
 	}()
 
+	// Clients heartbeat well within the timeout, so a connection that goes quiet is dead
+	c.Conn.SetReadDeadline(time.Now().Add(*heartbeatTimeout))
 	for {
 		_, message, err := c.Conn.ReadMessage()
 		if err != nil {
@@ -136,6 +165,7 @@ func (c *Client) ReadPump(hub *Hub) {
 			}
 			break
 		}
+		c.Conn.SetReadDeadline(time.Now().Add(*heartbeatTimeout))
 
 		var signalMsg SignalMessage
 		if err := json.Unmarshal(message, &signalMsg); err != nil {
@@ -143,7 +173,33 @@ func (c *Client) ReadPump(hub *Hub) {
 			continue
 		}
 
+		// Heartbeats are answered by the hub rather than relayed to the room. The reply has
+		// no sender and goes through Run, which owns the Send channels.
+		if signalMsg.Type == Heartbeat {
+			hub.Broadcast <- SignalMessage{
+				Version:   signalMsg.Version,
+				Type:      Heartbeat,
+				Payload:   signalMsg.Payload,
+				Timestamp: time.Now(),
+				RoomID:    c.RoomID,
+				TargetID:  c.ID,
+			}
+			continue
+		}
+
+		// Telemetry is aggregated per room and never relayed
+		if signalMsg.Type == Telemetry {
+			var report TelemetryReport
+			if err := json.Unmarshal(signalMsg.Payload, &report); err != nil {
+				log.Printf("error unmarshaling telemetry: %v", err)
+				continue
+			}
+			hub.Telemetry.Record(c.RoomID, c.ID, report)
+			continue
+		}
+
 		signalMsg.SenderID = c.ID
+		signalMsg.RoomID = c.RoomID
 		hub.Broadcast <- signalMsg
 	}
 }
@@ -201,6 +257,25 @@ func serveWs(hub *Hub, w http.ResponseWriter, r *http.Request) {
 	client.ReadPump(hub)
 }
 
+// serveStats answers `GET /stats?site=<siteId>` with the aggregated telemetry of that site
+func serveStats(hub *Hub, w http.ResponseWriter, r *http.Request) {
+	siteID := r.URL.Query().Get("site")
+	if siteID == "" {
+		http.Error(w, "site query parameter is required", http.StatusBadRequest)
+		return
+	}
+
+	hub.mu.RLock()
+	online := len(hub.Rooms[siteID])
+	hub.mu.RUnlock()
+
+	w.Header().Set("Content-Type", "application/json")
+	w.Header().Set("Cache-Control", "no-store")
+	if err := json.NewEncoder(w).Encode(hub.Telemetry.Snapshot(siteID, online)); err != nil {
+		log.Printf("error writing stats: %v", err)
+	}
+}
+
 func generateClientID() string {
 	return fmt.Sprintf("%d", time.Now().UnixNano())
 }
@@ -214,6 +289,9 @@ func main() {
 	http.HandleFunc("/ws", func(w http.ResponseWriter, r *http.Request) {
 		serveWs(hub, w, r)
 	})
+	http.HandleFunc("/stats", func(w http.ResponseWriter, r *http.Request) {
+		serveStats(hub, w, r)
+	})
 
 	log.Printf("Starting signaling server on %s", *addr)
 	log.Fatal(http.ListenAndServe(*addr, nil))
@@ -0,0 +1,130 @@
+package main
+
+import (
+	"sync"
+	"time"
+)
+
+// TelemetryReport is what a client sends (see web/telemetry.js): counters since its last
+// report and the number of peers it currently has open channels to
+type TelemetryReport struct {
+	CacheHits       int64 `json:"cacheHits"`
+	PeerHits        int64 `json:"peerHits"`
+	OriginFallbacks int64 `json:"originFallbacks"`
+	CacheBytes      int64 `json:"cacheBytes"`
+	PeerBytes       int64 `json:"peerBytes"`
+	OriginBytes     int64 `json:"originBytes"`
+	ActivePeers     int   `json:"activePeers"`
+}
+
+// SiteStats is served by /stats and read by `deploynet status`
+type SiteStats struct {
+	SiteID          string     `json:"siteId"`
+	PeersOnline     int        `json:"peersOnline"`
+	ReportingPeers  int        `json:"reportingPeers"`
+	PeerConnections int        `json:"peerConnections"`
+	CacheHits       int64      `json:"cacheHits"`
+	PeerHits        int64      `json:"peerHits"`
+	OriginFallbacks int64      `json:"originFallbacks"`
+	CacheBytes      int64      `json:"cacheBytes"`
+	PeerBytes       int64      `json:"peerBytes"`
+	OriginBytes     int64      `json:"originBytes"`
+	HitRate         float64    `json:"hitRate"`         // Requests served without the origin
+	BandwidthSaved  float64    `json:"bandwidthSaved"`  // Share of bytes that didn't come from the origin
+	Since           *time.Time `json:"since,omitempty"` // Unset until the first report for the site
+	UpdatedAt       *time.Time `json:"updatedAt,omitempty"`
+}
+
+type siteTelemetry struct {
+	totals      TelemetryReport
+	activePeers map[string]int // Client ID -> last reported gauge, dropped when the client leaves
+	since       time.Time
+	updatedAt   time.Time
+}
+
+// Telemetry keeps per-site totals only; individual reports are not retained
+type Telemetry struct {
+	sites map[string]*siteTelemetry
+	mu    sync.Mutex
+}
+
+func NewTelemetry() *Telemetry {
+	return &Telemetry{sites: make(map[string]*siteTelemetry)}
+}
+
+func (t *Telemetry) site(roomID string) *siteTelemetry {
+	site, ok := t.sites[roomID]
+	if !ok {
+		site = &siteTelemetry{activePeers: make(map[string]int), since: time.Now()}
+		t.sites[roomID] = site
+	}
+	return site
+}
+
+func (t *Telemetry) Record(roomID, clientID string, report TelemetryReport) {
+	// Counters only ever grow; a negative value is a broken or hostile client
+	if report.CacheHits < 0 || report.PeerHits < 0 || report.OriginFallbacks < 0 ||
+		report.CacheBytes < 0 || report.PeerBytes < 0 || report.OriginBytes < 0 || report.ActivePeers < 0 {
+		return
+	}
+
+	t.mu.Lock()
+	defer t.mu.Unlock()
+
+	site := t.site(roomID)
+	site.totals.CacheHits += report.CacheHits
+	site.totals.PeerHits += report.PeerHits
+	site.totals.OriginFallbacks += report.OriginFallbacks
+	site.totals.CacheBytes += report.CacheBytes
+	site.totals.PeerBytes += report.PeerBytes
+	site.totals.OriginBytes += report.OriginBytes
+	site.activePeers[clientID] = report.ActivePeers
+	site.updatedAt = time.Now()
+}
+
+func (t *Telemetry) Forget(roomID, clientID string) {
+	t.mu.Lock()
+	defer t.mu.Unlock()
+
+	if site, ok := t.sites[roomID]; ok {
+		delete(site.activePeers, clientID)
+	}
+}
+
+func (t *Telemetry) Snapshot(roomID string, peersOnline int) SiteStats {
+	t.mu.Lock()
+	defer t.mu.Unlock()
+
+	stats := SiteStats{SiteID: roomID, PeersOnline: peersOnline}
+	site, ok := t.sites[roomID]
+	if !ok {
+		return stats
+	}
+
+	connections := 0
+	for _, count := range site.activePeers {
+		connections += count
+	}
+
+	totals := site.totals
+	stats.ReportingPeers = len(site.activePeers)
+	stats.PeerConnections = connections / 2 // Both ends report each connection
+	stats.CacheHits = totals.CacheHits
+	stats.PeerHits = totals.PeerHits
+	stats.OriginFallbacks = totals.OriginFallbacks
+	stats.CacheBytes = totals.CacheBytes
+	stats.PeerBytes = totals.PeerBytes
+	stats.OriginBytes = totals.OriginBytes
+	// Copies, since the snapshot is encoded after the lock is released
+	since, updatedAt := site.since, site.updatedAt
+	stats.Since = &since
+	stats.UpdatedAt = &updatedAt
+
+	if requests := totals.CacheHits + totals.PeerHits + totals.OriginFallbacks; requests > 0 {
+		stats.HitRate = float64(totals.CacheHits+totals.PeerHits) / float64(requests)
+	}
+	if bytes := totals.CacheBytes + totals.PeerBytes + totals.OriginBytes; bytes > 0 {
+		stats.BandwidthSaved = float64(totals.CacheBytes+totals.PeerBytes) / float64(bytes)
+	}
+	return stats
+}
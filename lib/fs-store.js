@@ -0,0 +1,110 @@
+// Persistent cache tier on disk, with the same interface as the IndexedDB PersistentStore in web/storage.js
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { toBytes } = require('../web/integrity.js');
+
+const BODY_SUFFIX = '.body';
+const METADATA_SUFFIX = '.json';
+
+class FileSystemStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  // URLs can be longer than a file name allows, so entries are named after their hash
+  entryPath(url, suffix) {
+    return path.join(this.directory, createHash('sha256').update(url).digest('hex') + suffix);
+  }
+
+  async open() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves half an entry behind
+  async writeAtomic(file, data) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, data);
+    await fs.promises.rename(temporary, file);
+  }
+
+  async put(url, content, metadata) {
+    await this.open();
+    // Strings come back as strings, like they would from IndexedDB
+    const encoding = typeof content === 'string' ? 'utf8' : null;
+    await this.writeAtomic(this.entryPath(url, BODY_SUFFIX), encoding ? content : toBytes(content));
+    await this.writeAtomic(this.entryPath(url, METADATA_SUFFIX), JSON.stringify({ url, encoding, metadata }));
+  }
+
+  async readRecord(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async get(url) {
+    const record = await this.readRecord(this.entryPath(url, METADATA_SUFFIX));
+    if (!record) {
+      return null;
+    }
+
+    try {
+      const body = await fs.promises.readFile(this.entryPath(url, BODY_SUFFIX));
+      return { content: record.encoding ? body.toString(record.encoding) : body, metadata: record.metadata };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async updateMetadata(url, metadata) {
+    const file = this.entryPath(url, METADATA_SUFFIX);
+    const record = await this.readRecord(file);
+    if (record) {
+      await this.writeAtomic(file, JSON.stringify({ ...record, metadata }));
+    }
+  }
+
+  async listMetadata() {
+    await this.open();
+    const records = [];
+    for (const name of await fs.promises.readdir(this.directory)) {
+      if (!name.endsWith(METADATA_SUFFIX)) {
+        continue;
+      }
+      const record = await this.readRecord(path.join(this.directory, name));
+      if (record) {
+        records.push({ url: record.url, metadata: record.metadata });
+      }
+    }
+    return records;
+  }
+
+  async delete(url) {
+    await fs.promises.rm(this.entryPath(url, METADATA_SUFFIX), { force: true });
+    await fs.promises.rm(this.entryPath(url, BODY_SUFFIX), { force: true });
+  }
+
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+    await this.open();
+  }
+
+  close() {}
+}
+
+module.exports = {
+  FileSystemStore
+};
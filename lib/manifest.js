@@ -0,0 +1,140 @@
+// Builds, signs and compares the content manifest for the files a site publishes
+
+const fs = require('fs');
+const path = require('path');
+const { createHash, webcrypto } = require('crypto');
+const { signManifest } = require('../web/integrity.js');
+
+const MANIFEST_FILENAME = 'deploynet-manifest.json';
+const DEFAULT_PIECE_SIZE = 256 * 1024; // Assets larger than this list a hash per piece for swarm downloads
+const SIGNING_KEY_FILE = 'manifest-key.json';
+const PUBLIC_KEY_FILE = 'manifest-public-key.json';
+
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+// Site paths ('/css/app.css') of every file under publicDir, skipping dotfiles and the manifest itself
+function collectAssets(publicDir, relative = '') {
+  const assets = [];
+  for (const dirent of fs.readdirSync(path.join(publicDir, relative), { withFileTypes: true })) {
+    if (dirent.name.startsWith('.')) {
+      continue;
+    }
+    const child = path.posix.join(relative, dirent.name);
+    if (dirent.isDirectory()) {
+      assets.push(...collectAssets(publicDir, child));
+    } else if (dirent.isFile() && child !== MANIFEST_FILENAME) {
+      assets.push({ path: `/${child}`, file: path.join(publicDir, child) });
+    }
+  }
+  return assets.sort((a, b) => (a.path < b.path ? -1 : 1));
+}
+
+function describeAsset(bytes, pieceSize) {
+  const entry = { sha256: sha256(bytes), size: bytes.length };
+  if (bytes.length > pieceSize) {
+    entry.pieceSize = pieceSize;
+    entry.pieces = [];
+    for (let start = 0; start < bytes.length; start += pieceSize) {
+      entry.pieces.push(sha256(bytes.subarray(start, start + pieceSize)));
+    }
+  }
+  return entry;
+}
+
+function buildManifest(publicDir, { siteId, version = 1, pieceSize = DEFAULT_PIECE_SIZE } = {}) {
+  const files = {};
+  for (const asset of collectAssets(publicDir)) {
+    files[asset.path] = describeAsset(fs.readFileSync(asset.file), pieceSize);
+  }
+  return { version, siteId, files };
+}
+
+function readManifest(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+function diffManifests(previous, next) {
+  const before = (previous && previous.files) || {};
+  const after = next.files;
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  for (const [assetPath, entry] of Object.entries(after)) {
+    if (!before[assetPath]) {
+      diff.added.push(assetPath);
+    } else if (before[assetPath].sha256 !== entry.sha256) {
+      diff.changed.push(assetPath);
+    } else {
+      diff.unchanged++;
+    }
+  }
+  diff.removed = Object.keys(before).filter(assetPath => !after[assetPath]);
+  return diff;
+}
+
+// The private key never leaves configDir; clients are configured with the public one
+async function loadOrCreateSigningKey(configDir) {
+  const keyFile = path.join(configDir, SIGNING_KEY_FILE);
+  const publicKeyFile = path.join(configDir, PUBLIC_KEY_FILE);
+  if (fs.existsSync(keyFile)) {
+    return {
+      privateKey: JSON.parse(fs.readFileSync(keyFile, 'utf8')),
+      publicKey: JSON.parse(fs.readFileSync(publicKeyFile, 'utf8')),
+      created: false
+    };
+  }
+
+  const keyPair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const privateKey = await webcrypto.subtle.exportKey('jwk', keyPair.privateKey);
+  const publicKey = await webcrypto.subtle.exportKey('jwk', keyPair.publicKey);
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(keyFile, JSON.stringify(privateKey, null, 2), { mode: 0o600 });
+  fs.writeFileSync(publicKeyFile, JSON.stringify(publicKey, null, 2));
+  return { privateKey, publicKey, created: true };
+}
+
+// The version only moves when the content does, so redeploying unchanged files is a no-op for clients
+async function createDeployManifest(publicDir, { siteId, privateKey, pieceSize } = {}) {
+  const previous = readManifest(path.join(publicDir, MANIFEST_FILENAME));
+  const draft = buildManifest(publicDir, { siteId, pieceSize, version: previous ? previous.version : 1 });
+  const diff = diffManifests(previous, draft);
+  const changed = !previous || previous.siteId !== siteId ||
+    diff.added.length + diff.changed.length + diff.removed.length > 0;
+  if (previous && changed) {
+    draft.version = previous.version + 1;
+  }
+
+  return {
+    previous,
+    diff,
+    changed,
+    manifest: privateKey ? await signManifest(draft, privateKey) : draft
+  };
+}
+
+function writeManifest(publicDir, manifest) {
+  const file = path.join(publicDir, MANIFEST_FILENAME);
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  PUBLIC_KEY_FILE,
+  DEFAULT_PIECE_SIZE,
+  collectAssets,
+  buildManifest,
+  readManifest,
+  diffManifests,
+  loadOrCreateSigningKey,
+  createDeployManifest,
+  writeManifest
+};
@@ -0,0 +1,44 @@
+// Runs DeployNetClient outside the browser: ws for signaling, a Node WebRTC package and an on-disk cache
+
+const WebSocket = require('ws');
+const DeployNetClient = require('../web/client.js');
+const { FileSystemStore } = require('./fs-store.js');
+
+// Node has no WebRTC of its own; use whichever implementation is installed
+const WEBRTC_MODULES = ['@roamhq/wrtc', 'wrtc', 'node-datachannel/polyfill'];
+
+function loadWebRTC() {
+  for (const name of WEBRTC_MODULES) {
+    try {
+      return require(name);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+    }
+  }
+  throw new Error(`Peering from Node needs a WebRTC implementation. Install one of: ${WEBRTC_MODULES.join(', ')}`);
+}
+
+// A global RTCPeerConnection (a polyfill, or a fake in tests) wins over loading a package
+function resolvePeerConnection() {
+  return typeof RTCPeerConnection !== 'undefined' ? RTCPeerConnection : loadWebRTC().RTCPeerConnection;
+}
+
+// cacheDir keeps the cache across restarts; without it everything is held in memory
+function createNodeClient({ cacheDir, ...config } = {}) {
+  return new DeployNetClient({
+    interceptionMode: 'none', // There is no page whose requests could be intercepted
+    ...config,
+    WebSocket: config.WebSocket || WebSocket,
+    RTCPeerConnection: config.RTCPeerConnection || resolvePeerConnection(),
+    persistentCache: Boolean(cacheDir || config.persistentStore),
+    persistentStore: config.persistentStore || (cacheDir ? new FileSystemStore(cacheDir) : null)
+  });
+}
+
+module.exports = {
+  WEBRTC_MODULES,
+  loadWebRTC,
+  createNodeClient
+};
@@ -0,0 +1,69 @@
+// Renders DeployNetClient#getStats() in the Prometheus text exposition format
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatPrometheus(stats) {
+  const lines = [];
+  const site = { site: stats.siteId };
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP deploynet_${name} ${help}`, `# TYPE deploynet_${name} ${type}`);
+    for (const [labels, value] of samples) {
+      // Unknown values (an RTT not measured yet) are left out rather than reported as zero
+      if (value !== null && value !== undefined) {
+        lines.push(`deploynet_${name}${formatLabels({ ...site, ...labels })} ${value}`);
+      }
+    }
+  };
+  const seconds = ms => (ms === null || ms === undefined ? null : ms / 1000);
+  const { requests, bytes, cache, pool, rateLimits, signaling } = stats;
+
+  metric('requests_served_total', 'counter', 'Responses served, by where they came from',
+    ['cache', 'peer', 'swarm', 'origin'].map(source => [{ source }, requests[source]]));
+  metric('bytes_served_total', 'counter', 'Bytes served, by where they came from',
+    ['cache', 'peer', 'origin'].map(source => [{ source }, bytes[source]]));
+  metric('hit_ratio', 'gauge', 'Share of responses served without the origin', [[{}, stats.hitRatio]]);
+  metric('integrity_failures_total', 'counter', 'Content that did not match the manifest',
+    [[{}, stats.integrityFailures]]);
+
+  metric('cache_entries', 'gauge', 'Entries in the content cache', [
+    [{ tier: 'memory' }, cache.entries],
+    [{ tier: 'persistent' }, cache.persistentEntries]
+  ]);
+  metric('cache_bytes', 'gauge', 'Bytes held in the content cache', [
+    [{ tier: 'memory' }, cache.memoryBytes],
+    [{ tier: 'persistent' }, cache.persistentBytes]
+  ]);
+  metric('cache_evictions_total', 'counter', 'Entries evicted from the content cache', [[{}, cache.evictions]]);
+
+  metric('peers_connected', 'gauge', 'Peers with an open data channel', [[{}, pool.connected]]);
+  metric('peers_known', 'gauge', 'Peers discovered in the site\'s room', [[{}, pool.knownPeers]]);
+  metric('peer_rtt_seconds', 'gauge', 'Round-trip time to each peer',
+    stats.peers.map(peer => [{ peer: peer.peerId }, seconds(peer.rtt)]));
+  metric('peer_score', 'gauge', 'Selection score of each peer', stats.peers.map(peer => [{ peer: peer.peerId }, peer.score]));
+  metric('upload_bytes_total', 'counter', 'Bytes uploaded to peers', [[{}, rateLimits.upload.sessionBytes]]);
+  metric('peer_requests_rejected_total', 'counter', 'Peer requests refused by rate limits', [
+    [{ reason: 'rate' }, rateLimits.requestsRejected],
+    [{ reason: 'upload_budget' }, rateLimits.uploadsRefused]
+  ]);
+
+  metric('signaling_connected', 'gauge', 'Whether the signaling connection is up',
+    [[{}, signaling.state === 'connected' ? 1 : 0]]);
+  metric('signaling_rtt_seconds', 'gauge', 'Heartbeat round-trip time to the signaling server',
+    [[{}, seconds(signaling.rtt)]]);
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  formatPrometheus
+};
@@ -0,0 +1,200 @@
+// Headless peer that joins a site's room and serves the files of the current deploy
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ContentManifest } = require('../web/integrity.js');
+const { MANIFEST_FILENAME } = require('./manifest.js');
+const { createNodeClient, loadWebRTC } = require('./node-runtime.js');
+const { PROMETHEUS_CONTENT_TYPE, formatPrometheus } = require('./prometheus.js');
+
+const SEED_MAX_AGE = 300; // Seconds peers may treat seeded content as fresh before asking again
+const SEED_CACHE_SIZE = 1024 * 1024 * 1024; // Disk quota when seeding into a cacheDir
+const MANIFEST_POLL_INTERVAL = 60000; // How often a seeder following the origin checks for a new deploy
+
+// Seeds either the files of a local deploy (publicDir + manifest) or whatever the origin serves,
+// following new deploys as their manifests appear
+class Seeder {
+  constructor(options) {
+    if (!options.siteUrl) {
+      throw new Error('A siteUrl is required so the seeder can match the URLs peers ask for');
+    }
+    this.options = { maxAge: SEED_MAX_AGE, manifestInterval: MANIFEST_POLL_INTERVAL, ...options };
+    this.manifestUrl = new URL(`/${MANIFEST_FILENAME}`, options.siteUrl).href;
+    this.client = null;
+    this.seededVersion = null;
+    this.updating = false;
+    this.refreshTimer = null;
+    this.manifestTimer = null;
+    this.metricsServer = null;
+  }
+
+  async start() {
+    const { cacheDir } = this.options;
+    const manifest = await this.loadManifest();
+
+    // Without a cacheDir everything is held in memory, so size the cache to the deploy
+    const deploySize = [...manifest.entries.values()].reduce((sum, entry) => sum + entry.size, 0) + 1;
+    this.client = createNodeClient({
+      retryAttempts: Infinity, // A seeder keeps trying however long the hub is away
+      uploadBudgetPerSession: Infinity, // Serving peers is the whole point of running one
+      uploadBudgetPerHour: Infinity,
+      ...this.options.clientConfig,
+      signalingServer: this.options.signalingServer,
+      siteId: this.options.siteId,
+      siteUrl: this.options.siteUrl,
+      manifestPublicKey: this.options.publicKey,
+      cacheSize: cacheDir ? this.options.cacheSize || SEED_CACHE_SIZE : deploySize,
+      memoryCacheSize: cacheDir ? this.options.clientConfig?.memoryCacheSize : deploySize,
+      cacheDir,
+      WebSocket: this.options.WebSocket,
+      RTCPeerConnection: this.options.RTCPeerConnection
+    });
+
+    await this.client.setupIdentity();
+    this.client.manifest = manifest;
+    await this.client.restoreCache();
+    await this.seedContent();
+
+    await this.client.setupIceServers();
+    await this.client.setupSignalingConnection();
+    await this.client.setupWebRTC();
+    await this.client.registerWithNetwork();
+    this.client.setupPeerPool();
+
+    // The deploy stays current for as long as we run, so keep our copies fresh
+    this.refreshTimer = setInterval(() => this.refreshFreshness(), this.options.maxAge * 1000 / 2);
+    if (!this.options.manifest) {
+      this.manifestTimer = setInterval(() => this.checkForUpdate(), this.options.manifestInterval);
+    }
+
+    if (this.options.metricsPort !== undefined) {
+      await this.serveMetrics(this.options.metricsPort, this.options.metricsHost);
+    }
+    return this.client;
+  }
+
+  async loadManifest() {
+    let data = this.options.manifest;
+    if (!data) {
+      const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${this.manifestUrl}: ${response.status}`);
+      }
+      data = await response.json();
+    }
+    return ContentManifest.load(data, this.options.publicKey, this.manifestUrl);
+  }
+
+  // Swaps in a newer manifest from the origin; a failed update is retried on the next poll
+  async checkForUpdate() {
+    if (this.updating) {
+      return false;
+    }
+
+    this.updating = true;
+    try {
+      const manifest = await this.loadManifest();
+      if (manifest.version === this.seededVersion) {
+        return false;
+      }
+
+      this.client.manifest = manifest;
+      await this.client.pruneCache();
+      await this.seedContent();
+      this.client.logger.info(`Seeding manifest v${manifest.version}`);
+      return true;
+    } catch (error) {
+      this.client.logger.warn('Failed to update to the latest deploy:', error);
+      return false;
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  // Exposes getStats() at /metrics for Prometheus to scrape
+  serveMetrics(port, host = '127.0.0.1') {
+    this.metricsServer = http.createServer((request, response) => {
+      if (request.method !== 'GET' || new URL(request.url, 'http://localhost').pathname !== '/metrics') {
+        response.writeHead(404).end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+      response.end(formatPrometheus(this.client.getStats()));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.metricsServer.once('error', reject);
+      this.metricsServer.listen(port, host, () => resolve(this.metricsServer.address()));
+    });
+  }
+
+  async seedContent() {
+    const { manifest } = this.client;
+    for (const [url, entry] of manifest.entries) {
+      // Already on disk from an earlier run
+      const cached = this.client.cache.getMetadata(url);
+      if (cached && cached.sha256 === entry.sha256) {
+        continue;
+      }
+
+      const content = await this.readAsset(url);
+      if (!(await manifest.verify(url, content))) {
+        throw new Error(this.options.publicDir
+          ? `${new URL(url).pathname} changed since the manifest was built; deploy again`
+          : `${url} does not match manifest v${manifest.version}`);
+      }
+
+      await this.client.cache.store(url, content, this.client.getCacheMetadata(url, {
+        headers: {
+          'content-type': this.client.getContentType(url),
+          'cache-control': `public, max-age=${this.options.maxAge}`
+        },
+        freshUntil: Date.now() + this.options.maxAge * 1000
+      }));
+    }
+
+    this.seededVersion = manifest.version;
+    await this.refreshFreshness();
+  }
+
+  async readAsset(url) {
+    if (this.options.publicDir) {
+      return fs.readFileSync(path.join(this.options.publicDir, decodeURIComponent(new URL(url).pathname)));
+    }
+
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  refreshFreshness() {
+    const freshUntil = Date.now() + this.options.maxAge * 1000;
+    return Promise.all(this.client.cache.keys().map(url => this.client.cache.updateMetadata(url, { freshUntil })));
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.manifestTimer);
+    this.refreshTimer = null;
+    this.manifestTimer = null;
+    if (this.metricsServer) {
+      this.metricsServer.close();
+      this.metricsServer = null;
+    }
+    if (this.client) {
+      [...this.client.peerConnections.keys()].forEach(peerId => this.client.cleanupPeerConnection(peerId));
+      this.client.disconnect();
+    }
+  }
+}
+
+module.exports = {
+  SEED_MAX_AGE,
+  SEED_CACHE_SIZE,
+  MANIFEST_POLL_INTERVAL,
+  Seeder,
+  loadWebRTC
+};
@@ -0,0 +1,69 @@
+// Reads a site's aggregated telemetry from the signaling hub for `deploynet status`
+
+const STATUS_REFRESH_INTERVAL = 5000; // --watch
+const STATUS_REQUEST_TIMEOUT = 5000;
+
+// The hub serves /stats next to /ws, so the client's signalingServer setting works as is
+function statsUrl(signalingServer, siteId) {
+  const base = signalingServer.replace(/^ws(s?):/, 'http$1:').replace(/\/+$/, '');
+  return `${base}/stats?site=${encodeURIComponent(siteId)}`;
+}
+
+async function fetchSiteStats(url, { timeout = STATUS_REQUEST_TIMEOUT } = {}) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+  } catch (error) {
+    throw new Error(`Could not reach ${url}: ${error.cause ? error.cause.message : error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}`);
+  }
+  return response.json();
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function formatStats(stats) {
+  const requests = stats.cacheHits + stats.peerHits + stats.originFallbacks;
+  const totalBytes = stats.cacheBytes + stats.peerBytes + stats.originBytes;
+  const lines = [
+    `Site ID: ${stats.siteId}`,
+    `Status: ${stats.peersOnline > 0 ? 'Active' : 'No peers online'}`,
+    `Peers: ${stats.peersOnline} online, ${stats.peerConnections} peer connections`
+  ];
+
+  if (!stats.updatedAt) {
+    lines.push('No telemetry reported yet');
+    return lines;
+  }
+
+  lines.push(
+    `Requests: ${requests} (${stats.cacheHits} cache, ${stats.peerHits} peers, ${stats.originFallbacks} origin)`,
+    `Cache Hit Rate: ${formatPercent(stats.hitRate)}`,
+    `Bandwidth Saved: ${formatPercent(stats.bandwidthSaved)} (${formatBytes(stats.cacheBytes + stats.peerBytes)} of ${formatBytes(totalBytes)})`,
+    `Last report: ${new Date(stats.updatedAt).toLocaleString()}`
+  );
+  return lines;
+}
+
+module.exports = {
+  STATUS_REFRESH_INTERVAL,
+  statsUrl,
+  fetchSiteStats,
+  formatBytes,
+  formatStats
+};
@@ -1,4 +1,5 @@
-const DeployNetClient = require('./web/client.js');
+const DeployNetClient = require('../web/client.js');
+const { ContentManifest, sha256Hex, signManifest } = require('../web/integrity.js');
 
 // Basic tests for DeployNet client
 describe('DeployNet Client', () => {
@@ -35,6 +36,75 @@ describe('DeployNet Client', () => {
   });
 });
 
+describe('DeployNet Client integrity', () => {
+  const content = 'body { color: red; }';
+
+  async function createClientWithManifest() {
+    const keyPair = await crypto.subtle.generateKey(
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['sign', 'verify']
+    );
+    const manifest = await signManifest({
+      version: 1,
+      siteId: 'test-site',
+      files: { '/style.css': { sha256: await sha256Hex(content), size: content.length } }
+    }, keyPair.privateKey);
+
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      maxIntegrityFailures: 2
+    });
+    client.manifest = await ContentManifest.load(
+      manifest,
+      keyPair.publicKey,
+      'https://example.com/deploynet-manifest.json'
+    );
+    client.peers.set('peer-a', {});
+    client.transferSessions.set('peer-a', { close: jest.fn() });
+    return client;
+  }
+
+  test('should accept peer content matching the manifest', async () => {
+    const client = await createClientWithManifest();
+    const httpMeta = { headers: {}, freshUntil: Date.now() + 60000 };
+    client.requestContentFromPeer = jest.fn(async (peerId) => ({ content, peerId, httpMeta }));
+
+    const response = await client.requestFromPeers('/style.css');
+
+    expect(response).toEqual({ content, peerId: 'peer-a', httpMeta });
+  });
+
+  test('should not ask peers for content missing from the manifest', async () => {
+    const client = await createClientWithManifest();
+    client.requestContentFromPeer = jest.fn();
+
+    expect(await client.requestFromPeers('/unlisted.css')).toBeNull();
+    expect(client.requestContentFromPeer).not.toHaveBeenCalled();
+  });
+
+  test('should reject and ban peers that send mismatched content', async () => {
+    const client = await createClientWithManifest();
+    client.requestContentFromPeer = jest.fn(async (peerId) => ({
+      content: 'body { color: blue; }',
+      peerId,
+      httpMeta: { headers: {}, freshUntil: Date.now() + 60000 }
+    }));
+
+    expect(await client.requestFromPeers('/style.css')).toBeNull();
+    expect(client.peerOffenses.get('peer-a').integrityFailures).toBe(1);
+    expect(client.isPeerBanned('peer-a')).toBe(false);
+
+    expect(await client.requestFromPeers('/style.css')).toBeNull();
+    expect(client.isPeerBanned('peer-a')).toBe(true);
+    expect(client.getRateLimitStats().bannedPeers).toEqual([
+      expect.objectContaining({ peerId: 'peer-a', reason: 'integrityFailures' })
+    ]);
+    expect(client.peers.has('peer-a')).toBe(false);
+  });
+});
+
 // Mock WebSocket for testing
 global.WebSocket = class MockWebSocket {
   constructor(url) {
@@ -0,0 +1,183 @@
+const { createHash } = require('crypto');
+const DeployNetClient = require('../web/client.js');
+const { HashRing, ContentIndex } = require('../web/content-index.js');
+const { settle, MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+const url = 'https://example.com/app.js';
+const body = 'console.log("indexed")';
+const hash = createHash('sha256').update(body).digest('hex');
+
+function createClient(hub, clientId) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://hub.test',
+    siteId: 'demo-site',
+    persistentCache: false,
+    WebSocket: hub.WebSocket
+  });
+  client.clientId = clientId;
+  client.manifest = {
+    getEntry: () => ({ sha256: hash, size: body.length }),
+    has: () => true,
+    verify: async (_, content) => content.byteLength === body.length
+  };
+  return client;
+}
+
+async function buildTopology(ids, links) {
+  const hub = new MockHub();
+  const clients = {};
+  for (const id of ids) {
+    clients[id] = createClient(hub, id);
+    await clients[id].setupSignalingConnection();
+  }
+  for (const [from, to] of links) {
+    clients[from].peers.set(to, {});
+    clients[to].peers.set(from, {});
+    clients[from].initiatePeerConnection(to);
+    await settle();
+  }
+  return clients;
+}
+
+async function storeContent(client) {
+  await client.cache.store(url, body, client.getCacheMetadata(url, { freshUntil: Date.now() + 60000 }));
+  await settle();
+}
+
+const listedHolders = clients => Object.values(clients).flatMap(client => client.contentIndex.getHolders(hash));
+
+describe('Consistent hash ring', () => {
+  test('should return distinct owners and only move the keys of a removed node', () => {
+    const ring = new HashRing();
+    ['a', 'b', 'c', 'd'].forEach(id => ring.add(id));
+    const keys = Array.from({ length: 200 }, (_, i) => `key-${i}`);
+    const before = new Map(keys.map(key => [key, ring.lookup(key)[0]]));
+
+    expect(ring.lookup('key-1', 3)).toHaveLength(3);
+    expect(new Set(ring.lookup('key-1', 10)).size).toBe(4);
+    expect(new Set(before.values()).size).toBe(4);
+
+    ring.remove('c');
+    for (const key of keys) {
+      if (before.get(key) !== 'c') {
+        expect(ring.lookup(key)[0]).toBe(before.get(key));
+      }
+    }
+  });
+
+  test('should cap holders per hash and ignore anything that is not a content hash', () => {
+    const index = new ContentIndex({ maxHoldersPerHash: 2 });
+
+    expect(index.add(hash, 'a')).toBe(true);
+    expect(index.add(hash, 'b')).toBe(true);
+    expect(index.add(hash, 'c')).toBe(false);
+    expect(index.add('../etc/passwd', 'a')).toBe(false);
+
+    index.removeHolder('a');
+    expect(index.getHolders(hash)).toEqual(['b']);
+    index.remove(hash, 'b');
+    expect(index.size).toBe(0);
+  });
+});
+
+describe('Content index', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should emit store and evict events from the cache', async () => {
+    const client = createClient(new MockHub(), 'a');
+    const events = [];
+    client.cache.addListener('store', ({ url: stored }) => events.push(['store', stored]));
+    client.cache.addListener('evict', ({ url: evicted }) => events.push(['evict', evicted]));
+
+    await storeContent(client);
+    await client.cache.delete(url);
+
+    expect(events).toEqual([['store', url], ['evict', url]]);
+  });
+
+  test('should ask the announced holder first', async () => {
+    const clients = await buildTopology(['a', 'b', 'c'], [['a', 'b'], ['a', 'c'], ['b', 'c']]);
+    await storeContent(clients.c);
+    clients.a.peerScorer.recordTransfer('b', { ok: true, bytes: 1e6, duration: 10 });
+    const asked = jest.spyOn(clients.a, 'requestContentFromPeer');
+
+    const response = await clients.a.requestFromPeers(url);
+
+    expect(response.peerId).toBe('c');
+    expect(asked.mock.calls.map(([peerId]) => peerId)).toEqual(['c']);
+  });
+
+  test('should withdraw announcements when the content is evicted', async () => {
+    const clients = await buildTopology(['a', 'b', 'c'], [['a', 'b'], ['a', 'c'], ['b', 'c']]);
+    await storeContent(clients.c);
+    expect(listedHolders(clients)).toContain('c');
+
+    await clients.c.cache.delete(url);
+    await settle();
+
+    expect(listedHolders(clients)).not.toContain('c');
+  });
+
+  test('should announce held content to peers that join later', async () => {
+    const hub = new MockHub();
+    const a = createClient(hub, 'a');
+    const b = createClient(hub, 'b');
+    await a.setupSignalingConnection();
+    await b.setupSignalingConnection();
+    await storeContent(b);
+
+    a.peers.set('b', {});
+    b.peers.set('a', {});
+    a.initiatePeerConnection('b');
+    await settle();
+
+    // With two peers and two replicas both are index nodes for every hash
+    expect(a.contentIndex.getHolders(hash)).toEqual(['b']);
+  });
+
+  test('should forward through an index node to a holder the requester is not connected to', async () => {
+    const clients = await buildTopology(['a', 'b', 'c', 'd'], [['a', 'b'], ['b', 'c'], ['b', 'd']]);
+    await storeContent(clients.c);
+    // Without the index b would try its best-scored neighbor first
+    clients.b.peerScorer.recordTransfer('d', { ok: true, bytes: 1e6, duration: 10 });
+    const reachedD = jest.spyOn(clients.d, 'handleContentRequest');
+
+    const response = await clients.a.requestFromPeers(url);
+
+    expect(new TextDecoder().decode(response.content)).toBe(body);
+    expect(response.peerId).toBe('b');
+    expect(reachedD).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to scored peers when the holder announced to index nodes the requester does not use', async () => {
+    // Pick a neighbor for c that takes both of c's index slots, so b never hears about c's copy
+    const other = Array.from({ length: 100 }, (_, i) => `d${i}`).find(id => {
+      const ring = new HashRing();
+      ['b', 'c', id].forEach(node => ring.add(node));
+      return !ring.lookup(hash, 2).includes('b');
+    });
+    const clients = await buildTopology(['a', 'b', 'c', other], [['a', 'b'], ['b', 'c'], ['c', other]]);
+    await storeContent(clients.c);
+
+    // a ranks {a, b} and c ranks {b, c, other}: the two rings disagree on who indexes the hash
+    expect(clients.a.indexNodesFor(hash)).toContain('b');
+    expect(clients.c.indexNodesFor(hash)).not.toContain('b');
+    expect(clients.b.contentIndex.getHolders(hash)).toEqual([]);
+    expect(clients[other].contentIndex.getHolders(hash)).toEqual(['c']);
+    expect(await clients.a.locateContent(hash)).toEqual([]);
+
+    const response = await clients.a.requestFromPeers(url);
+
+    expect(new TextDecoder().decode(response.content)).toBe(body);
+    expect(response.peerId).toBe('b');
+  });
+});
@@ -0,0 +1,136 @@
+const {
+  LRUPolicy,
+  LFUPolicy,
+  ARCPolicy,
+  GreedyDualSizePolicy,
+  createEvictionPolicy
+} = require('../web/eviction.js');
+const DeployNetClient = require('../web/client.js');
+
+function drain(policy) {
+  const victims = [];
+  let victim;
+  while ((victim = policy.selectVictim()) !== null) {
+    victims.push(victim);
+  }
+  return victims;
+}
+
+describe('Eviction policies', () => {
+  test('LRU should evict the least recently used key first', () => {
+    const policy = new LRUPolicy();
+    ['a', 'b', 'c'].forEach(key => policy.insert(key, 1));
+    policy.access('a');
+
+    expect(drain(policy)).toEqual(['b', 'c', 'a']);
+  });
+
+  test('LFU should evict the least frequently used key, oldest first on ties', () => {
+    const policy = new LFUPolicy();
+    ['a', 'b', 'c'].forEach(key => policy.insert(key, 1));
+    policy.access('a');
+    policy.access('a');
+    policy.access('c');
+
+    expect(drain(policy)).toEqual(['b', 'c', 'a']);
+  });
+
+  test('LFU should skip buckets emptied by explicit removal', () => {
+    const policy = new LFUPolicy();
+    policy.insert('a', 1);
+    policy.insert('b', 1);
+    policy.access('b');
+    policy.remove('a');
+
+    expect(policy.selectVictim()).toBe('b');
+    expect(policy.selectVictim()).toBeNull();
+  });
+
+  test('ARC should protect entries seen twice from a scan', () => {
+    const policy = new ARCPolicy(4);
+    policy.insert('hot', 1);
+    policy.access('hot');
+    ['scan-1', 'scan-2', 'scan-3'].forEach(key => policy.insert(key, 1));
+
+    expect(policy.selectVictim()).toBe('scan-1');
+    expect(policy.selectVictim()).toBe('scan-2');
+  });
+
+  test('ARC should grow the recency target after a ghost hit', () => {
+    const policy = new ARCPolicy(2);
+    policy.insert('a', 1);
+    policy.insert('b', 1);
+    expect(policy.selectVictim()).toBe('a'); // 'a' moves to ghost list B1
+
+    policy.insert('a', 1);
+
+    expect(policy.p).toBeGreaterThan(0);
+    expect(policy.t2.has('a')).toBe(true);
+  });
+
+  test('GreedyDual-Size should evict large entries before small ones', () => {
+    const policy = new GreedyDualSizePolicy();
+    policy.insert('big', 1000);
+    policy.insert('small', 10);
+    policy.insert('medium', 100);
+
+    expect(drain(policy)).toEqual(['big', 'medium', 'small']);
+  });
+
+  test('GreedyDual-Size should age out entries that are not accessed', () => {
+    const policy = new GreedyDualSizePolicy();
+    policy.insert('stale', 10);
+    policy.insert('big', 20);
+    expect(policy.selectVictim()).toBe('big');
+
+    // Without inflation 'fresh' (1/12) would rank below 'stale' (1/10)
+    policy.insert('fresh', 12);
+    expect(policy.selectVictim()).toBe('stale');
+  });
+
+  test('should reject unknown policy names', () => {
+    expect(createEvictionPolicy('ARC', 10)).toBeInstanceOf(ARCPolicy);
+    expect(() => createEvictionPolicy('fifo')).toThrow('Unknown cache eviction policy: fifo');
+  });
+});
+
+describe('ContentCache eviction', () => {
+  function createCache(cachePolicy) {
+    return new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      cacheSize: 8,
+      persistentCache: false,
+      cachePolicy
+    }).cache;
+  }
+
+  test('should use the policy from the client config', () => {
+    expect(createCache('lfu').policy.name).toBe('lfu');
+    expect(createCache().policy.name).toBe('lru');
+  });
+
+  test('should stay within the memory quota and count hits, misses and evictions', async () => {
+    const cache = createCache('lfu');
+
+    await cache.store('/a.js', 'aaaa');
+    await cache.store('/b.js', 'bbbb');
+    await cache.lookup('/a.js');
+    await cache.store('/c.js', 'cccc');
+    await cache.lookup('/b.js');
+
+    expect(cache.currentSize).toBeLessThanOrEqual(8);
+    expect(cache.has('/a.js')).toBe(true);
+    expect(cache.has('/b.js')).toBe(false);
+
+    const stats = cache.getStats();
+    expect(stats).toEqual(expect.objectContaining({
+      hits: 1,
+      misses: 1,
+      evictions: 1,
+      bytesEvicted: 4,
+      policy: 'lfu'
+    }));
+    expect(stats.hitRatio).toBe(0.5);
+  });
+});
@@ -0,0 +1,97 @@
+const DeployNetClient = require('../web/client.js');
+const { settle, MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+const url = 'https://example.com/app.js';
+const body = 'console.log("relayed")';
+
+function createClient(hub, clientId, config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://hub.test',
+    siteId: 'demo-site',
+    persistentCache: false,
+    WebSocket: hub.WebSocket,
+    ...config
+  });
+  client.clientId = clientId;
+  client.manifest = { getEntry: () => null, has: () => true, verify: async (_, content) => content.byteLength === body.length };
+  return client;
+}
+
+// Connects only the listed pairs, so requests have to travel along them
+async function buildTopology(ids, links, config = {}) {
+  const hub = new MockHub();
+  const clients = {};
+  for (const id of ids) {
+    clients[id] = createClient(hub, id, config);
+    await clients[id].setupSignalingConnection();
+  }
+  for (const [from, to] of links) {
+    clients[from].peers.set(to, {});
+    clients[to].peers.set(from, {});
+    clients[from].initiatePeerConnection(to);
+    await settle();
+  }
+  return clients;
+}
+
+function storeContent(client) {
+  return client.cache.store(url, body, client.getCacheMetadata(url, { freshUntil: Date.now() + 60000 }));
+}
+
+describe('Request forwarding', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should relay content from a peer the requester is not connected to', async () => {
+    const { a, b, c } = await buildTopology(['a', 'b', 'c'], [['a', 'b'], ['b', 'c']]);
+    await storeContent(c);
+    const forwarded = jest.spyOn(c, 'handleContentRequest');
+
+    const response = await a.requestFromPeers(url);
+
+    expect(new TextDecoder().decode(response.content)).toBe(body);
+    expect(response.peerId).toBe('b');
+    expect(forwarded).toHaveBeenCalledWith('b', expect.objectContaining({ ttl: 1, requesterId: 'b' }));
+    expect(b.cache.has(url)).toBe(false);
+  });
+
+  test('should stop forwarding once the TTL runs out', async () => {
+    const { a, d } = await buildTopology(['a', 'b', 'c', 'd'], [['a', 'b'], ['b', 'c'], ['c', 'd']], { forwardTtl: 1 });
+    await storeContent(d);
+    const reached = jest.spyOn(d, 'handleContentRequest');
+
+    expect(await a.requestFromPeers(url)).toBeNull();
+    expect(reached).not.toHaveBeenCalled();
+  });
+
+  test('should not forward a request that has looped back', async () => {
+    const clients = await buildTopology(['a', 'b', 'c'], [['a', 'b'], ['b', 'c'], ['c', 'a']], { forwardTtl: 5 });
+    const handled = Object.values(clients).map(client => jest.spyOn(client, 'handleContentRequest'));
+    // a only knows b, so its request has to go round the triangle
+    clients.a.peers.delete('c');
+
+    await expect(clients.a.requestContentFromPeer('b', url)).rejects.toThrow('Peer could not serve request: notFound');
+
+    expect(handled.map(spy => spy.mock.calls.length)).toEqual([1, 1, 1]);
+    expect(console.log).toHaveBeenCalledWith(`Not forwarding looped request for ${url}`);
+  });
+
+  test('should cap the TTL a requester asks for at our own setting', async () => {
+    const { b } = await buildTopology(['a', 'b', 'c'], [['a', 'b'], ['b', 'c']], { forwardTtl: 1 });
+    const session = { sendMessage: jest.fn(), sendContent: jest.fn() };
+    b.transferSessions.set('a', session);
+    const request = jest.spyOn(b.transferSessions.get('c'), 'request');
+
+    await b.handleContentRequest('a', { requestId: 7, url, forwardId: 'f1', ttl: 10, timeout: 60000 });
+
+    expect(request).toHaveBeenCalledWith(expect.objectContaining({ ttl: 0, timeout: 8000 }), { timeout: 8000 });
+  });
+});
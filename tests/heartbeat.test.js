@@ -0,0 +1,118 @@
+const { Heartbeat } = require('../web/heartbeat.js');
+const DeployNetClient = require('../web/client.js');
+const { settle, MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Heartbeat', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should measure RTT from replies to its own pings only', () => {
+    const sent = [];
+    const onRtt = jest.fn();
+    const heartbeat = new Heartbeat({ interval: 1000, send: nonce => sent.push(nonce), onRtt });
+
+    heartbeat.ping();
+    jest.setSystemTime(40);
+
+    expect(heartbeat.handleReply('forged')).toBe(false);
+    expect(heartbeat.handleReply(sent[0])).toBe(true);
+    expect(heartbeat.handleReply(sent[0])).toBe(false);
+    expect(onRtt).toHaveBeenCalledWith(40);
+  });
+
+  test('should time out once the link has been silent too long', () => {
+    const onTimeout = jest.fn();
+    const heartbeat = new Heartbeat({ interval: 1000, timeout: 2500, send: () => true, onTimeout });
+    heartbeat.start();
+
+    jest.advanceTimersByTime(2000);
+    heartbeat.markAlive();
+    jest.advanceTimersByTime(2000);
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(heartbeat.running).toBe(false);
+  });
+});
+
+describe('DeployNet Client heartbeats', () => {
+  function createClient(hub, clientId, config = {}) {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://hub.test',
+      siteId: 'demo-site',
+      persistentCache: false,
+      WebSocket: hub.WebSocket,
+      ...config
+    });
+    client.clientId = clientId;
+    return client;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should measure signaling RTT from hub replies', async () => {
+    const hub = new MockHub();
+    const client = createClient(hub, 'a', { signalingHeartbeatInterval: 10 });
+    await client.setupSignalingConnection();
+
+    await wait(30);
+    await settle();
+
+    expect(client.signalingRtt).not.toBeNull();
+    expect(hub.deliveries).toEqual([]);
+    client.disconnect();
+  });
+
+  test('should reconnect when the hub stops answering heartbeats', async () => {
+    const hub = new MockHub();
+    const client = createClient(hub, 'a', { signalingHeartbeatInterval: 10, signalingHeartbeatTimeout: 30 });
+    const reconnecting = jest.fn();
+    client.addListener('reconnecting', reconnecting);
+    await client.setupSignalingConnection();
+    hub.route = () => {};
+
+    await wait(80);
+
+    expect(reconnecting).toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith('Signaling server stopped answering heartbeats, reconnecting');
+    client.disconnect();
+  });
+
+  test('should evict a peer that goes silent', async () => {
+    const hub = new MockHub();
+    const config = { peerHeartbeatInterval: 10, peerHeartbeatTimeout: 40 };
+    const a = createClient(hub, 'a', config);
+    const b = createClient(hub, 'b', config);
+    await a.setupSignalingConnection();
+    await b.setupSignalingConnection();
+    a.initiatePeerConnection('b');
+    await settle();
+    expect(a.transferSessions.has('b')).toBe(true);
+
+    // b stops sending anything at all, pongs included
+    b.peerHeartbeats.get('a').stop();
+    b.handlePeerMessage = jest.fn();
+    await wait(100);
+
+    expect(a.transferSessions.has('b')).toBe(false);
+    expect(a.peerConnections.has('b')).toBe(false);
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Peer b silent for \d+ms, closing connection$/));
+  });
+});
@@ -0,0 +1,257 @@
+// In-memory stand-ins for the signaling hub and WebRTC, so several clients can talk in one test
+
+const settle = async (rounds = 30) => {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+const HEARTBEAT = 4;
+const TELEMETRY = 8;
+
+// Routes messages the way cmd/signaling-server does: stamps sender/room, unicasts on target_id
+class MockHub {
+  constructor() {
+    this.sockets = new Map(); // clientId -> socket
+    this.deliveries = []; // { to, message }
+    this.telemetry = []; // { from, room, payload }
+    const hub = this;
+
+    this.WebSocket = class MockHubSocket {
+      constructor(url) {
+        const params = new URL(url).searchParams;
+        this.id = params.get('id');
+        this.room = params.get('room');
+        this.readyState = 0;
+        hub.sockets.set(this.id, this);
+        setImmediate(() => {
+          this.readyState = 1;
+          if (this.onopen) {
+            this.onopen();
+          }
+        });
+      }
+
+      send(data) {
+        hub.route(this, data);
+      }
+
+      close() {
+        hub.disconnect(this);
+      }
+    };
+  }
+
+  route(sender, data) {
+    const message = { ...JSON.parse(data), sender_id: sender.id, room_id: sender.room };
+    // The hub answers heartbeats itself instead of relaying them
+    if (message.type === HEARTBEAT) {
+      const reply = { ...message, sender_id: '', target_id: sender.id };
+      setImmediate(() => sender.onmessage && sender.onmessage({ data: JSON.stringify(reply) }));
+      return;
+    }
+    // Telemetry is collected by the hub, never relayed to the room
+    if (message.type === TELEMETRY) {
+      this.telemetry.push({ from: sender.id, room: sender.room, payload: message.payload });
+      return;
+    }
+    for (const socket of this.sockets.values()) {
+      if (socket === sender || socket.room !== sender.room) {
+        continue;
+      }
+      if (message.target_id && socket.id !== message.target_id) {
+        continue;
+      }
+      this.deliveries.push({ to: socket.id, message });
+      setImmediate(() => socket.onmessage && socket.onmessage({ data: JSON.stringify(message) }));
+    }
+  }
+
+  disconnect(socket) {
+    if (this.sockets.get(socket.id) === socket) {
+      this.sockets.delete(socket.id);
+    }
+    socket.readyState = 3;
+    if (socket.onclose) {
+      socket.onclose();
+    }
+  }
+}
+
+class FakeDataChannel extends EventTarget {
+  constructor(label) {
+    super();
+    this.label = label;
+    this.readyState = 'connecting';
+    this.bufferedAmount = 0;
+    this.bufferedAmountLowThreshold = 0;
+    this.remote = null;
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      throw new Error('Data channel is not open');
+    }
+    const remote = this.remote;
+    setImmediate(() => remote.readyState === 'open' && remote.onmessage && remote.onmessage({ data }));
+  }
+
+  open() {
+    this.readyState = 'open';
+    if (this.onopen) {
+      this.onopen();
+    }
+  }
+
+  close() {
+    if (this.readyState === 'closed') {
+      return;
+    }
+    this.readyState = 'closed';
+    this.dispatchEvent(new Event('close'));
+    if (this.onclose) {
+      this.onclose();
+    }
+    if (this.remote) {
+      this.remote.close();
+    }
+  }
+}
+
+// Implements the offer/answer state machine, including rollback, and connects the
+// two ends once an answer is applied. The SDP carries the connection's id and a DTLS fingerprint.
+class FakePeerConnection {
+  constructor(config) {
+    this.config = config;
+    this.id = FakePeerConnection.nextId++;
+    this.signalingState = 'stable';
+    this.connectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.channels = [];
+    this.candidates = [];
+    FakePeerConnection.instances.set(this.id, this);
+  }
+
+  async createOffer(options = {}) {
+    this.offerOptions = options;
+    return { type: 'offer', sdp: this.describe() };
+  }
+
+  async createAnswer() {
+    if (this.signalingState !== 'have-remote-offer') {
+      throw new Error('InvalidStateError: no remote offer');
+    }
+    return { type: 'answer', sdp: this.describe() };
+  }
+
+  describe() {
+    const fingerprint = (this.id % 256).toString(16).padStart(2, '0').toUpperCase();
+    return `fake ${this.id}\r\na=fingerprint:sha-256 ${Array(32).fill(fingerprint).join(':')}\r\n`;
+  }
+
+  async setLocalDescription(description) {
+    const next = { offer: ['stable', 'have-local-offer'], answer: ['have-remote-offer', 'stable'] }[description.type];
+    if (!next || this.signalingState !== next[0]) {
+      throw new Error(`InvalidStateError: cannot apply local ${description.type} in ${this.signalingState}`);
+    }
+    this.signalingState = next[1];
+    this.localDescription = description;
+    setImmediate(() => this.onicecandidate && this.onicecandidate({
+      candidate: { candidate: `candidate:${this.id} 1 udp 2122260223 10.0.0.${this.id} 5000 typ host`, sdpMid: '0', sdpMLineIndex: 0 }
+    }));
+  }
+
+  async setRemoteDescription(description) {
+    if (description.type === 'rollback') {
+      if (this.signalingState !== 'have-local-offer') {
+        throw new Error('InvalidStateError: nothing to roll back');
+      }
+      this.signalingState = 'stable';
+      this.localDescription = null;
+      return;
+    }
+
+    const next = { offer: ['stable', 'have-remote-offer'], answer: ['have-local-offer', 'stable'] }[description.type];
+    if (!next || this.signalingState !== next[0]) {
+      throw new Error(`InvalidStateError: cannot apply remote ${description.type} in ${this.signalingState}`);
+    }
+    this.signalingState = next[1];
+    this.remoteDescription = description;
+
+    if (description.type === 'answer') {
+      const remote = FakePeerConnection.instances.get(Number(/^fake (\d+)/.exec(description.sdp)[1]));
+      FakePeerConnection.link(this, remote);
+    }
+  }
+
+  async addIceCandidate(candidate) {
+    if (!this.remoteDescription) {
+      throw new Error('InvalidStateError: no remote description');
+    }
+    this.candidates.push(candidate);
+  }
+
+  createDataChannel(label) {
+    const channel = new FakeDataChannel(label);
+    this.channels.push(channel);
+    return channel;
+  }
+
+  close() {
+    this.connectionState = 'closed';
+    this.signalingState = 'closed';
+    this.channels.forEach(channel => channel.close());
+  }
+
+  setConfiguration(config) {
+    this.config = config;
+  }
+
+  // Reports a relayed route when the connection was told to use TURN only
+  async getStats() {
+    const candidateType = this.config && this.config.iceTransportPolicy === 'relay' ? 'relay' : 'host';
+    return new Map([
+      ['T1', { id: 'T1', type: 'transport', selectedCandidatePairId: 'CP1' }],
+      ['CP1', { id: 'CP1', type: 'candidate-pair', localCandidateId: 'L1', remoteCandidateId: 'R1', state: 'succeeded' }],
+      ['L1', { id: 'L1', type: 'local-candidate', candidateType, protocol: 'udp', address: `10.0.0.${this.id}` }],
+      ['R1', { id: 'R1', type: 'remote-candidate', candidateType: 'srflx', protocol: 'udp', address: '203.0.113.7' }]
+    ]);
+  }
+
+  setConnectionState(state) {
+    if (this.connectionState !== state) {
+      this.connectionState = state;
+      if (this.onconnectionstatechange) {
+        this.onconnectionstatechange();
+      }
+    }
+  }
+
+  static link(a, b) {
+    for (const [from, to] of [[a, b], [b, a]]) {
+      for (const channel of from.channels.filter(c => c.readyState === 'connecting' && !c.remote)) {
+        const counterpart = new FakeDataChannel(channel.label);
+        channel.remote = counterpart;
+        counterpart.remote = channel;
+        to.channels.push(counterpart);
+        if (to.ondatachannel) {
+          to.ondatachannel({ channel: counterpart });
+        }
+        channel.open();
+        counterpart.open();
+      }
+    }
+    a.setConnectionState('connected');
+    b.setConnectionState('connected');
+  }
+}
+FakePeerConnection.nextId = 1;
+FakePeerConnection.instances = new Map();
+
+module.exports = {
+  settle,
+  MockHub,
+  FakeDataChannel,
+  FakePeerConnection
+};
@@ -0,0 +1,226 @@
+const {
+  parseCacheControl,
+  describeResponse,
+  isFresh,
+  classifyResponse,
+  conditionalHeaders,
+  mergeRevalidation
+} = require('../web/http-cache.js');
+const DeployNetClient = require('../web/client.js');
+
+const NOW = Date.parse('Mon, 19 Oct 2026 12:00:00 GMT');
+
+describe('HTTP cache semantics', () => {
+  test('should parse Cache-Control directives', () => {
+    expect(parseCacheControl('public, max-age=600, no-transform, foo="bar"')).toEqual({
+      public: true,
+      'max-age': '600',
+      'no-transform': true,
+      foo: 'bar'
+    });
+  });
+
+  test('should derive freshness from max-age minus the current age', () => {
+    const meta = describeResponse({
+      'cache-control': 'max-age=60',
+      age: '20',
+      etag: '"v1"',
+      'set-cookie': 'session=secret'
+    }, NOW);
+
+    expect(meta.freshUntil).toBe(NOW + 40000);
+    expect(meta.etag).toBe('"v1"');
+    expect(meta.headers).not.toHaveProperty('set-cookie');
+  });
+
+  test('should fall back to Expires and then to the Last-Modified heuristic', () => {
+    const expiring = describeResponse({
+      date: 'Mon, 19 Oct 2026 12:00:00 GMT',
+      expires: 'Mon, 19 Oct 2026 12:05:00 GMT'
+    }, NOW);
+    expect(expiring.freshUntil).toBe(NOW + 5 * 60 * 1000);
+
+    const heuristic = describeResponse({
+      date: 'Mon, 19 Oct 2026 12:00:00 GMT',
+      'last-modified': 'Mon, 19 Oct 2026 02:00:00 GMT'
+    }, NOW);
+    expect(heuristic.freshUntil).toBe(NOW + 60 * 60 * 1000);
+
+    expect(isFresh(describeResponse({ expires: '0' }, NOW), NOW)).toBe(false);
+  });
+
+  test('should treat no-cache as always stale and flag no-store', () => {
+    const meta = describeResponse({ 'cache-control': 'no-cache, no-store, max-age=60' }, NOW);
+
+    expect(isFresh(meta, NOW)).toBe(false);
+    expect(meta.noStore).toBe(true);
+    expect(meta.mustRevalidate).toBe(true);
+  });
+
+  test('should build conditional headers and merge 304 responses', () => {
+    const stale = describeResponse({
+      'cache-control': 'max-age=60',
+      'content-type': 'text/css',
+      etag: '"v1"',
+      'last-modified': 'Mon, 19 Oct 2026 02:00:00 GMT'
+    }, NOW - 120000);
+
+    expect(conditionalHeaders(stale)).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 19 Oct 2026 02:00:00 GMT'
+    });
+    expect(conditionalHeaders({})).toBeNull();
+
+    const refreshed = mergeRevalidation(stale, { 'cache-control': 'max-age=300' }, NOW);
+    expect(refreshed.freshUntil).toBe(NOW + 300000);
+    expect(refreshed.etag).toBe('"v1"');
+    expect(refreshed.headers['content-type']).toBe('text/css');
+  });
+
+  test('should classify personal responses as unshareable', () => {
+    expect(classifyResponse({ 'cache-control': 'private, max-age=60' }).reason).toBe('private');
+    expect(classifyResponse({ 'set-cookie': 'session=secret' }).reason).toBe('set-cookie');
+    expect(classifyResponse({ vary: 'Accept-Encoding, Cookie' }).reason).toBe('vary');
+    expect(classifyResponse({ 'cache-control': 'max-age=60' }, { headers: { Authorization: 'Bearer abc' } }).reason).toBe('credentialed');
+    expect(classifyResponse({ 'cache-control': 'public, max-age=60' }, { credentials: 'include' }).shareable).toBe(true);
+    expect(classifyResponse({ 'cache-control': 'max-age=60', vary: 'Accept-Encoding' })).toEqual({ shareable: true, reason: null });
+  });
+});
+
+describe('DeployNet Client freshness', () => {
+  const url = 'https://example.com/style.css';
+  const body = 'body { color: red; }';
+
+  function createClient() {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      persistentCache: false
+    });
+    client.manifest = { getEntry: () => null, has: () => true };
+    client.validateContent = async () => true;
+    return client;
+  }
+
+  function storeEntry(client, httpMeta) {
+    return client.cache.store(url, body, client.getCacheMetadata(url, httpMeta));
+  }
+
+  test('should serve fresh entries with their original headers', async () => {
+    const client = createClient();
+    await storeEntry(client, describeResponse({
+      'cache-control': 'max-age=60',
+      'content-type': 'text/css; charset=utf-8',
+      etag: '"v1"'
+    }));
+    const originalFetch = jest.fn();
+
+    const response = await client.interceptRequest(url, {}, originalFetch);
+
+    expect(originalFetch).not.toHaveBeenCalled();
+    expect(response.headers.get('ETag')).toBe('"v1"');
+    expect(response.headers.get('Content-Type')).toBe('text/css; charset=utf-8');
+    expect(response.headers.get('Age')).toBe('0');
+    expect(response.headers.get('X-DeployNet-Source')).toBe('cache');
+  });
+
+  test('should revalidate stale entries and keep the body on 304', async () => {
+    const client = createClient();
+    await storeEntry(client, describeResponse({ 'cache-control': 'max-age=0', etag: '"v1"' }));
+    const originalFetch = jest.fn(async () => new Response(null, {
+      status: 304,
+      headers: { 'Cache-Control': 'max-age=60' }
+    }));
+
+    const response = await client.interceptRequest(url, {}, originalFetch);
+
+    expect(originalFetch).toHaveBeenCalledWith(url, { headers: { 'If-None-Match': '"v1"' } });
+    expect(await response.text()).toBe(body);
+    expect(isFresh(client.cache.getMetadata(url))).toBe(true);
+  });
+
+  test('should replace stale entries when the origin sends a new version', async () => {
+    const client = createClient();
+    await storeEntry(client, describeResponse({ 'cache-control': 'max-age=0', etag: '"v1"' }));
+    const originalFetch = jest.fn(async () => new Response('body { color: blue; }', {
+      status: 200,
+      headers: { 'Cache-Control': 'max-age=60', ETag: '"v2"' }
+    }));
+
+    const response = await client.interceptRequest(url, {}, originalFetch);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(await response.text()).toBe('body { color: blue; }');
+    expect(client.cache.getMetadata(url).etag).toBe('"v2"');
+  });
+
+  test('should not cache no-store responses', async () => {
+    const client = createClient();
+    const response = new Response(body, { headers: { 'Cache-Control': 'no-store' } });
+
+    await client.cacheOriginResponse(url, response);
+
+    expect(client.cache.has(url)).toBe(false);
+  });
+
+  test('should not cache private or credentialed responses', async () => {
+    const client = createClient();
+
+    await client.cacheOriginResponse(url, new Response(body, { headers: { 'Cache-Control': 'private, max-age=60' } }));
+    await client.cacheOriginResponse(url, new Response(body, { headers: { 'Cache-Control': 'max-age=60' } }), {
+      headers: { Authorization: 'Bearer abc' }
+    });
+
+    expect(client.cache.has(url)).toBe(false);
+  });
+
+  test('should drop entries the origin marks private on revalidation', async () => {
+    const client = createClient();
+    await storeEntry(client, describeResponse({ 'cache-control': 'max-age=0', etag: '"v1"' }));
+    const originalFetch = jest.fn(async () => new Response(null, {
+      status: 304,
+      headers: { 'Cache-Control': 'private, max-age=60' }
+    }));
+
+    const response = await client.interceptRequest(url, {}, originalFetch);
+
+    expect(await response.text()).toBe(body);
+    expect(client.cache.has(url)).toBe(false);
+  });
+
+  test('should reject stale copies offered by peers', async () => {
+    const client = createClient();
+    client.peers.set('peer-a', {});
+    client.requestContentFromPeer = jest.fn(async (peerId) => ({
+      content: body,
+      peerId,
+      httpMeta: client.describePeerResponse({ headers: { etag: '"v1"' }, freshFor: 0 })
+    }));
+
+    expect(await client.requestFromPeers(url)).toBeNull();
+  });
+
+  test('should refuse to share stale entries with peers', async () => {
+    const client = createClient();
+    await storeEntry(client, describeResponse({ 'cache-control': 'no-cache', etag: '"v1"' }));
+    const session = { sendContent: jest.fn(), sendMessage: jest.fn() };
+    client.transferSessions.set('peer-a', session);
+
+    await client.handleContentRequest('peer-a', { requestId: 1, url });
+
+    expect(session.sendContent).not.toHaveBeenCalled();
+    expect(session.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'contentError', reason: 'stale' }));
+  });
+
+  test('should never share private entries with peers', async () => {
+    const client = createClient();
+    await storeEntry(client, describeResponse({ 'cache-control': 'private, max-age=60' }));
+    const session = { sendContent: jest.fn(), sendMessage: jest.fn() };
+    client.transferSessions.set('peer-a', session);
+
+    await client.handleContentRequest('peer-a', { requestId: 1, url });
+
+    expect(session.sendContent).not.toHaveBeenCalled();
+    expect(session.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'contentError', reason: 'notFound' }));
+  });
+});
@@ -0,0 +1,215 @@
+const DeployNetClient = require('../web/client.js');
+const { MessageType } = require('../web/signaling.js');
+const { IceServerManager, normalizeTurnCredentials, describeSelectedCandidatePair } = require('../web/ice.js');
+const { settle, MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+const fixtures = require('./fixtures/signaling-messages.json');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+function createClient(clientId, config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://hub.test',
+    siteId: 'demo-site',
+    persistentCache: false,
+    ...config
+  });
+  client.clientId = clientId;
+  return client;
+}
+
+async function connectPair(config = {}) {
+  const hub = new MockHub();
+  const a = createClient('client_a', { WebSocket: hub.WebSocket, ...config });
+  const b = createClient('client_b', { WebSocket: hub.WebSocket, ...config });
+  await a.setupSignalingConnection();
+  await b.setupSignalingConnection();
+  a.initiatePeerConnection('client_b');
+  await settle();
+  return { hub, a, b };
+}
+
+describe('Trickle ICE', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should buffer candidates that arrive before the offer', async () => {
+    const client = createClient('client_bob');
+    client.signalingChannel = { send: jest.fn(() => true) };
+
+    client.handleSignalingData(JSON.stringify(fixtures.ICE_CANDIDATE));
+    expect(client.pendingCandidates.get('client_alice')).toHaveLength(1);
+
+    client.handleSignalingData(JSON.stringify(fixtures.OFFER));
+    await settle();
+
+    const pc = client.peerConnections.get('client_alice');
+    expect(pc.candidates).toEqual([fixtures.ICE_CANDIDATE.payload]);
+    expect(client.pendingCandidates.has('client_alice')).toBe(false);
+  });
+
+  test('should trickle candidates in both directions', async () => {
+    const { hub, a, b } = await connectPair();
+
+    const candidates = hub.deliveries.filter(({ message }) => message.type === MessageType.ICE_CANDIDATE);
+    expect(candidates.map(({ to }) => to).sort()).toEqual(['client_a', 'client_b']);
+    expect(a.peerConnections.get('client_b').candidates).toHaveLength(1);
+    expect(b.peerConnections.get('client_a').candidates).toHaveLength(1);
+  });
+});
+
+describe('ICE restart', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should restart ICE on failure and keep the data channel', async () => {
+    const { a } = await connectPair();
+    const pc = a.peerConnections.get('client_b');
+    const channel = a.dataChannels.get('client_b');
+
+    pc.setConnectionState('failed');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await settle();
+
+    expect(pc.offerOptions).toEqual({ iceRestart: true });
+    expect(pc.connectionState).toBe('connected');
+    expect(a.peerConnections.get('client_b')).toBe(pc);
+    expect(a.dataChannels.get('client_b')).toBe(channel);
+    expect(a.negotiations.get('client_b').restartAttempts).toBe(0);
+  });
+
+  test('should give a disconnected peer time to recover on its own', async () => {
+    const { a } = await connectPair({ iceDisconnectTimeout: 50 });
+    const pc = a.peerConnections.get('client_b');
+
+    pc.setConnectionState('disconnected');
+    pc.setConnectionState('connected');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(pc.offerOptions).toEqual({});
+  });
+
+  test('should close the peer once restarts are exhausted', async () => {
+    const client = createClient('client_b', { iceRestartAttempts: 1, iceRestartTimeout: 10 });
+    client.signalingChannel = { send: jest.fn(() => true) };
+    client.handleSignalingData(JSON.stringify({ ...fixtures.OFFER, target_id: 'client_b' }));
+    await settle();
+    const pc = client.peerConnections.get('client_alice');
+
+    pc.setConnectionState('failed');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const offers = client.signalingChannel.send.mock.calls
+      .map(([data]) => JSON.parse(data))
+      .filter(({ type }) => type === MessageType.OFFER);
+    expect(offers).toHaveLength(1);
+    expect(client.peerConnections.has('client_alice')).toBe(false);
+    expect(pc.connectionState).toBe('closed');
+  });
+});
+
+describe('ICE server configuration', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('should use configured servers and transport policy', () => {
+    const client = createClient('client_a', {
+      iceServers: [{ urls: 'stun:stun.corp.example:3478' }],
+      iceTransportPolicy: 'relay'
+    });
+
+    expect(client.getRTCOpts()).toEqual({
+      iceServers: [{ urls: 'stun:stun.corp.example:3478' }],
+      iceTransportPolicy: 'relay'
+    });
+  });
+
+  test('should accept TURN REST API responses', () => {
+    const { iceServers, expiresAt } = normalizeTurnCredentials({
+      username: '1760000000:client_a',
+      password: 'secret',
+      ttl: 600,
+      uris: ['turn:turn.example.com:3478?transport=udp']
+    });
+
+    expect(iceServers).toEqual([{
+      urls: ['turn:turn.example.com:3478?transport=udp'],
+      username: '1760000000:client_a',
+      credential: 'secret'
+    }]);
+    expect(expiresAt).toBeGreaterThan(Date.now());
+    expect(() => normalizeTurnCredentials({ ttl: 600 })).toThrow('TURN credential response has no servers');
+  });
+
+  test('should refresh credentials from the endpoint before they expire', async () => {
+    jest.useFakeTimers();
+    let issued = 0;
+    const fetchImpl = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ username: `user-${++issued}`, credential: 'secret', ttl: 300, urls: 'turn:turn.example.com' })
+    }));
+    const manager = new IceServerManager({
+      iceServers: [],
+      credentialsUrl: 'https://example.com/turn-credentials',
+      fetch: fetchImpl,
+      refreshMargin: 60 * 1000
+    });
+
+    await manager.start();
+    expect(manager.getConfiguration().iceServers[0].username).toBe('user-1');
+
+    await jest.advanceTimersByTimeAsync(239 * 1000);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(fetchImpl).toHaveBeenCalledWith('https://example.com/turn-credentials', expect.any(Object));
+    expect(manager.getConfiguration().iceServers[0].username).toBe('user-2');
+    manager.stop();
+  });
+
+  test('should push refreshed servers to open connections', async () => {
+    const provider = jest.fn(async () => ({ iceServers: [{ urls: 'turn:turn.example.com', username: 'u', credential: 'c' }] }));
+    const { a } = await connectPair({ turnCredentialProvider: provider });
+    const pc = a.peerConnections.get('client_b');
+
+    await a.iceServerManager.refresh();
+
+    expect(pc.config.iceServers).toContainEqual({ urls: 'turn:turn.example.com', username: 'u', credential: 'c' });
+  });
+
+  test('should report whether each peer is relayed or direct', async () => {
+    const { a } = await connectPair({ iceTransportPolicy: 'relay' });
+
+    expect(a.getPeerStats('client_b').route).toEqual({
+      local: { type: 'relay', protocol: 'udp', address: expect.any(String) },
+      remote: { type: 'srflx', protocol: 'udp', address: '203.0.113.7' },
+      relayed: true
+    });
+  });
+
+  test('should find the selected pair in Firefox-style stats', () => {
+    const route = describeSelectedCandidatePair([
+      { id: 'P', type: 'candidate-pair', selected: true, localCandidateId: 'L', remoteCandidateId: 'R' },
+      { id: 'L', type: 'local-candidate', candidateType: 'host', protocol: 'udp', address: '10.0.0.1' },
+      { id: 'R', type: 'remote-candidate', candidateType: 'prflx', protocol: 'udp', address: '10.0.0.2' }
+    ]);
+
+    expect(route.relayed).toBe(false);
+    expect(route.remote.type).toBe('prflx');
+  });
+});
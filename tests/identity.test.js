@@ -0,0 +1,203 @@
+const DeployNetClient = require('../web/client.js');
+const { MessageType, encodeSignal, decodeSignal } = require('../web/signaling.js');
+const { SIGNAL_MAX_AGE, PeerIdentity, SignalReplayGuard, deriveClientId, extractFingerprints, verifySignal } = require('../web/identity.js');
+const { settle, MockHub, FakeDataChannel, FakePeerConnection } = require('./helpers/mock-network.js');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+const SDP = 'v=0\r\na=fingerprint:sha-256 4A:AD:B9:B1:3F:82:18:3B:54:02:12:DF:3E:5D:49:6B:19:E5:7C:AB:3C:5F:5B:AC:2A:4F:DC:4B:C5:7D:5D:AC\r\n';
+
+// WebCrypto work finishes on the threadpool, so poll instead of counting ticks
+async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+async function createClient(hub, config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://hub.test',
+    siteId: 'demo-site',
+    persistentCache: false,
+    WebSocket: hub.WebSocket,
+    ...config
+  });
+  await client.setupIdentity();
+  return client;
+}
+
+async function join(client) {
+  await client.setupSignalingConnection();
+  await client.registerWithNetwork();
+}
+
+async function signedOffer(identity, targetId) {
+  const message = { type: MessageType.OFFER, payload: { type: 'offer', sdp: SDP }, roomId: 'demo-site', targetId };
+  const auth = await identity.sign(message);
+  return decodeSignal(encodeSignal({ ...message, senderId: identity.clientId, payload: { ...message.payload, auth } }));
+}
+
+describe('Peer identity', () => {
+  test('should derive the client ID from the signing key', async () => {
+    const identity = await PeerIdentity.generate();
+
+    expect(identity.clientId).toMatch(/^deploy-[0-9a-f]{32}$/);
+    expect(await deriveClientId(identity.publicKeys.signingKey)).toBe(identity.clientId);
+    expect((await PeerIdentity.generate()).clientId).not.toBe(identity.clientId);
+  });
+
+  test('should reject signals that were altered or claim another ID', async () => {
+    const identity = await PeerIdentity.generate();
+    const other = await PeerIdentity.generate();
+    const message = await signedOffer(identity, 'client_bob');
+
+    expect(await verifySignal(message)).toMatchObject({ encryption: false });
+    expect(await verifySignal({ ...message, payload: { ...message.payload, sdp: SDP.replace('4A', '4B') } })).toBeNull();
+    expect(await verifySignal({ ...message, targetId: 'client_carol' })).toBeNull();
+    expect(await verifySignal({ ...message, senderId: other.clientId })).toBeNull();
+    expect(await verifySignal({ ...message, payload: { type: 'offer', sdp: SDP } })).toBeNull();
+  });
+
+  test('should reject signals that are stale or replayed', async () => {
+    const identity = await PeerIdentity.generate();
+    const message = await signedOffer(identity, 'client_bob');
+    const { issuedAt } = message.payload.auth;
+    const replayGuard = new SignalReplayGuard();
+
+    expect(await verifySignal(message, { replayGuard })).not.toBeNull();
+    expect(await verifySignal(message, { replayGuard })).toBeNull();
+    expect(await verifySignal(message, { now: issuedAt + SIGNAL_MAX_AGE + 1 })).toBeNull();
+    expect(await verifySignal(message, { now: issuedAt - SIGNAL_MAX_AGE - 1 })).toBeNull();
+
+    const { nonce, ...withoutNonce } = message.payload.auth;
+    expect(await verifySignal({ ...message, payload: { ...message.payload, auth: withoutNonce } })).toBeNull();
+    const backdated = { ...message.payload.auth, issuedAt: issuedAt - 1000 };
+    expect(await verifySignal({ ...message, payload: { ...message.payload, auth: backdated } })).toBeNull();
+  });
+
+  test('should read DTLS fingerprints from the SDP', () => {
+    expect(extractFingerprints(SDP)).toEqual([
+      'sha-256 4A:AD:B9:B1:3F:82:18:3B:54:02:12:DF:3E:5D:49:6B:19:E5:7C:AB:3C:5F:5B:AC:2A:4F:DC:4B:C5:7D:5D:AC'
+    ]);
+    expect(extractFingerprints('v=0\r\n')).toEqual([]);
+  });
+});
+
+describe('Authenticated signaling', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should connect peers over an encrypted channel', async () => {
+    const send = jest.spyOn(FakeDataChannel.prototype, 'send');
+    const hub = new MockHub();
+    const a = await createClient(hub);
+    const b = await createClient(hub);
+
+    await join(a);
+    await join(b);
+    const measured = (client, peerId) => Boolean(client.getPeerStats(peerId) && client.getPeerStats(peerId).rtt !== null);
+    await waitFor(() => measured(a, b.clientId) && measured(b, a.clientId));
+
+    const url = 'https://example.com/app.js';
+    await b.cache.store(url, 'console.log("secret")', b.getCacheMetadata(url, { freshUntil: Date.now() + 60000 }));
+    const { content } = await a.requestContentFromPeer(b.clientId, url);
+
+    expect(new TextDecoder().decode(content)).toBe('console.log("secret")');
+    const frames = send.mock.calls.map(([data]) => Buffer.from(data).toString('latin1'));
+    expect(frames.length).toBeGreaterThan(0);
+    frames.forEach(frame => {
+      expect(frame).not.toContain('secret');
+      expect(frame).not.toContain('contentRequest');
+    });
+  });
+
+  test('should drop registrations that are unsigned or signed by another key', async () => {
+    const hub = new MockHub();
+    const client = await createClient(hub);
+    const victim = await PeerIdentity.generate();
+    const attacker = await PeerIdentity.generate();
+    const payload = { clientId: victim.clientId, siteId: 'demo-site', capabilities: {} };
+    const auth = await attacker.sign({ type: MessageType.REGISTER, payload, roomId: 'demo-site' });
+    const register = (body) => encodeSignal({ type: MessageType.REGISTER, payload: body, senderId: victim.clientId, roomId: 'demo-site' });
+
+    await client.handleSignalingData(register(payload));
+    await client.handleSignalingData(register({ ...payload, auth }));
+
+    expect(client.peers.size).toBe(0);
+    expect(client.peerConnections.size).toBe(0);
+    expect(console.warn).toHaveBeenCalledWith(`Dropping unauthenticated REGISTER from ${victim.clientId}`);
+  });
+
+  test('should drop replayed signals but accept a re-registration', async () => {
+    const hub = new MockHub();
+    const a = await createClient(hub);
+    const b = await createClient(hub);
+    await join(a);
+    await join(b);
+    await waitFor(() => a.transferSessions.has(b.clientId));
+
+    const captured = hub.deliveries.find(({ to, message }) => to === a.clientId && message.type === MessageType.REGISTER);
+    await a.handleSignalingData(JSON.stringify(captured.message));
+    expect(console.warn).toHaveBeenCalledWith(`Dropping unauthenticated REGISTER from ${b.clientId}`);
+
+    console.warn.mockClear();
+    await b.registerWithNetwork();
+    await settle();
+    await a.signalingQueue;
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('should drop an offer whose SDP was rewritten in transit', async () => {
+    const hub = new MockHub();
+    const client = await createClient(hub);
+    const peer = await PeerIdentity.generate();
+    const offer = await signedOffer(peer, client.clientId);
+    client.signalingChannel = { send: jest.fn(() => true) };
+
+    const forged = { ...offer, payload: { ...offer.payload, sdp: SDP.replace('4A:AD', '00:00') } };
+    await client.handleSignalingData(encodeSignal(forged));
+
+    expect(client.peerConnections.size).toBe(0);
+    expect(client.signalingChannel.send).not.toHaveBeenCalled();
+  });
+
+  test('should not connect to peers with encryption turned off', async () => {
+    const hub = new MockHub();
+    const a = await createClient(hub);
+    const b = await createClient(hub, { enableEncryption: false });
+
+    await join(a);
+    await join(b);
+    await settle();
+    await a.signalingQueue;
+    await b.signalingQueue;
+
+    expect(a.peerConnections.size).toBe(0);
+    expect(b.transferSessions.size).toBe(0);
+    expect(console.warn).toHaveBeenCalledWith(`Dropping REGISTER from ${b.clientId}: encryption settings differ`);
+  });
+
+  test('should close the connection on a frame that fails to decrypt', async () => {
+    const hub = new MockHub();
+    const a = await createClient(hub);
+    const b = await createClient(hub);
+    await join(a);
+    await join(b);
+    await waitFor(() => a.transferSessions.has(b.clientId));
+
+    a.receivePeerData(b.clientId, new Uint8Array(64).buffer);
+    await waitFor(() => !a.peerConnections.has(b.clientId));
+
+    expect(a.transferSessions.has(b.clientId)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  ContentManifest,
+  canonicalize,
+  sha256Hex,
+  signManifest
+} = require('../web/integrity.js');
+const DeployNetClient = require('../web/client.js');
+
+const BASE_URL = 'https://example.com/deploynet-manifest.json';
+
+async function createSignedManifest(files) {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  const manifest = await signManifest({ version: 1, siteId: 'test-site', files }, keyPair.privateKey);
+  return { manifest, publicKey };
+}
+
+describe('Content integrity', () => {
+  test('canonicalize should ignore key order', () => {
+    expect(canonicalize({ b: 1, a: [{ d: 2, c: 3 }] }))
+      .toBe(canonicalize({ a: [{ c: 3, d: 2 }], b: 1 }));
+  });
+
+  test('should load a correctly signed manifest and verify content', async () => {
+    const content = 'console.log("hello");';
+    const { manifest, publicKey } = await createSignedManifest({
+      '/app.js': { sha256: await sha256Hex(content), size: content.length }
+    });
+
+    const loaded = await ContentManifest.load(manifest, publicKey, BASE_URL);
+
+    expect(loaded.has('https://example.com/app.js')).toBe(true);
+    expect(loaded.has('/app.js')).toBe(true);
+    expect(await loaded.verify('/app.js', content)).toBe(true);
+    expect(await loaded.verify('/app.js', 'alert("pwned");')).toBe(false);
+    expect(await loaded.verify('/other.js', content)).toBe(false);
+  });
+
+  test('should verify binary content', async () => {
+    const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    const { manifest, publicKey } = await createSignedManifest({
+      '/logo.png': { sha256: await sha256Hex(bytes), size: bytes.byteLength }
+    });
+
+    const loaded = await ContentManifest.load(manifest, publicKey, BASE_URL);
+
+    expect(await loaded.verify('/logo.png', bytes.buffer)).toBe(true);
+  });
+
+  test('should verify individual pieces of large assets', async () => {
+    const bytes = new Uint8Array(10).map((_, i) => i);
+    const { manifest, publicKey } = await createSignedManifest({
+      '/video.mp4': {
+        sha256: await sha256Hex(bytes),
+        size: 10,
+        pieceSize: 4,
+        pieces: [
+          await sha256Hex(bytes.slice(0, 4)),
+          await sha256Hex(bytes.slice(4, 8)),
+          await sha256Hex(bytes.slice(8, 10))
+        ]
+      }
+    });
+
+    const loaded = await ContentManifest.load(manifest, publicKey, BASE_URL);
+
+    expect(await loaded.verifyPiece('/video.mp4', 1, bytes.slice(4, 8))).toBe(true);
+    expect(await loaded.verifyPiece('/video.mp4', 2, bytes.slice(8, 10))).toBe(true);
+    expect(await loaded.verifyPiece('/video.mp4', 1, bytes.slice(0, 4))).toBe(false);
+    expect(await loaded.verifyPiece('/video.mp4', 3, bytes.slice(0, 4))).toBe(false);
+  });
+
+  test('should reject a tampered manifest', async () => {
+    const { manifest, publicKey } = await createSignedManifest({
+      '/app.js': { sha256: await sha256Hex('original'), size: 8 }
+    });
+    manifest.files['/app.js'].sha256 = await sha256Hex('poisoned');
+
+    await expect(ContentManifest.load(manifest, publicKey, BASE_URL))
+      .rejects.toThrow('Manifest signature verification failed');
+  });
+
+  test('should refuse to load without a public key', async () => {
+    const { manifest } = await createSignedManifest({});
+
+    await expect(ContentManifest.load(manifest, null, BASE_URL))
+      .rejects.toThrow('No manifest public key configured');
+  });
+});
+
+describe('DeployNet Client without a manifest', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should fall back to origin-only mode instead of failing', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const WebSocket = jest.fn();
+    const serviceWorker = { register: jest.fn(), addEventListener: jest.fn() };
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      siteUrl: 'https://example.com',
+      persistentCache: false,
+      WebSocket,
+      serviceWorker
+    });
+    jest.spyOn(global, 'fetch').mockResolvedValue(new Response('{}'));
+
+    expect(await client.initialize()).toBe(true);
+
+    expect(client.originOnly).toBe(true);
+    expect(WebSocket).not.toHaveBeenCalled();
+    expect(serviceWorker.register).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith('Content manifest unavailable, running in origin-only mode:', 'No manifest public key configured');
+  });
+});
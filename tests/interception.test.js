@@ -0,0 +1,181 @@
+const { InterceptionRules, globToRegExp, describeRequest } = require('../web/interception.js');
+const { handleFetch } = require('../web/deploynet-sw.js');
+const DeployNetClient = require('../web/client.js');
+
+const ORIGIN = 'https://example.com';
+
+function createClient(config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://localhost:8080',
+    siteId: 'demo-site',
+    siteUrl: ORIGIN,
+    persistentCache: false,
+    logLevel: 'silent',
+    ...config
+  });
+  client.manifest = { getEntry: () => null, has: () => true };
+  client.validateContent = async () => true;
+  return client;
+}
+
+describe('InterceptionRules', () => {
+  test('should only take same-origin GET and HEAD requests without credentials by default', () => {
+    const rules = new InterceptionRules();
+    const reason = (url, init) => rules.evaluate(url, init, ORIGIN).reason;
+
+    expect(rules.evaluate('/app.css', {}, ORIGIN)).toEqual({ intercept: true, reason: null });
+    expect(reason('/app.css', { method: 'head' })).toBeNull();
+    expect(reason('/api/orders', { method: 'POST' })).toBe('method');
+    expect(reason('/app.css', { credentials: 'include' })).toBe('credentials');
+    expect(reason('/app.css', { headers: { Authorization: 'Bearer abc' } })).toBe('credentials');
+    expect(reason('/app.css', { headers: { 'X-DeployNet-Skip': '1' } })).toBe('optOut');
+    expect(reason('https://cdn.example.net/app.css', {})).toBe('origin');
+  });
+
+  test('should apply include and exclude patterns and allowed origins', () => {
+    const rules = new InterceptionRules({
+      include: ['/assets/**', /\.woff2$/, 'https://cdn.example.net/*.js'],
+      exclude: ['/assets/private/**'],
+      origins: [ORIGIN, 'https://cdn.example.net'],
+      methods: ['GET']
+    });
+    const reason = url => rules.evaluate(url, {}, ORIGIN).reason;
+
+    expect(reason('/assets/css/app.css?v=2')).toBeNull();
+    expect(reason('/fonts/inter.woff2')).toBeNull();
+    expect(reason('https://cdn.example.net/lib.js')).toBeNull();
+    expect(reason('https://cdn.example.net/v1/lib.js')).toBe('notIncluded');
+    expect(reason('/assets/private/report.pdf')).toBe('excluded');
+    expect(reason('/index.html')).toBe('notIncluded');
+    expect(reason('https://other.example.org/assets/app.css')).toBe('origin');
+    expect(rules.evaluate('/assets/app.css', { method: 'HEAD' }, ORIGIN).reason).toBe('method');
+    expect(new InterceptionRules({ origins: ['*'] }).evaluate('https://other.example.org/a.js', {}, ORIGIN).intercept).toBe(true);
+  });
+
+  test('should compile globs segment by segment', () => {
+    expect(globToRegExp('/img/*.png').test('/img/logo.png')).toBe(true);
+    expect(globToRegExp('/img/*.png').test('/img/icons/logo.png')).toBe(false);
+    expect(globToRegExp('**/*.css').test('/a/b/c.css')).toBe(true);
+    expect(globToRegExp('/v?/app.js').test('/v2/app.js')).toBe(true);
+    expect(() => new InterceptionRules({ include: [42] })).toThrow('Invalid interception pattern: 42');
+  });
+
+  test('should read the method and headers of a Request', () => {
+    const { url, init } = describeRequest(new Request(`${ORIGIN}/api`, { method: 'POST', headers: { 'X-A': '1' } }));
+
+    expect(url).toBe(`${ORIGIN}/api`);
+    expect(init.method).toBe('POST');
+    expect(init.headers.get('x-a')).toBe('1');
+  });
+});
+
+describe('DeployNet Client fetch interception', () => {
+  const url = `${ORIGIN}/style.css`;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = jest.fn(async () => new Response('origin'));
+    global.window = { location: { origin: ORIGIN }, fetch: originalFetch };
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  test('should leave requests the rules exclude to the origin', async () => {
+    const client = createClient({ interception: { exclude: ['/api/**'] } });
+    client.setupFetchInterception();
+    client.interceptRequest = jest.fn(async () => new Response('deploynet'));
+
+    await window.fetch(`${ORIGIN}/api/orders`, { method: 'POST', body: '{}' });
+    await window.fetch(`${ORIGIN}/api/me`);
+    await window.fetch(new Request(url, { method: 'DELETE' }));
+    expect(await (await window.fetch(url)).text()).toBe('deploynet');
+
+    expect(originalFetch).toHaveBeenCalledTimes(3);
+    expect(client.interceptRequest).toHaveBeenCalledTimes(1);
+    expect(client.shouldIntercept('/api/orders')).toBe(false);
+  });
+
+  test('should answer same-origin requests with the default config and leave personal responses uncached', async () => {
+    const client = createClient();
+    client.setupFetchInterception();
+    await client.cache.store(url, 'body {}', client.getCacheMetadata(url, { freshUntil: Date.now() + 60000 }));
+    originalFetch.mockImplementation(async () => new Response('mine', { headers: { 'Cache-Control': 'max-age=60', Vary: 'Cookie' } }));
+
+    const cached = await window.fetch(url);
+    const personal = await window.fetch(`${ORIGIN}/profile.css`);
+    await personal.text();
+
+    expect(cached.headers.get('X-DeployNet-Source')).toBe('cache');
+    expect(await cached.text()).toBe('body {}');
+    expect(originalFetch).toHaveBeenCalledTimes(1);
+    expect(client.cache.has(`${ORIGIN}/profile.css`)).toBe(false);
+    expect(client.shouldIntercept('/assets/app.css')).toBe(true);
+  });
+
+  test('should strip the opt-out header before going to the origin', async () => {
+    const client = createClient({ interception: { optOutHeader: 'X-No-P2P' } });
+    client.setupFetchInterception();
+
+    await window.fetch(url, { headers: { 'X-No-P2P': '1', Accept: 'text/css' } });
+
+    const [, init] = originalFetch.mock.calls[0];
+    expect(init.headers.has('X-No-P2P')).toBe(false);
+    expect(init.headers.get('Accept')).toBe('text/css');
+  });
+
+  test('should answer HEAD from a fresh cache entry without a body', async () => {
+    const client = createClient();
+    client.setupFetchInterception();
+    await client.cache.store(url, 'body { color: red; }', client.getCacheMetadata(url, { freshUntil: Date.now() + 60000 }));
+
+    const response = await window.fetch(url, { method: 'HEAD' });
+    await window.fetch(`${ORIGIN}/missing.css`, { method: 'HEAD' });
+
+    expect(response.headers.get('Content-Length')).toBe('20');
+    expect(response.headers.get('X-DeployNet-Source')).toBe('cache');
+    expect(await response.text()).toBe('');
+    expect(originalFetch).toHaveBeenCalledWith(`${ORIGIN}/missing.css`, { method: 'HEAD' });
+  });
+});
+
+describe('Service Worker interception rules', () => {
+  test('should answer same-origin requests with the default config', async () => {
+    const client = createClient();
+    await client.cache.store(`${ORIGIN}/app.css`, 'body {}', { freshUntil: Date.now() + 60000 });
+    const windowClient = {
+      id: 'page-1',
+      postMessage: jest.fn((message, [port]) => client.handleServiceWorkerFetch(message, port, jest.fn()))
+    };
+    const fetchImpl = jest.fn(async () => new Response('origin'));
+    const route = request => handleFetch(request, {
+      clientsApi: { get: async () => windowClient },
+      clientIds: new Set(['page-1']),
+      fetchImpl
+    });
+
+    expect(await (await route(new Request(`${ORIGIN}/app.css`))).text()).toBe('body {}');
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(await (await route(new Request(`${ORIGIN}/app.css`, { credentials: 'include' }))).text()).toBe('origin');
+  });
+
+  test('should let the page client apply its rules to routed requests', async () => {
+    const client = createClient({ interception: { exclude: ['/admin/**'] } });
+    await client.cache.store(`${ORIGIN}/admin/app.css`, 'body {}', { freshUntil: Date.now() + 60000 });
+    const windowClient = {
+      id: 'page-1',
+      postMessage: jest.fn((message, [port]) => client.handleServiceWorkerFetch(message, port, jest.fn()))
+    };
+    const fetchImpl = jest.fn(async () => new Response('origin'));
+
+    const response = await handleFetch(new Request(`${ORIGIN}/admin/app.css`), {
+      clientsApi: { get: async () => windowClient },
+      clientIds: new Set(['page-1']),
+      fetchImpl
+    });
+
+    expect(windowClient.postMessage.mock.calls[0][0]).toMatchObject({ method: 'GET', credentials: 'same-origin' });
+    expect(await response.text()).toBe('origin');
+  });
+});
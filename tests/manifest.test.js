@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHash } = require('crypto');
+const DeployNetClient = require('../web/client.js');
+const { ContentManifest } = require('../web/integrity.js');
+const {
+  MANIFEST_FILENAME,
+  buildManifest,
+  loadOrCreateSigningKey,
+  createDeployManifest,
+  writeManifest
+} = require('../lib/manifest.js');
+const { Seeder } = require('../lib/seeder.js');
+const { MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+const siteUrl = 'https://example.com';
+const sha256 = bytes => createHash('sha256').update(bytes).digest('hex');
+
+// Signed offers finish on the WebCrypto threadpool, so poll instead of counting ticks
+async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('Deploy manifest', () => {
+  let projectDir;
+  let publicDir;
+  let configDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploynet-'));
+    publicDir = path.join(projectDir, 'public');
+    configDir = path.join(projectDir, 'config');
+    fs.mkdirSync(path.join(publicDir, 'css'), { recursive: true });
+    fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Hello</h1>');
+    fs.writeFileSync(path.join(publicDir, 'css', 'app.css'), 'body { color: red; }');
+    fs.writeFileSync(path.join(publicDir, '.DS_Store'), 'ignored');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('should hash every asset and split large ones into pieces', () => {
+    const large = Buffer.alloc(80, 7);
+    fs.writeFileSync(path.join(publicDir, 'video.bin'), large);
+
+    const manifest = buildManifest(publicDir, { siteId: 'demo-site', pieceSize: 32 });
+
+    expect(Object.keys(manifest.files)).toEqual(['/css/app.css', '/index.html', '/video.bin']);
+    expect(manifest.files['/index.html']).toEqual({ sha256: sha256('<h1>Hello</h1>'), size: 14 });
+    expect(manifest.files['/video.bin'].pieces).toEqual([
+      sha256(large.subarray(0, 32)),
+      sha256(large.subarray(32, 64)),
+      sha256(large.subarray(64))
+    ]);
+  });
+
+  test('should sign a manifest that clients can load', async () => {
+    const keys = await loadOrCreateSigningKey(configDir);
+    const { manifest } = await createDeployManifest(publicDir, { siteId: 'demo-site', privateKey: keys.privateKey });
+
+    const loaded = await ContentManifest.load(manifest, keys.publicKey, `${siteUrl}/${MANIFEST_FILENAME}`);
+    expect(await loaded.verify(`${siteUrl}/index.html`, Buffer.from('<h1>Hello</h1>'))).toBe(true);
+    expect((await loadOrCreateSigningKey(configDir)).created).toBe(false);
+  });
+
+  test('should only bump the version when the content changes', async () => {
+    const { privateKey } = await loadOrCreateSigningKey(configDir);
+    writeManifest(publicDir, (await createDeployManifest(publicDir, { siteId: 'demo-site', privateKey })).manifest);
+
+    const unchanged = await createDeployManifest(publicDir, { siteId: 'demo-site', privateKey });
+    expect(unchanged.changed).toBe(false);
+    expect(unchanged.manifest.version).toBe(1);
+
+    fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Hello again</h1>');
+    fs.rmSync(path.join(publicDir, 'css', 'app.css'));
+    fs.writeFileSync(path.join(publicDir, 'app.js'), 'console.log(1)');
+    const next = await createDeployManifest(publicDir, { siteId: 'demo-site', privateKey });
+
+    expect(next.manifest.version).toBe(2);
+    expect(next.diff).toEqual({
+      added: ['/app.js'],
+      changed: ['/index.html'],
+      removed: ['/css/app.css'],
+      unchanged: 0
+    });
+  });
+
+  test('should seed the deployed files to other peers', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const keys = await loadOrCreateSigningKey(configDir);
+    const { manifest } = await createDeployManifest(publicDir, { siteId: 'demo-site', privateKey: keys.privateKey });
+    const hub = new MockHub();
+    const seeder = new Seeder({
+      siteUrl,
+      siteId: 'demo-site',
+      signalingServer: 'ws://hub.test',
+      publicDir,
+      manifest,
+      publicKey: keys.publicKey,
+      WebSocket: hub.WebSocket
+    });
+    const seed = await seeder.start();
+
+    const visitor = new DeployNetClient({
+      signalingServer: 'ws://hub.test',
+      siteId: 'demo-site',
+      persistentCache: false,
+      WebSocket: hub.WebSocket
+    });
+    await visitor.setupIdentity();
+    visitor.manifest = await ContentManifest.load(manifest, keys.publicKey, `${siteUrl}/${MANIFEST_FILENAME}`);
+    await visitor.setupSignalingConnection();
+    visitor.connectToPeer(seed.clientId);
+    await waitFor(() => visitor.transferSessions.has(seed.clientId));
+
+    const response = await visitor.requestFromPeers(`${siteUrl}/css/app.css`);
+    expect(Buffer.from(response.content).toString()).toBe('body { color: red; }');
+
+    seeder.stop();
+    visitor.disconnect();
+    jest.restoreAllMocks();
+  });
+});
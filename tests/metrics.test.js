@@ -0,0 +1,142 @@
+const { Logger } = require('../web/logger.js');
+const DeployNetClient = require('../web/client.js');
+const { describeResponse } = require('../web/http-cache.js');
+const { formatPrometheus } = require('../lib/prometheus.js');
+const { Seeder } = require('../lib/seeder.js');
+
+const url = 'https://example.com/style.css';
+const body = 'body { color: red; }';
+
+function createClient(config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://localhost:8080',
+    siteId: 'demo-site',
+    persistentCache: false,
+    logLevel: 'silent',
+    ...config
+  });
+  client.manifest = { getEntry: () => null, has: () => true };
+  client.validateContent = async () => true;
+  return client;
+}
+
+describe('Logger', () => {
+  test('should drop messages below its level', () => {
+    const sink = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const logger = new Logger({ level: 'warn', sink });
+
+    logger.info('connected');
+    logger.warn('slow peer', 'a');
+    logger.setLevel('debug');
+    logger.debug('frame');
+
+    expect(sink.info).not.toHaveBeenCalled();
+    expect(sink.warn).toHaveBeenCalledWith('slow peer', 'a');
+    expect(sink.debug).toHaveBeenCalledWith('frame');
+    expect(() => logger.setLevel('verbose')).toThrow('Unknown log level: verbose');
+  });
+
+  test('should route client output to a custom logger', async () => {
+    const sink = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const client = createClient({ logLevel: 'debug', logger: sink });
+    await client.cache.store(url, body, client.getCacheMetadata(url, describeResponse({ 'cache-control': 'max-age=60' })));
+
+    await client.interceptRequest(url, {}, jest.fn());
+
+    expect(sink.debug).toHaveBeenCalledWith(`Serving ${url} from cache`);
+  });
+});
+
+describe('DeployNet Client metrics', () => {
+  test('should count where responses came from', async () => {
+    const client = createClient();
+    await client.cache.store(url, body, client.getCacheMetadata(url, describeResponse({ 'cache-control': 'max-age=60' })));
+    const originalFetch = jest.fn(async () => new Response('<h1>Hi</h1>', { headers: { 'Content-Length': '11' } }));
+
+    await client.interceptRequest(url, {}, originalFetch);
+    await client.interceptRequest(url, {}, originalFetch);
+    await client.interceptRequest('https://example.com/index.html', {}, originalFetch);
+    const stats = client.getStats();
+
+    expect(stats.requests).toEqual({ cache: 2, peer: 0, swarm: 0, origin: 1, total: 3 });
+    expect(stats.bytes).toEqual({ cache: 2 * body.length, peer: 0, origin: 11 });
+    expect(stats.hitRatio).toBeCloseTo(2 / 3);
+    expect(stats.signaling).toEqual({ state: 'idle', registered: false, rtt: null });
+    expect(stats.cache.entries).toBe(1);
+  });
+
+  test('should emit contentServed and fallback events', async () => {
+    const client = createClient();
+    client.peers.set('a', {});
+    client.transferSessions.set('a', {});
+    client.selectOptimalPeers = () => ['a'];
+    client.requestContentFromPeer = jest.fn(async (peerId, requested) => (
+      requested === url ? { content: body, peerId, httpMeta: { freshUntil: Date.now() + 60000 } } : null
+    ));
+    const served = jest.fn();
+    const fallback = jest.fn();
+    client.addListener('contentServed', served);
+    client.addListener('fallback', fallback);
+    client.addListener('contentServed', () => {
+      throw new Error('broken listener');
+    });
+
+    await client.interceptRequest(url, {}, jest.fn());
+    await client.interceptRequest('https://example.com/app.js', {}, jest.fn(async () => new Response('1')));
+
+    expect(served).toHaveBeenCalledWith({ url, source: 'peer', bytes: body.length, peerIds: ['a'] });
+    expect(served).toHaveBeenCalledWith({ url: 'https://example.com/app.js', source: 'origin', bytes: 0, peerIds: [] });
+    expect(fallback).toHaveBeenCalledWith({ url: 'https://example.com/app.js', reason: 'peersFailed' });
+  });
+
+  test('should report integrity failures from peers', async () => {
+    const client = createClient();
+    client.peers.set('a', {});
+    client.selectOptimalPeers = () => ['a'];
+    client.validateContent = async () => false;
+    client.requestContentFromPeer = jest.fn(async (peerId) => ({
+      content: 'tampered',
+      peerId,
+      httpMeta: { freshUntil: Date.now() + 60000 }
+    }));
+    const integrityFailure = jest.fn();
+    client.addListener('integrityFailure', integrityFailure);
+
+    await client.requestFromPeers(url);
+
+    expect(integrityFailure).toHaveBeenCalledWith({ url, peerId: 'a', piece: null });
+    expect(client.getStats().integrityFailures).toBe(1);
+  });
+});
+
+describe('Prometheus export', () => {
+  test('should render stats in the text exposition format', () => {
+    const client = createClient();
+    client.peerScorer.recordRtt('peer "a"', 40);
+    client.peers.set('peer "a"', {});
+
+    const text = formatPrometheus(client.getStats());
+
+    expect(text).toContain('# TYPE deploynet_requests_served_total counter');
+    expect(text).toContain('deploynet_requests_served_total{site="demo-site",source="origin"} 0');
+    expect(text).toContain('deploynet_peer_rtt_seconds{site="demo-site",peer="peer \\"a\\""} 0.04');
+    expect(text).toContain('deploynet_signaling_connected{site="demo-site"} 0');
+    expect(text).not.toContain('deploynet_signaling_rtt_seconds{');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  test('should serve metrics from the seeder', async () => {
+    const seeder = new Seeder({ siteUrl: 'https://example.com', manifest: { files: {} } });
+    seeder.client = createClient();
+    const { port } = await seeder.serveMetrics(0);
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+      expect(response.headers.get('content-type')).toMatch(/^text\/plain; version=0\.0\.4/);
+      expect(await response.text()).toContain('deploynet_hit_ratio{site="demo-site"} 0');
+      expect((await fetch(`http://127.0.0.1:${port}/`)).status).toBe(404);
+    } finally {
+      seeder.stop();
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const DeployNetClient = require('../web/client.js');
+const { MessageType } = require('../web/signaling.js');
+const { settle, MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+const fixtures = require('./fixtures/signaling-messages.json');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+function createClient(hub, clientId) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://hub.test',
+    siteId: 'demo-site',
+    persistentCache: false,
+    WebSocket: hub.WebSocket
+  });
+  client.clientId = clientId;
+  return client;
+}
+
+async function join(client) {
+  await client.setupSignalingConnection();
+  await client.registerWithNetwork();
+}
+
+describe('Addressed signaling and perfect negotiation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should connect every pair in a room of four with unicast signaling', async () => {
+    const hub = new MockHub();
+    const clients = ['client_a', 'client_b', 'client_c', 'client_d'].map(id => createClient(hub, id));
+
+    for (const client of clients) {
+      await join(client);
+      await settle();
+    }
+
+    for (const client of clients) {
+      expect(client.transferSessions.size).toBe(3);
+      expect(client.peerConnections.size).toBe(3);
+    }
+
+    const addressed = hub.deliveries.filter(({ message }) => message.type <= MessageType.ICE_CANDIDATE);
+    expect(addressed.length).toBeGreaterThan(0);
+    addressed.forEach(({ to, message }) => expect(to).toBe(message.target_id));
+  });
+
+  test('should resolve glare with a single channel per pair', async () => {
+    const hub = new MockHub();
+    const polite = createClient(hub, 'client_a');
+    const impolite = createClient(hub, 'client_b');
+    await polite.setupSignalingConnection();
+    await impolite.setupSignalingConnection();
+
+    // Both sides offer at the same time
+    polite.initiatePeerConnection('client_b');
+    impolite.initiatePeerConnection('client_a');
+    await settle();
+
+    const politeChannel = polite.dataChannels.get('client_b');
+    const impoliteChannel = impolite.dataChannels.get('client_a');
+    expect(politeChannel.readyState).toBe('open');
+    expect(politeChannel.remote).toBe(impoliteChannel);
+    expect(polite.negotiations.get('client_b').polite).toBe(true);
+    expect(impolite.negotiations.get('client_a').ignoreOffer).toBe(true);
+
+    // The channel carries traffic both ways
+    expect(polite.getPeerStats('client_b').rtt).not.toBeNull();
+    expect(impolite.getPeerStats('client_a').rtt).not.toBeNull();
+  });
+
+  test('should ignore signals addressed to another client', () => {
+    const hub = new MockHub();
+    const client = createClient(hub, 'client_carol');
+
+    client.handleSignalingData(JSON.stringify(fixtures.OFFER)); // Addressed to client_bob
+
+    expect(client.peerConnections.size).toBe(0);
+  });
+
+  test('should address answers and candidates to the offering peer', async () => {
+    const client = createClient(new MockHub(), 'client_bob');
+    client.signalingChannel = { send: jest.fn(() => true) };
+
+    client.handleSignalingData(JSON.stringify(fixtures.OFFER));
+    await settle();
+
+    const sent = client.signalingChannel.send.mock.calls.map(([data]) => JSON.parse(data));
+    expect(sent.map(({ type }) => type)).toEqual([MessageType.ANSWER, MessageType.ICE_CANDIDATE]);
+    sent.forEach(message => expect(message.target_id).toBe('client_alice'));
+  });
+});
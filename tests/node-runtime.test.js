@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const DeployNetClient = require('../web/client.js');
+const { FileSystemStore } = require('../lib/fs-store.js');
+const { createNodeClient } = require('../lib/node-runtime.js');
+const { Seeder } = require('../lib/seeder.js');
+const {
+  MANIFEST_FILENAME,
+  loadOrCreateSigningKey,
+  createDeployManifest,
+  writeManifest
+} = require('../lib/manifest.js');
+const { MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+
+// Signed offers finish on the WebCrypto threadpool, so poll instead of counting ticks
+async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('FileSystemStore', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'deploynet-')), 'cache');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(cacheDir), { recursive: true, force: true });
+  });
+
+  test('should keep content and metadata on disk', async () => {
+    const store = new FileSystemStore(cacheDir);
+    await store.put('https://example.com/a.css', 'body {}', { size: 7 });
+    await store.put('https://example.com/b.bin', new Uint8Array([1, 2, 3]).buffer, { size: 3 });
+    await store.updateMetadata('https://example.com/a.css', { size: 7, lastAccess: 42 });
+
+    const reopened = new FileSystemStore(cacheDir);
+    expect(await reopened.get('https://example.com/a.css')).toEqual({ content: 'body {}', metadata: { size: 7, lastAccess: 42 } });
+    expect([...(await reopened.get('https://example.com/b.bin')).content]).toEqual([1, 2, 3]);
+    expect((await reopened.listMetadata()).map(record => record.url).sort()).toEqual([
+      'https://example.com/a.css',
+      'https://example.com/b.bin'
+    ]);
+
+    await reopened.delete('https://example.com/a.css');
+    expect(await reopened.get('https://example.com/a.css')).toBeNull();
+    await reopened.clear();
+    expect(await reopened.listMetadata()).toEqual([]);
+  });
+
+  test('should back a Node client cache across restarts', async () => {
+    const url = 'https://example.com/style.css';
+    const config = { signalingServer: 'ws://hub.test', siteId: 'demo-site', cacheDir, RTCPeerConnection: FakePeerConnection };
+    const first = createNodeClient(config);
+    await first.cache.store(url, 'body { color: red; }', { sha256: 'abc' });
+
+    const second = createNodeClient(config);
+    await second.cache.restore();
+    const cached = await second.cache.lookup(url);
+
+    expect(second.config.interceptionMode).toBe('none');
+    expect(cached.content).toBe('body { color: red; }');
+    expect(second.cache.getStats().persistentHits).toBe(1);
+  });
+});
+
+describe('Seeding from the origin', () => {
+  let projectDir;
+  let publicDir;
+  let server;
+  let siteUrl;
+  let requests;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploynet-'));
+    publicDir = path.join(projectDir, 'public');
+    fs.mkdirSync(publicDir);
+    fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Hello</h1>');
+    fs.writeFileSync(path.join(publicDir, 'app.css'), 'body { color: red; }');
+
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      fs.readFile(path.join(publicDir, req.url), (error, body) => {
+        res.writeHead(error ? 404 : 200).end(error ? undefined : body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    siteUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.close();
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  async function deploy(privateKey) {
+    const { manifest } = await createDeployManifest(publicDir, { siteId: 'demo-site', privateKey });
+    writeManifest(publicDir, manifest);
+    return manifest;
+  }
+
+  test('should download the deploy, serve it to peers and follow new deploys', async () => {
+    const keys = await loadOrCreateSigningKey(path.join(projectDir, 'config'));
+    await deploy(keys.privateKey);
+    const hub = new MockHub();
+    const options = {
+      siteUrl,
+      siteId: 'demo-site',
+      signalingServer: 'ws://hub.test',
+      publicKey: keys.publicKey,
+      cacheDir: path.join(projectDir, 'cache'),
+      WebSocket: hub.WebSocket,
+      RTCPeerConnection: FakePeerConnection
+    };
+    const seeder = new Seeder(options);
+    const seed = await seeder.start();
+
+    const visitor = new DeployNetClient({
+      signalingServer: 'ws://hub.test',
+      siteId: 'demo-site',
+      siteUrl,
+      manifestPublicKey: keys.publicKey,
+      persistentCache: false,
+      WebSocket: hub.WebSocket,
+      RTCPeerConnection: FakePeerConnection
+    });
+    await visitor.setupIdentity();
+    await visitor.loadManifest();
+    await visitor.setupSignalingConnection();
+    visitor.connectToPeer(seed.clientId);
+    await waitFor(() => visitor.transferSessions.has(seed.clientId));
+
+    const response = await visitor.requestFromPeers(`${siteUrl}/app.css`);
+    expect(Buffer.from(response.content).toString()).toBe('body { color: red; }');
+
+    fs.writeFileSync(path.join(publicDir, 'app.css'), 'body { color: blue; }');
+    await deploy(keys.privateKey);
+    expect(await seeder.checkForUpdate()).toBe(true);
+    expect(await seeder.checkForUpdate()).toBe(false);
+    expect(seeder.seededVersion).toBe(2);
+    expect(Buffer.from((await seed.cache.lookup(`${siteUrl}/app.css`)).content).toString()).toBe('body { color: blue; }');
+
+    seeder.stop();
+    visitor.disconnect();
+
+    // A restarted seeder serves what it already has on disk
+    requests = [];
+    const restarted = new Seeder(options);
+    await restarted.start();
+    expect(requests).toEqual([`/${MANIFEST_FILENAME}`]);
+    expect(restarted.client.cache.getStats().persistentEntries).toBe(2);
+    restarted.stop();
+  });
+
+  test('should refuse content that does not match the manifest', async () => {
+    const keys = await loadOrCreateSigningKey(path.join(projectDir, 'config'));
+    await deploy(keys.privateKey);
+    fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Tampered</h1>');
+    const seeder = new Seeder({
+      siteUrl,
+      siteId: 'demo-site',
+      signalingServer: 'ws://hub.test',
+      publicKey: keys.publicKey,
+      WebSocket: new MockHub().WebSocket,
+      RTCPeerConnection: FakePeerConnection
+    });
+
+    await expect(seeder.start()).rejects.toThrow(`${siteUrl}/index.html does not match manifest v1`);
+    seeder.stop();
+  });
+});
@@ -0,0 +1,132 @@
+const { PeerPool } = require('../web/peer-pool.js');
+const DeployNetClient = require('../web/client.js');
+const { MessageType } = require('../web/signaling.js');
+
+const MINUTE = 60 * 1000;
+
+function scores(table) {
+  return peerId => table[peerId] ?? 0.1;
+}
+
+describe('Peer pool', () => {
+  test('should forget discovered peers after their TTL and cap how many it remembers', () => {
+    const pool = new PeerPool({ maxKnownPeers: 2, knownPeerTtl: 10 * MINUTE });
+    pool.discover('a', {}, 0);
+    pool.discover('b', {}, MINUTE);
+    pool.discover('c', {}, 2 * MINUTE);
+
+    expect(pool.candidates(2 * MINUTE)).toEqual(['b', 'c']);
+    expect(pool.candidates(11.5 * MINUTE)).toEqual(['c']);
+  });
+
+  test('should not offer a closed peer again until its cooldown has passed', () => {
+    const pool = new PeerPool({ retryCooldown: MINUTE });
+    pool.discover('a', {}, 0);
+    pool.connected('a', 0);
+    pool.closed('a', 0);
+
+    expect(pool.candidates(MINUTE - 1)).toEqual([]);
+    expect(pool.candidates(MINUTE)).toEqual(['a']);
+  });
+
+  test('should fill free slots with the best candidates and drop stalled connections', () => {
+    const pool = new PeerPool({ targetPeers: 2, connectTimeout: 1000 });
+    ['a', 'b', 'c'].forEach(peerId => pool.discover(peerId, {}, 0));
+    pool.opened('stalled', 0);
+
+    const plan = pool.plan(scores({ a: 0.1, b: 0.3, c: 0.2 }), {}, 2000);
+
+    expect(plan.close).toEqual([{ peerId: 'stalled', reason: 'connectTimeout' }]);
+    expect(plan.connect).toEqual(['b', 'c']);
+  });
+
+  test('should close idle connections only above the target', () => {
+    const pool = new PeerPool({ targetPeers: 1, idleTimeout: MINUTE });
+    pool.connected('a', 0);
+    pool.connected('b', 0);
+    pool.touch('b', 30 * 1000);
+
+    expect(pool.plan(scores({}), {}, 2 * MINUTE).close).toEqual([{ peerId: 'a', reason: 'idle' }]);
+
+    pool.closed('a', 2 * MINUTE);
+    expect(pool.plan(scores({}), {}, 10 * MINUTE).close).toEqual([]);
+  });
+
+  test('should swap the worst established connection for a much better candidate', () => {
+    const pool = new PeerPool({ targetPeers: 2, minConnectionAge: MINUTE, churnMargin: 0.5 });
+    pool.connected('good', 0);
+    pool.connected('poor', 0);
+    pool.discover('fast', {}, 0);
+    pool.discover('banned', {}, 0);
+
+    // Too young to be replaced yet
+    expect(pool.plan(scores({ good: 0.4, poor: 0.1, fast: 0.3 }), {}, 30 * 1000).close).toEqual([]);
+    // Not enough better to be worth the churn
+    expect(pool.plan(scores({ good: 0.4, poor: 0.25, fast: 0.3 }), {}, 2 * MINUTE).close).toEqual([]);
+
+    const plan = pool.plan(scores({ good: 0.4, poor: 0.1, fast: 0.3, banned: 0.9 }), {
+      isEligible: peerId => peerId !== 'banned'
+    }, 2 * MINUTE);
+    expect(plan).toEqual({ close: [{ peerId: 'poor', reason: 'replaced' }], connect: ['fast'] });
+  });
+});
+
+describe('DeployNet Client connection pool', () => {
+  function createClient(config = {}) {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      persistentCache: false,
+      ...config
+    });
+    client.initiatePeerConnection = jest.fn(async (peerId) => client.peerPool.opened(peerId));
+    return client;
+  }
+
+  function discover(client, peerId) {
+    client.handleSignalingMessage({
+      type: MessageType.PEER_DISCOVERY,
+      senderId: peerId,
+      payload: { capabilities: { uploadSpeed: 10 } }
+    });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep peers discovered beyond the target as candidates', () => {
+    const client = createClient({ maxPeers: 3, targetPeers: 2 });
+    ['a', 'b', 'c'].forEach(peerId => discover(client, peerId));
+
+    expect(client.initiatePeerConnection.mock.calls.map(([peerId]) => peerId)).toEqual(['a', 'b']);
+    expect([...client.peers.keys()]).toEqual(['a', 'b']);
+    expect(client.getPeerPoolStats()).toMatchObject({ connections: 2, knownPeers: 3, candidates: 1 });
+  });
+
+  test('should connect to a waiting candidate once a slot frees up', () => {
+    const client = createClient({ maxPeers: 3, targetPeers: 2 });
+    ['a', 'b', 'c'].forEach(peerId => discover(client, peerId));
+
+    client.handleSignalingMessage({ type: MessageType.UNREGISTER, senderId: 'a', payload: {} });
+    client.maintainPeerPool();
+
+    expect(client.initiatePeerConnection).toHaveBeenLastCalledWith('c');
+    expect(client.peerPool.getInfo('a')).toBeNull();
+  });
+
+  test('should ignore offers from new peers when the pool is full', async () => {
+    const client = createClient({ maxPeers: 1 });
+    discover(client, 'a');
+    client.getOrCreatePeerConnection = jest.fn();
+
+    await client.handleOffer({ senderId: 'b', payload: { type: 'offer', sdp: 'v=0' } });
+
+    expect(client.getOrCreatePeerConnection).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('Connection pool full, ignoring offer from b');
+  });
+});
@@ -0,0 +1,150 @@
+const { TokenBucket, UploadBudget, PeerBanList } = require('../web/rate-limit.js');
+const { describeResponse } = require('../web/http-cache.js');
+const DeployNetClient = require('../web/client.js');
+
+const MINUTE = 60 * 1000;
+
+describe('Rate limiting primitives', () => {
+  test('should allow a burst and then refill at the configured rate', () => {
+    const bucket = new TokenBucket(3, 2, 0);
+
+    expect([bucket.take(1, 0), bucket.take(1, 0), bucket.take(1, 0), bucket.take(1, 0)]).toEqual([true, true, true, false]);
+    expect(bucket.take(1, 400)).toBe(false);
+    expect(bucket.take(1, 500)).toBe(true);
+    expect(bucket.take(1, 60000)).toBe(true);
+    expect(bucket.tokens).toBe(2);
+  });
+
+  test('should enforce session and sliding hourly upload budgets', () => {
+    const budget = new UploadBudget({ perSession: 250, perHour: 100 });
+
+    expect(budget.tryConsume(60, 0)).toBe(true);
+    expect(budget.tryConsume(60, 30 * MINUTE)).toBe(false);
+    expect(budget.tryConsume(40, 30 * MINUTE)).toBe(true);
+    expect(budget.tryConsume(60, 61 * MINUTE)).toBe(true);
+    expect(budget.getStats(61 * MINUTE)).toEqual({ sessionBytes: 160, lastHourBytes: 100, perSession: 250, perHour: 100 });
+
+    expect(budget.tryConsume(90, 200 * MINUTE)).toBe(true);
+    expect(budget.tryConsume(1, 300 * MINUTE)).toBe(false);
+  });
+
+  test('should lift bans once they expire', () => {
+    const bans = new PeerBanList({ duration: 1000 });
+    bans.ban('peer-a', 'malformedFrames', 0);
+
+    expect(bans.isBanned('peer-a', 999)).toBe(true);
+    expect(bans.list(500)).toEqual([{ peerId: 'peer-a', reason: 'malformedFrames', until: 1000 }]);
+    expect(bans.isBanned('peer-a', 1000)).toBe(false);
+    expect(bans.list(1000)).toEqual([]);
+  });
+});
+
+describe('DeployNet Client abuse protection', () => {
+  const url = 'https://example.com/app.js';
+
+  function createClient(config = {}) {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      persistentCache: false,
+      ...config
+    });
+    client.manifest = { getEntry: () => null, has: () => true };
+    return client;
+  }
+
+  // Stands in for TransferSession; frames are passed through as already-decoded messages
+  function attachSession(client, peerId) {
+    const session = {
+      handleFrame: jest.fn(frame => {
+        if (frame === 'garbage') {
+          throw new Error('Frame too short');
+        }
+        return frame;
+      }),
+      sendMessage: jest.fn(() => true),
+      sendContent: jest.fn(async () => {}),
+      close: jest.fn()
+    };
+    client.transferSessions.set(peerId, session);
+    client.peers.set(peerId, {});
+    return session;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should rate limit content requests and ban peers that keep flooding', () => {
+    const client = createClient({ peerRequestBurst: 2, peerRequestRate: 1, maxRateLimitViolations: 3 });
+    const session = attachSession(client, 'peer-a');
+    client.handleContentRequest = jest.fn();
+
+    for (let requestId = 1; requestId <= 4; requestId++) {
+      client.handlePeerMessage('peer-a', { type: 'contentRequest', requestId, url });
+    }
+
+    expect(client.handleContentRequest).toHaveBeenCalledTimes(2);
+    expect(session.sendMessage).toHaveBeenCalledWith({ type: 'contentError', requestId: 3, reason: 'rateLimited' });
+    expect(client.getPeerStats()[0].offenses).toEqual({ integrityFailures: 0, malformedFrames: 0, rateLimited: 2 });
+
+    client.handlePeerMessage('peer-a', { type: 'contentRequest', requestId: 5, url });
+
+    expect(client.isPeerBanned('peer-a')).toBe(true);
+    expect(client.transferSessions.has('peer-a')).toBe(false);
+    expect(client.getRateLimitStats()).toMatchObject({ requestsRejected: 3, bans: 1 });
+  });
+
+  test('should ban peers that send malformed frames', () => {
+    const client = createClient({ maxMalformedFrames: 2 });
+    attachSession(client, 'peer-a');
+
+    client.handlePeerMessage('peer-a', 'garbage');
+    expect(client.isPeerBanned('peer-a')).toBe(false);
+    client.handlePeerMessage('peer-a', 'garbage');
+
+    expect(client.getRateLimitStats().bannedPeers).toEqual([
+      expect.objectContaining({ peerId: 'peer-a', reason: 'malformedFrames' })
+    ]);
+  });
+
+  test('should refuse offers from banned peers until the ban expires', async () => {
+    jest.useFakeTimers({ now: 0 });
+    try {
+      const client = createClient({ peerBanDuration: 60 * 1000 });
+      client.banPeer('client_alice', 'malformedFrames');
+      client.getOrCreatePeerConnection = jest.fn();
+
+      await client.handleOffer({ senderId: 'client_alice', payload: { type: 'offer', sdp: 'v=0' } });
+      expect(client.getOrCreatePeerConnection).not.toHaveBeenCalled();
+
+      jest.setSystemTime(60 * 1000);
+      expect(client.isPeerBanned('client_alice')).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should stop uploading once the hourly budget is spent', async () => {
+    const client = createClient({ uploadBudgetPerHour: 30 });
+    const session = attachSession(client, 'peer-a');
+    await client.cache.store(url, 'x'.repeat(20), client.getCacheMetadata(url, describeResponse({ 'cache-control': 'max-age=60' })));
+
+    await client.handleContentRequest('peer-a', { requestId: 1, url });
+    await client.handleContentRequest('peer-a', { requestId: 2, url, range: { start: 0, end: 10 } });
+    await client.handleContentRequest('peer-a', { requestId: 3, url });
+
+    expect(session.sendContent).toHaveBeenCalledTimes(2);
+    expect(session.sendMessage).toHaveBeenCalledWith({ type: 'contentError', requestId: 3, reason: 'uploadLimit' });
+    expect(client.getRateLimitStats()).toMatchObject({
+      uploadsRefused: 1,
+      upload: { sessionBytes: 30, lastHourBytes: 30 }
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { backoffDelay, SignalingConnection, ConnectionState } = require('../web/reconnect.js');
+const DeployNetClient = require('../web/client.js');
+
+// WebSocket stand-in whose lifecycle the test drives
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  open() {
+    this.onopen();
+  }
+
+  drop() {
+    this.onclose();
+  }
+
+  close() {
+    this.onclose();
+  }
+}
+FakeSocket.instances = [];
+
+function latestSocket() {
+  return FakeSocket.instances[FakeSocket.instances.length - 1];
+}
+
+describe('SignalingConnection', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  test('should grow the backoff exponentially with bounded jitter', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000 };
+
+    expect(backoffDelay(0, options, () => 0)).toBe(500);
+    expect(backoffDelay(2, options, () => 0)).toBe(2000);
+    expect(backoffDelay(2, options, () => 0.999)).toBeLessThan(4000);
+    expect(backoffDelay(10, options, () => 0)).toBe(2500);
+  });
+
+  test('should reconnect after a drop and report each state', async () => {
+    const states = [];
+    const connection = new SignalingConnection('ws://hub', {
+      WebSocket: FakeSocket,
+      onStateChange: (state) => states.push(state)
+    });
+
+    const connected = connection.connect();
+    latestSocket().open();
+    await connected;
+
+    latestSocket().drop();
+    jest.runOnlyPendingTimers();
+    latestSocket().open();
+
+    expect(FakeSocket.instances).toHaveLength(2);
+    expect(states).toEqual([
+      ConnectionState.CONNECTING,
+      ConnectionState.CONNECTED,
+      ConnectionState.RECONNECTING,
+      ConnectionState.CONNECTED
+    ]);
+  });
+
+  test('should give up after the retry cap', async () => {
+    const connection = new SignalingConnection('ws://hub', { WebSocket: FakeSocket, retryAttempts: 2 });
+
+    const connected = connection.connect();
+    latestSocket().drop();
+    jest.runOnlyPendingTimers();
+    latestSocket().drop();
+    jest.runOnlyPendingTimers();
+    latestSocket().drop();
+
+    await expect(connected).rejects.toThrow('Unable to reach signaling server');
+    expect(connection.state).toBe(ConnectionState.DISCONNECTED);
+    expect(FakeSocket.instances).toHaveLength(3);
+  });
+
+  test('should queue messages while offline and send them after onOpen', async () => {
+    const connection = new SignalingConnection('ws://hub', {
+      WebSocket: FakeSocket,
+      onOpen: () => connection.send('register')
+    });
+
+    const connected = connection.connect();
+    expect(connection.send('offer')).toBe(false);
+    latestSocket().open();
+    await connected;
+
+    expect(latestSocket().sent).toEqual(['register', 'offer']);
+  });
+});
+
+describe('DeployNet Client signaling reconnection', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('should re-register with the same clientId and keep peer sessions', async () => {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      persistentCache: false,
+      WebSocket: FakeSocket
+    });
+    const events = [];
+    ['connected', 'reconnecting', 'disconnected'].forEach(event => {
+      client.addListener(event, (data) => events.push([event, data]));
+    });
+    client.transferSessions.set('peer-a', {});
+
+    const connected = client.setupSignalingConnection();
+    latestSocket().open();
+    await connected;
+    const register = jest.spyOn(client, 'registerWithNetwork');
+    await client.registerWithNetwork();
+
+    latestSocket().drop();
+    jest.runOnlyPendingTimers();
+    const resumed = latestSocket();
+    resumed.open();
+    // The registration is signed afresh, so it goes out once signing finishes
+    await register.mock.results[1].value;
+
+    expect(resumed.url).toContain(`id=${client.clientId}`);
+    expect(JSON.parse(resumed.sent[0])).toEqual(expect.objectContaining({ type: 5, sender_id: client.clientId }));
+    expect(client.transferSessions.has('peer-a')).toBe(true);
+    expect(events.map(([event]) => event)).toEqual(['connected', 'reconnecting', 'connected']);
+    expect(events[2][1]).toEqual({ resumed: true });
+
+    client.disconnect();
+    expect(events[3][0]).toBe('disconnected');
+    expect(client.isConnected).toBe(false);
+  });
+});
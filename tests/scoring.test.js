@@ -0,0 +1,148 @@
+const { PeerScorer } = require('../web/scoring.js');
+const DeployNetClient = require('../web/client.js');
+
+describe('PeerScorer', () => {
+  test('should rank fast, reliable peers above slow, failing ones', () => {
+    const scorer = new PeerScorer();
+
+    scorer.recordRtt('fast', 20);
+    scorer.recordTransfer('fast', { ok: true, bytes: 4 * 1024 * 1024, duration: 1000 });
+    scorer.recordRtt('slow', 400);
+    scorer.recordTransfer('slow', { ok: true, bytes: 64 * 1024, duration: 1000 });
+    scorer.recordTransfer('flaky', { ok: false });
+    scorer.recordTransfer('flaky', { ok: false });
+
+    expect(scorer.rank(['flaky', 'slow', 'fast']).map(({ peerId }) => peerId))
+      .toEqual(['fast', 'slow', 'flaky']);
+  });
+
+  test('should halve the score for each integrity failure', () => {
+    const scorer = new PeerScorer();
+    const before = scorer.getScore('peer');
+
+    scorer.recordIntegrityFailure('peer');
+
+    expect(scorer.getScore('peer')).toBeLessThan(before / 2);
+  });
+
+  test('should use advertised capabilities until throughput is measured', () => {
+    const scorer = new PeerScorer();
+
+    scorer.setCapabilities('fiber', { uploadSpeed: 100 });
+    scorer.setCapabilities('dialup', { uploadSpeed: 0.05 });
+
+    expect(scorer.getScore('fiber')).toBeGreaterThan(scorer.getScore('dialup'));
+  });
+
+  test('should let old failures decay over time', () => {
+    jest.useFakeTimers();
+    const scorer = new PeerScorer({ halfLife: 1000 });
+
+    scorer.recordTransfer('peer', { ok: false });
+    scorer.recordTransfer('peer', { ok: false });
+    const penalized = scorer.getScore('peer');
+
+    jest.advanceTimersByTime(10000);
+
+    expect(scorer.getScore('peer')).toBeGreaterThan(penalized);
+    expect(scorer.getStats('peer').failures).toBeLessThan(0.01);
+    jest.useRealTimers();
+  });
+});
+
+describe('DeployNet Client peer selection', () => {
+  function createClient(config = {}) {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      ...config
+    });
+    ['a', 'b', 'c', 'd'].forEach(peerId => {
+      client.peers.set(peerId, {});
+      client.transferSessions.set(peerId, { close: jest.fn() });
+    });
+    return client;
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should order candidates by score and limit them', () => {
+    const client = createClient();
+    client.peerScorer.recordRtt('c', 10);
+    client.peerScorer.recordTransfer('c', { ok: true, bytes: 8 * 1024 * 1024, duration: 1000 });
+    client.peerScorer.recordTransfer('a', { ok: false });
+
+    const selected = client.selectOptimalPeers('/app.js', 2);
+
+    expect(selected).toHaveLength(2);
+    expect(selected[0]).toBe('c');
+    expect(selected).not.toContain('a');
+  });
+
+  test('should drop peers below the minimum score', () => {
+    const client = createClient({ minPeerScore: 0.2 });
+    client.peerScorer.recordIntegrityFailure('b');
+    client.peerScorer.recordIntegrityFailure('b');
+
+    expect(client.selectOptimalPeers('/app.js', 4)).not.toContain('b');
+  });
+
+  test('should update scores from peer transfers', async () => {
+    // Frozen so the half-life decay can't shrink the counters between transfers
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const client = createClient();
+    client.manifest = { getEntry: () => null, has: () => true };
+    client.validateContent = async () => true;
+    client.requestContentFromPeer = jest.fn(async (peerId) => {
+      if (peerId !== 'd') {
+        throw new Error('Peer request timeout');
+      }
+      return { content: 'payload', peerId, httpMeta: { freshUntil: Date.now() + 60000 } };
+    });
+    client.selectOptimalPeers = () => ['a', 'd'];
+
+    await client.requestFromPeers('/app.js');
+
+    expect(client.getPeerStats('a').failures).toBe(1);
+    expect(client.getPeerStats('d').successes).toBe(1);
+    expect(client.getPeerStats('d').bytesReceived).toBe(7);
+  });
+
+  test('should not select or penalize peers that are still connecting', async () => {
+    const client = createClient();
+    client.manifest = { getEntry: () => null, has: () => true };
+    client.peers.set('e', {});
+    client.transferSessions.delete('a');
+
+    expect(client.selectOptimalPeers('/app.js', 5).sort()).toEqual(['b', 'c', 'd']);
+
+    client.selectOptimalPeers = () => ['a'];
+    await client.requestFromPeers('/app.js');
+    expect(client.getPeerStats('a')).toBeNull();
+  });
+
+  test('should measure RTT from matching pongs only', () => {
+    const client = createClient();
+    client.sendToPeer = jest.fn(() => true);
+
+    client.measurePeerRtt('a');
+    const { nonce } = client.sendToPeer.mock.calls[0][1];
+    client.handlePong('a', { type: 'pong', nonce: 'forged' });
+    expect(client.getPeerStats('a')).toBeNull();
+
+    client.handlePong('a', { type: 'pong', nonce });
+    expect(client.getPeerStats('a').rtt).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should expose stats for every known peer', () => {
+    const client = createClient();
+
+    const stats = client.getPeerStats();
+
+    expect(stats.map(({ peerId }) => peerId)).toEqual(['a', 'b', 'c', 'd']);
+    expect(stats[0]).toEqual(expect.objectContaining({ connected: false, blocked: false }));
+    expect(typeof stats[0].score).toBe('number');
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  BYPASS_HEADER,
+  shouldRoute,
+  findDeployNetClient,
+  handleFetch
+} = require('../web/deploynet-sw.js');
+const DeployNetClient = require('../web/client.js');
+
+const ORIGIN = 'https://example.com';
+
+function createPageClient(config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://localhost:8080',
+    siteId: 'test-site',
+    persistentCache: false,
+    ...config
+  });
+  client.manifest = { has: (url) => url.endsWith('.css'), getEntry: () => null };
+  return client;
+}
+
+// A window client as seen from the worker, backed by a DeployNet page client
+function createWindowClient(id, pageClient, originalFetch) {
+  return {
+    id,
+    postMessage: jest.fn((message, [port]) => {
+      pageClient.handleServiceWorkerFetch(message, port, originalFetch);
+    })
+  };
+}
+
+function createClientsApi(windowClients) {
+  return { get: async (id) => windowClients.find(client => client.id === id) };
+}
+
+describe('Service Worker routing', () => {
+  test('should only route same-origin GET subresource requests', () => {
+    const request = (url, init = {}) => new Request(url, init);
+
+    expect(shouldRoute(request(`${ORIGIN}/app.css`), ORIGIN)).toBe(true);
+    expect(shouldRoute(request(`${ORIGIN}/app.css`, { method: 'POST' }), ORIGIN)).toBe(false);
+    expect(shouldRoute(request('https://cdn.example.net/app.css'), ORIGIN)).toBe(false);
+    expect(shouldRoute(request(`${ORIGIN}/app.css`, { headers: { [BYPASS_HEADER]: '1' } }), ORIGIN)).toBe(false);
+    expect(shouldRoute(request(`${ORIGIN}/app.css`, { headers: { Authorization: 'Bearer abc' } }), ORIGIN)).toBe(false);
+  });
+
+  test('should forget clients that have gone away', async () => {
+    const live = { id: 'live' };
+    const clientIds = new Set(['gone', 'live']);
+
+    const client = await findDeployNetClient(createClientsApi([live]), clientIds, 'gone');
+
+    expect(client).toBe(live);
+    expect(clientIds.has('gone')).toBe(false);
+  });
+
+  test('should serve cached content through the page client', async () => {
+    const pageClient = createPageClient();
+    await pageClient.cache.store(`${ORIGIN}/app.css`, 'body {}', {
+      contentType: 'text/css',
+      freshUntil: Date.now() + 60000
+    });
+    const windowClient = createWindowClient('page-1', pageClient, jest.fn());
+    const fetchImpl = jest.fn();
+
+    const response = await handleFetch(new Request(`${ORIGIN}/app.css`), {
+      clientsApi: createClientsApi([windowClient]),
+      clientIds: new Set(['page-1']),
+      clientId: 'page-1',
+      fetchImpl
+    });
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(await response.text()).toBe('body {}');
+    expect(response.headers.get('X-DeployNet-Source')).toBe('cache');
+  });
+
+  test('should not cache origin responses to credentialed requests', async () => {
+    const pageClient = createPageClient({ interception: { bypassCredentials: false } });
+    pageClient.validateContent = async () => true;
+    const originalFetch = jest.fn(async () => new Response('body { color: red; }', { headers: { 'Cache-Control': 'max-age=60' } }));
+    const windowClient = createWindowClient('page-1', pageClient, originalFetch);
+
+    const response = await handleFetch(new Request(`${ORIGIN}/account.css`, { credentials: 'include', headers: { Authorization: 'Bearer abc' } }), {
+      clientsApi: createClientsApi([windowClient]),
+      clientIds: new Set(['page-1']),
+      fetchImpl: jest.fn()
+    });
+
+    expect(await response.text()).toBe('body { color: red; }');
+    const [, init] = originalFetch.mock.calls[0];
+    expect(init.credentials).toBe('include');
+    expect(new Headers(init.headers).get('Authorization')).toBe('Bearer abc');
+    expect(pageClient.cache.has(`${ORIGIN}/account.css`)).toBe(false);
+  });
+
+  test('should fall back to the origin for content outside the manifest', async () => {
+    const windowClient = createWindowClient('page-1', createPageClient(), jest.fn());
+    const fetchImpl = jest.fn(async () => new Response('origin'));
+
+    const response = await handleFetch(new Request(`${ORIGIN}/data.json`), {
+      clientsApi: createClientsApi([windowClient]),
+      clientIds: new Set(['page-1']),
+      fetchImpl
+    });
+
+    expect(windowClient.postMessage).toHaveBeenCalled();
+    expect(await response.text()).toBe('origin');
+  });
+
+  test('should fall back to the origin when no page client answers', async () => {
+    const silent = { id: 'page-1', postMessage: jest.fn() };
+    const fetchImpl = jest.fn(async () => new Response('origin'));
+
+    const response = await handleFetch(new Request(`${ORIGIN}/app.css`), {
+      clientsApi: createClientsApi([silent]),
+      clientIds: new Set(['page-1']),
+      fetchImpl,
+      timeout: 10
+    });
+    expect(await response.text()).toBe('origin');
+
+    const noClients = await handleFetch(new Request(`${ORIGIN}/app.css`), {
+      clientsApi: createClientsApi([]),
+      clientIds: new Set(),
+      fetchImpl
+    });
+    expect(await noClients.text()).toBe('origin');
+  });
+});
+
+describe('DeployNet Client interception modes', () => {
+  test('should register the worker and announce itself by default', async () => {
+    const controller = { postMessage: jest.fn() };
+    const container = {
+      controller,
+      addEventListener: jest.fn(),
+      register: jest.fn(async () => ({})),
+      startMessages: jest.fn()
+    };
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      persistentCache: false,
+      serviceWorker: container
+    });
+
+    await client.setupContentInterception();
+
+    expect(container.register).toHaveBeenCalledWith('/deploynet-sw.js', { scope: '/' });
+    expect(controller.postMessage).toHaveBeenCalledWith({ type: 'deploynet-ready', routeTimeout: 3000 });
+  });
+
+  test('should leave fetch alone unless the fetch mode is chosen', async () => {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'test-site',
+      persistentCache: false,
+      interceptionMode: 'none'
+    });
+    client.setupFetchInterception = jest.fn();
+
+    await client.setupContentInterception();
+    expect(client.setupFetchInterception).not.toHaveBeenCalled();
+
+    client.config.interceptionMode = 'fetch';
+    await client.setupContentInterception();
+    expect(client.setupFetchInterception).toHaveBeenCalled();
+  });
+});
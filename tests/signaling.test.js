@@ -0,0 +1,101 @@
+const {
+  SIGNALING_PROTOCOL_VERSION,
+  MessageType,
+  encodeSignal,
+  decodeSignal
+} = require('../web/signaling.js');
+const DeployNetClient = require('../web/client.js');
+const fixtures = require('./fixtures/signaling-messages.json');
+
+describe('Signaling codec', () => {
+  test('should have a fixture for every message type', () => {
+    expect(Object.keys(fixtures).sort()).toEqual(Object.keys(MessageType).sort());
+  });
+
+  test.each(Object.keys(MessageType))('should round-trip %s through the Go wire format', (name) => {
+    const wire = fixtures[name];
+
+    const message = decodeSignal(JSON.stringify(wire));
+
+    expect(message.type).toBe(MessageType[name]);
+    expect(message.senderId).toBe(wire.sender_id);
+    expect(message.roomId).toBe(wire.room_id);
+    expect(JSON.parse(encodeSignal(message))).toEqual(wire);
+  });
+
+  test('should stamp the protocol version and current time when encoding', () => {
+    const wire = JSON.parse(encodeSignal({
+      type: MessageType.UNREGISTER,
+      payload: { clientId: 'client_alice' },
+      senderId: 'client_alice',
+      roomId: 'demo-site'
+    }));
+
+    expect(wire.version).toBe(SIGNALING_PROTOCOL_VERSION);
+    expect(Date.parse(wire.timestamp)).not.toBeNaN();
+  });
+
+  test('should reject malformed messages', () => {
+    const withChanges = (name, changes) => JSON.stringify({ ...fixtures[name], ...changes });
+
+    expect(() => decodeSignal('not json')).toThrow('not JSON');
+    expect(() => decodeSignal(withChanges('OFFER', { version: 2 }))).toThrow('unsupported protocol version 2');
+    expect(() => decodeSignal(withChanges('OFFER', { type: 42 }))).toThrow('unknown message type 42');
+    expect(() => decodeSignal(withChanges('OFFER', { payload: { type: 'answer', sdp: '' } })))
+      .toThrow('Invalid OFFER signaling message');
+    expect(() => decodeSignal(withChanges('REGISTER', { payload: '{"clientId":"a"}' })))
+      .toThrow('payload must include clientId and siteId');
+    expect(() => decodeSignal(withChanges('HEARTBEAT', { timestamp: 'yesterday' }))).toThrow('timestamp');
+    expect(() => encodeSignal({ type: MessageType.ICE_CANDIDATE, payload: {}, senderId: 'a', roomId: 'b', targetId: 'c' }))
+      .toThrow('payload must be an ICE candidate');
+    expect(() => decodeSignal(withChanges('ANSWER', { target_id: undefined }))).toThrow('targetId is required');
+  });
+});
+
+describe('DeployNet Client signaling', () => {
+  function createClient() {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://localhost:8080',
+      siteId: 'demo-site',
+      persistentCache: false
+    });
+    client.signalingChannel = { send: jest.fn(() => true) };
+    return client;
+  }
+
+  test('should send Register with the hub type and field names', async () => {
+    const client = createClient();
+
+    await client.registerWithNetwork();
+
+    const wire = JSON.parse(client.signalingChannel.send.mock.calls[0][0]);
+    expect(wire).toEqual(expect.objectContaining({
+      version: SIGNALING_PROTOCOL_VERSION,
+      type: MessageType.REGISTER,
+      sender_id: client.clientId,
+      room_id: 'demo-site'
+    }));
+    expect(wire.payload.clientId).toBe(client.clientId);
+  });
+
+  test('should dispatch decoded messages by sender', () => {
+    const client = createClient();
+    client.initiatePeerConnection = jest.fn();
+
+    client.handleSignalingData(JSON.stringify(fixtures.PEER_DISCOVERY));
+
+    expect(client.peers.get('client_carol')).toEqual(fixtures.PEER_DISCOVERY.payload);
+    expect(client.initiatePeerConnection).toHaveBeenCalledWith('client_carol');
+  });
+
+  test('should drop invalid messages without throwing', () => {
+    const client = createClient();
+    client.handleSignalingMessage = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    client.handleSignalingData(JSON.stringify({ ...fixtures.OFFER, payload: 'v=0' }));
+
+    expect(client.handleSignalingMessage).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
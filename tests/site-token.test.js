@@ -0,0 +1,156 @@
+const { webcrypto } = require('crypto');
+const DeployNetClient = require('../web/client.js');
+const { createSiteToken, verifySiteToken } = require('../web/site-token.js');
+const { settle, MockHub, FakePeerConnection } = require('./helpers/mock-network.js');
+
+global.RTCPeerConnection = FakePeerConnection;
+
+const URL_PATH = 'https://example.com/app.js';
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+async function createSiteKeys() {
+  const keyPair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  return {
+    privateKey: await webcrypto.subtle.exportKey('jwk', keyPair.privateKey),
+    publicKey: await webcrypto.subtle.exportKey('jwk', keyPair.publicKey)
+  };
+}
+
+function createClient(hub, clientId, config = {}) {
+  const client = new DeployNetClient({
+    signalingServer: 'ws://hub.test',
+    siteId: 'demo-site',
+    persistentCache: false,
+    WebSocket: hub.WebSocket,
+    ...config
+  });
+  client.clientId = clientId;
+  return client;
+}
+
+// b serves content and requires tokens signed with the site key
+async function connectPair(requesterConfig, keys) {
+  const hub = new MockHub();
+  const a = createClient(hub, 'client_a', requesterConfig);
+  const b = createClient(hub, 'client_b', { siteTokenPublicKey: keys.publicKey, siteTokenTimeout: 200 });
+  await a.setupSignalingConnection();
+  await b.setupSignalingConnection();
+  a.initiatePeerConnection('client_b');
+  await settle();
+  await b.cache.store(URL_PATH, 'console.log(1)', b.getCacheMetadata(URL_PATH, { freshUntil: Date.now() + 60000 }));
+  return { a, b };
+}
+
+describe('Site tokens', () => {
+  let keys;
+
+  beforeAll(async () => {
+    keys = await createSiteKeys();
+  });
+
+  test('should verify tokens signed with the site key', async () => {
+    const token = await createSiteToken({ sub: 'user-1', aud: 'demo-site', exp: nowSeconds() + 300 }, keys.privateKey);
+
+    await expect(verifySiteToken(token, keys.publicKey, { siteId: 'demo-site' })).resolves.toMatchObject({ sub: 'user-1' });
+  });
+
+  test('should reject forged, expired and misaddressed tokens', async () => {
+    const other = await createSiteKeys();
+    const exp = nowSeconds() + 300;
+
+    await expect(verifySiteToken(await createSiteToken({ exp }, other.privateKey), keys.publicKey))
+      .rejects.toThrow('Invalid site token signature');
+    await expect(verifySiteToken(await createSiteToken({ exp: nowSeconds() - 120 }, keys.privateKey), keys.publicKey))
+      .rejects.toThrow('Site token has expired');
+    await expect(verifySiteToken(await createSiteToken({ sub: 'user-1' }, keys.privateKey), keys.publicKey))
+      .rejects.toThrow('Site token has no expiry');
+    await expect(verifySiteToken(await createSiteToken({ exp, aud: 'other-site' }, keys.privateKey), keys.publicKey, { siteId: 'demo-site' }))
+      .rejects.toThrow('Site token was issued for another site');
+    await expect(verifySiteToken(await createSiteToken({ exp }, keys.privateKey), keys.publicKey, { siteId: 'demo-site' }))
+      .rejects.toThrow('Site token has no audience');
+    await expect(verifySiteToken(await createSiteToken({ exp, sub: 'client_c' }, keys.privateKey), keys.publicKey, { subject: 'client_a' }))
+      .rejects.toThrow('Site token was issued for another client');
+    await expect(verifySiteToken('not-a-token', keys.publicKey)).rejects.toThrow('Malformed site token');
+
+    const [header, , signature] = (await createSiteToken({ exp }, keys.privateKey)).split('.');
+    const tampered = Buffer.from(JSON.stringify({ exp, admin: true })).toString('base64url');
+    await expect(verifySiteToken(`${header}.${tampered}.${signature}`, keys.publicKey))
+      .rejects.toThrow('Invalid site token signature');
+  });
+});
+
+describe('Site token gating', () => {
+  let keys;
+
+  beforeAll(async () => {
+    keys = await createSiteKeys();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse peers that present no token', async () => {
+    const { a } = await connectPair({}, keys);
+
+    await expect(a.requestContentFromPeer('client_b', URL_PATH)).rejects.toThrow('Peer could not serve request: unauthorized');
+  });
+
+  test('should serve peers that present a valid token', async () => {
+    const issue = jest.fn(clientId => createSiteToken({ sub: clientId, aud: 'demo-site', exp: nowSeconds() + 300 }, keys.privateKey));
+    const { a } = await connectPair({ siteToken: issue }, keys);
+
+    const { content } = await a.requestContentFromPeer('client_b', URL_PATH);
+
+    expect(new TextDecoder().decode(content)).toBe('console.log(1)');
+    expect(issue).toHaveBeenCalledWith('client_a');
+  });
+
+  test('should hold a new peer\'s first request until its token arrives', async () => {
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    const { a, b } = await connectPair({ siteToken: () => pending }, keys);
+
+    const request = a.requestContentFromPeer('client_b', URL_PATH);
+    await settle();
+    expect(b.siteTokenWaiters.has('client_a')).toBe(true);
+    release(await createSiteToken({ sub: 'client_a', aud: 'demo-site', exp: nowSeconds() + 300 }, keys.privateKey));
+
+    const { content } = await request;
+    expect(new TextDecoder().decode(content)).toBe('console.log(1)');
+    expect(b.siteTokenWaiters.size).toBe(0);
+  });
+
+  test('should refuse peers that present a token issued to another client', async () => {
+    const token = await createSiteToken({ sub: 'client_c', aud: 'demo-site', exp: nowSeconds() + 300 }, keys.privateKey);
+    const { a } = await connectPair({ siteToken: async () => token }, keys);
+
+    await expect(a.requestContentFromPeer('client_b', URL_PATH)).rejects.toThrow('unauthorized');
+    expect(console.warn).toHaveBeenCalledWith('Rejected site token from peer client_a: Site token was issued for another client');
+  });
+
+  test('should refuse peers whose token was signed by someone else', async () => {
+    const other = await createSiteKeys();
+    const token = await createSiteToken({ sub: 'client_a', aud: 'demo-site', exp: nowSeconds() + 300 }, other.privateKey);
+    const { a } = await connectPair({ siteToken: async () => token }, keys);
+
+    await expect(a.requestContentFromPeer('client_b', URL_PATH)).rejects.toThrow('unauthorized');
+    expect(console.warn).toHaveBeenCalledWith('Rejected site token from peer client_a: Invalid site token signature');
+  });
+
+  test('should accept a renewed token once the old one expires', async () => {
+    const expired = await createSiteToken({ sub: 'client_a', aud: 'demo-site', exp: nowSeconds() - 120 }, keys.privateKey);
+    const { a } = await connectPair({ siteToken: async () => expired }, keys);
+    await expect(a.requestContentFromPeer('client_b', URL_PATH)).rejects.toThrow('unauthorized');
+
+    a.setSiteToken(await createSiteToken({ sub: 'client_a', aud: 'demo-site', exp: nowSeconds() + 300 }, keys.privateKey));
+    await settle();
+
+    await expect(a.requestContentFromPeer('client_b', URL_PATH)).resolves.toMatchObject({ peerId: 'client_b' });
+  });
+});
@@ -0,0 +1,117 @@
+const { IDBFactory } = require('fake-indexeddb');
+const { PersistentStore } = require('../web/storage.js');
+const DeployNetClient = require('../web/client.js');
+
+function createClient(indexedDB, config = {}) {
+  return new DeployNetClient({
+    signalingServer: 'ws://localhost:8080',
+    siteId: 'test-site',
+    indexedDB,
+    ...config
+  });
+}
+
+function bytes(...values) {
+  return new Uint8Array(values).buffer;
+}
+
+describe('PersistentStore', () => {
+  test('should store, list and delete entries', async () => {
+    const store = new PersistentStore('deploynet-test', { indexedDB: new IDBFactory() });
+
+    await store.put('/app.js', bytes(1, 2, 3), { size: 3, sha256: 'abc' });
+    await store.put('/style.css', 'body {}', { size: 7, sha256: 'def' });
+
+    const record = await store.get('/app.js');
+    expect(Array.from(new Uint8Array(record.content))).toEqual([1, 2, 3]);
+    expect(record.metadata.sha256).toBe('abc');
+    expect((await store.listMetadata()).map(({ url }) => url).sort()).toEqual(['/app.js', '/style.css']);
+
+    await store.delete('/app.js');
+    expect(await store.get('/app.js')).toBeNull();
+  });
+});
+
+describe('ContentCache persistent tier', () => {
+  test('should serve entries from an earlier visit after restore', async () => {
+    const indexedDB = new IDBFactory();
+    const firstVisit = createClient(indexedDB);
+    await firstVisit.cache.store('/app.js', bytes(1, 2, 3), {
+      sha256: 'hash-1',
+      contentType: 'application/javascript',
+      etag: '"v1"'
+    });
+
+    const returningVisit = createClient(indexedDB);
+    await returningVisit.cache.restore();
+
+    expect(returningVisit.cache.has('/app.js')).toBe(true);
+    expect(returningVisit.cache.get('/app.js')).toBeNull(); // Not in memory yet
+
+    const cached = await returningVisit.cache.lookup('/app.js');
+    expect(Array.from(new Uint8Array(cached.content))).toEqual([1, 2, 3]);
+    expect(cached.meta).toEqual(expect.objectContaining({
+      sha256: 'hash-1',
+      contentType: 'application/javascript',
+      etag: '"v1"',
+      size: 3
+    }));
+    expect(returningVisit.cache.get('/app.js')).not.toBeNull(); // Promoted into memory
+  });
+
+  test('should keep the persistent tier within the cacheSize quota', async () => {
+    const client = createClient(new IDBFactory(), { cacheSize: 10 });
+
+    const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    await client.cache.store('/a.js', bytes(1, 1, 1, 1), {});
+    await tick();
+    await client.cache.store('/b.js', bytes(2, 2, 2, 2), {});
+    await tick();
+    await client.cache.lookup('/a.js'); // /b.js becomes the least recently used
+    await tick();
+    await client.cache.store('/c.js', bytes(3, 3, 3, 3), {});
+
+    expect(client.cache.persistentSize).toBeLessThanOrEqual(10);
+    expect(client.cache.persistentIndex.has('/a.js')).toBe(true);
+    expect(client.cache.persistentIndex.has('/b.js')).toBe(false);
+    expect(client.cache.persistentIndex.has('/c.js')).toBe(true);
+  });
+
+  test('should drop expired entries on restore', async () => {
+    const indexedDB = new IDBFactory();
+    const client = createClient(indexedDB);
+    await client.cache.store('/old.js', bytes(1), { expires: Date.now() - 1000 });
+    await client.cache.store('/fresh.js', bytes(2), { expires: Date.now() + 60000 });
+
+    const restored = createClient(indexedDB);
+    await restored.cache.restore();
+
+    expect(restored.cache.has('/old.js')).toBe(false);
+    expect(restored.cache.has('/fresh.js')).toBe(true);
+  });
+
+  test('should prune entries the current manifest does not vouch for', async () => {
+    const indexedDB = new IDBFactory();
+    const client = createClient(indexedDB);
+    await client.cache.store('https://example.com/app.js', bytes(1), { sha256: 'current' });
+    await client.cache.store('https://example.com/old.js', bytes(2), { sha256: 'previous' });
+
+    const restored = createClient(indexedDB);
+    restored.manifest = {
+      getEntry: (url) => (url === 'https://example.com/app.js' ? { sha256: 'current' } : null)
+    };
+    await restored.restoreCache();
+
+    expect(restored.cache.keys()).toEqual(['https://example.com/app.js']);
+  });
+
+  test('should fall back to memory only when persistence is disabled', async () => {
+    const client = createClient(new IDBFactory(), { persistentCache: false });
+
+    await client.cache.store('/app.js', bytes(1, 2), {});
+
+    expect(client.cache.persistentStore).toBeNull();
+    expect((await client.cache.lookup('/app.js')).content.byteLength).toBe(2);
+  });
+});
@@ -0,0 +1,110 @@
+const { SwarmDownload } = require('../web/swarm.js');
+
+const SIZE = 40;
+const PIECE_SIZE = 8;
+const content = Uint8Array.from({ length: SIZE }, (_, i) => i);
+
+function slice(start, end) {
+  return content.slice(start, end).buffer;
+}
+
+function createSwarm(peerIds, requestPiece, overrides = {}) {
+  return new SwarmDownload({
+    size: SIZE,
+    pieceSize: PIECE_SIZE,
+    peerIds,
+    requestPiece,
+    verifyPiece: async (index, bytes) => {
+      const expected = content.slice(index * PIECE_SIZE, (index + 1) * PIECE_SIZE);
+      return Buffer.from(new Uint8Array(bytes)).equals(Buffer.from(expected));
+    },
+    fetchRange: jest.fn(async (start, end) => slice(start, end)),
+    pieceTimeout: 50,
+    ...overrides
+  });
+}
+
+describe('SwarmDownload', () => {
+  test('should fetch pieces from several peers in parallel', async () => {
+    let concurrent = 0;
+    let maxConcurrent = 0;
+    const requestPiece = jest.fn(async (peerId, start, end) => {
+      concurrent++;
+      maxConcurrent = Math.max(maxConcurrent, concurrent);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      concurrent--;
+      return slice(start, end);
+    });
+    const swarm = createSwarm(['peer-a', 'peer-b'], requestPiece);
+
+    const result = await swarm.run();
+
+    expect(Array.from(new Uint8Array(result))).toEqual(Array.from(content));
+    expect(maxConcurrent).toBeGreaterThan(1);
+    expect(swarm.stats.peersUsed).toEqual(new Set(['peer-a', 'peer-b']));
+    expect(swarm.stats.originBytes).toBe(0);
+  });
+
+  test('should re-request pieces that fail verification from another peer', async () => {
+    const onPieceResult = jest.fn();
+    const requestPiece = async (peerId, start, end) => {
+      if (peerId === 'evil') {
+        return new Uint8Array(end - start).fill(0xff).buffer;
+      }
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return slice(start, end);
+    };
+    const swarm = createSwarm(['evil', 'good'], requestPiece, { onPieceResult });
+
+    const result = await swarm.run();
+
+    expect(Array.from(new Uint8Array(result))).toEqual(Array.from(content));
+    expect(onPieceResult).toHaveBeenCalledWith(expect.objectContaining({ peerId: 'evil', ok: false, reason: 'integrity' }));
+    expect(swarm.stats.peersUsed).toEqual(new Set(['good']));
+  });
+
+  test('should re-request pieces held up by a slow peer from another peer', async () => {
+    const requestPiece = (peerId, start, end, signal) => new Promise((resolve, reject) => {
+      if (peerId === 'slow') {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+        return;
+      }
+      setTimeout(() => resolve(slice(start, end)), 1);
+    });
+    const swarm = createSwarm(['slow', 'fast'], requestPiece, { pieceTimeout: 20 });
+
+    const result = await swarm.run();
+
+    expect(Array.from(new Uint8Array(result))).toEqual(Array.from(content));
+    expect(swarm.stats.peersUsed).toEqual(new Set(['fast']));
+  });
+
+  test('should fetch only the missing pieces from origin with merged ranges', async () => {
+    // The only peer holds pieces 0 and 4 and fails everything else
+    const requestPiece = async (peerId, start, end) => {
+      if (start === 0 || start === 32) {
+        return slice(start, end);
+      }
+      throw new Error('not available');
+    };
+    const fetchRange = jest.fn(async (start, end) => slice(start, end));
+    const swarm = createSwarm(['partial'], requestPiece, { fetchRange, maxPeerFailures: 10 });
+
+    const result = await swarm.run();
+
+    expect(Array.from(new Uint8Array(result))).toEqual(Array.from(content));
+    expect(fetchRange).toHaveBeenCalledTimes(1);
+    expect(fetchRange).toHaveBeenCalledWith(8, 32);
+    expect(swarm.stats.peerBytes).toBe(16);
+    expect(swarm.stats.originBytes).toBe(24);
+  });
+
+  test('should go straight to origin without peers', async () => {
+    const fetchRange = jest.fn(async (start, end) => slice(start, end));
+    const swarm = createSwarm([], jest.fn(), { fetchRange });
+
+    await swarm.run();
+
+    expect(fetchRange).toHaveBeenCalledWith(0, SIZE);
+  });
+});
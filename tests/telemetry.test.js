@@ -0,0 +1,149 @@
+const http = require('http');
+const { TelemetryReporter } = require('../web/telemetry.js');
+const DeployNetClient = require('../web/client.js');
+const { describeResponse } = require('../web/http-cache.js');
+const { statsUrl, fetchSiteStats, formatStats } = require('../lib/status.js');
+const { settle, MockHub } = require('./helpers/mock-network.js');
+
+describe('TelemetryReporter', () => {
+  test('should report counters since the last report only', () => {
+    const reporter = new TelemetryReporter();
+    reporter.record('cacheHits');
+    reporter.record('cacheBytes', 512);
+
+    expect(reporter.takeReport(2)).toEqual({
+      cacheHits: 1,
+      peerHits: 0,
+      originFallbacks: 0,
+      cacheBytes: 512,
+      peerBytes: 0,
+      originBytes: 0,
+      activePeers: 2
+    });
+    expect(reporter.takeReport(2)).toBeNull();
+    expect(reporter.takeReport(3)).toMatchObject({ cacheHits: 0, activePeers: 3 });
+
+    reporter.resetGauges();
+    expect(reporter.takeReport(3)).toMatchObject({ activePeers: 3 });
+    expect(() => reporter.record('url')).toThrow('Unknown telemetry counter: url');
+  });
+});
+
+describe('DeployNet Client telemetry', () => {
+  const url = 'https://example.com/style.css';
+  const body = 'body { color: red; }';
+
+  function createClient(hub, config = {}) {
+    const client = new DeployNetClient({
+      signalingServer: 'ws://hub.test',
+      siteId: 'demo-site',
+      persistentCache: false,
+      WebSocket: hub.WebSocket,
+      ...config
+    });
+    client.clientId = 'a';
+    client.manifest = { getEntry: () => null, has: () => true };
+    client.validateContent = async () => true;
+    return client;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report how requests were served without naming them', async () => {
+    const hub = new MockHub();
+    const client = createClient(hub);
+    await client.setupSignalingConnection();
+    await client.cache.store(url, body, client.getCacheMetadata(url, describeResponse({ 'cache-control': 'max-age=60' })));
+    const originalFetch = jest.fn(async () => new Response('<h1>Hi</h1>', { headers: { 'Content-Length': '11' } }));
+
+    await client.interceptRequest(url, {}, originalFetch);
+    await client.interceptRequest('https://example.com/index.html', {}, originalFetch);
+    client.reportTelemetry();
+    await settle();
+
+    expect(hub.telemetry).toEqual([{
+      from: 'a',
+      room: 'demo-site',
+      payload: {
+        cacheHits: 1,
+        peerHits: 0,
+        originFallbacks: 1,
+        cacheBytes: body.length,
+        peerBytes: 0,
+        originBytes: 11,
+        activePeers: 0
+      }
+    }]);
+    expect(hub.deliveries).toEqual([]);
+    client.disconnect();
+  });
+
+  test('should not report when telemetry is disabled', async () => {
+    const hub = new MockHub();
+    const client = createClient(hub, { telemetry: false, telemetryInterval: 10 });
+    await client.setupSignalingConnection();
+    client.setupTelemetry();
+    client.telemetry.record('cacheHits');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    client.disconnect();
+
+    expect(hub.telemetry).toEqual([]);
+  });
+});
+
+describe('deploynet status', () => {
+  const stats = {
+    siteId: 'demo-site',
+    peersOnline: 3,
+    reportingPeers: 3,
+    peerConnections: 2,
+    cacheHits: 30,
+    peerHits: 50,
+    originFallbacks: 20,
+    cacheBytes: 1024 * 1024,
+    peerBytes: 2 * 1024 * 1024,
+    originBytes: 1024 * 1024,
+    hitRate: 0.8,
+    bandwidthSaved: 0.75,
+    since: '2026-10-19T12:00:00Z',
+    updatedAt: '2026-10-19T12:05:00Z'
+  };
+
+  test('should query the stats endpoint next to the signaling socket', () => {
+    expect(statsUrl('ws://localhost:8080', 'demo-site')).toBe('http://localhost:8080/stats?site=demo-site');
+    expect(statsUrl('wss://signal.example.com/deploynet/', 'a b')).toBe('https://signal.example.com/deploynet/stats?site=a%20b');
+  });
+
+  test('should fetch stats from a running hub', async () => {
+    const server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ...stats, siteId: new URL(req.url, 'http://hub').searchParams.get('site') }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+      const fetched = await fetchSiteStats(statsUrl(`ws://127.0.0.1:${port}`, 'other-site'));
+      expect(fetched).toMatchObject({ siteId: 'other-site', peersOnline: 3 });
+    } finally {
+      server.close();
+    }
+  });
+
+  test('should summarise hit rate and bandwidth saved', () => {
+    const lines = formatStats(stats);
+
+    expect(lines).toContain('Peers: 3 online, 2 peer connections');
+    expect(lines).toContain('Requests: 100 (30 cache, 50 peers, 20 origin)');
+    expect(lines).toContain('Cache Hit Rate: 80%');
+    expect(lines).toContain('Bandwidth Saved: 75% (3.0 MB of 4.0 MB)');
+    expect(formatStats({ ...stats, peersOnline: 0, updatedAt: undefined })).toContain('No telemetry reported yet');
+  });
+});
@@ -0,0 +1,180 @@
+const {
+  FrameType,
+  encodeFrame,
+  decodeFrame,
+  TransferSession
+} = require('../web/transfer.js');
+
+// In-memory stand-in for a pair of connected RTCDataChannels
+class FakeDataChannel extends EventTarget {
+  constructor() {
+    super();
+    this.readyState = 'open';
+    this.bufferedAmount = 0;
+    this.bufferedAmountLowThreshold = 0;
+    this.remote = null;
+    this.sent = [];
+    this.paused = false;
+  }
+
+  send(data) {
+    this.sent.push(data);
+    this.bufferedAmount += data.byteLength;
+    if (!this.paused) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    const frames = this.sent.splice(0);
+    this.bufferedAmount = 0;
+    frames.forEach(frame => setImmediate(() => this.remote.onframe(frame)));
+    this.dispatchEvent(new Event('bufferedamountlow'));
+  }
+}
+
+function createSessionPair(options = {}) {
+  const channelA = new FakeDataChannel();
+  const channelB = new FakeDataChannel();
+  channelA.remote = channelB;
+  channelB.remote = channelA;
+
+  const a = new TransferSession(channelA, options);
+  const b = new TransferSession(channelB, options);
+  const requestsAtB = [];
+
+  channelA.onframe = data => a.handleFrame(data);
+  channelB.onframe = data => {
+    const message = b.handleFrame(data);
+    if (message) {
+      requestsAtB.push(message);
+    }
+  };
+
+  return { a, b, channelA, channelB, requestsAtB };
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Transfer framing', () => {
+  test('should round-trip frame headers and payloads', () => {
+    const frame = decodeFrame(encodeFrame(FrameType.DATA, 42, 7, new Uint8Array([1, 2, 3])));
+
+    expect(frame.type).toBe(FrameType.DATA);
+    expect(frame.requestId).toBe(42);
+    expect(frame.sequence).toBe(7);
+    expect(Array.from(frame.payload)).toEqual([1, 2, 3]);
+  });
+
+  test('should reject truncated frames', () => {
+    expect(() => decodeFrame(new ArrayBuffer(4))).toThrow('Frame too short');
+  });
+});
+
+describe('TransferSession', () => {
+  test('should transfer binary content in chunks and reassemble it', async () => {
+    const { a, b, requestsAtB } = createSessionPair({ chunkSize: 4 });
+    const content = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 250, 255]);
+
+    const response = a.request({ type: 'contentRequest', url: '/logo.png' });
+    await nextTick();
+
+    expect(requestsAtB).toHaveLength(1);
+    expect(requestsAtB[0].url).toBe('/logo.png');
+
+    await b.sendContent(requestsAtB[0].requestId, { url: '/logo.png' }, content);
+    const { content: received, meta } = await response;
+
+    expect(Array.from(new Uint8Array(received))).toEqual(Array.from(content));
+    expect(meta.size).toBe(content.byteLength);
+  });
+
+  test('should resolve empty content without data frames', async () => {
+    const { a, b, requestsAtB } = createSessionPair();
+
+    const response = a.request({ type: 'contentRequest', url: '/empty.txt' });
+    await nextTick();
+    await b.sendContent(requestsAtB[0].requestId, {}, new ArrayBuffer(0));
+
+    expect((await response).content.byteLength).toBe(0);
+  });
+
+  test('should wait for bufferedamountlow before sending more chunks', async () => {
+    const { a, b, channelB, requestsAtB } = createSessionPair({ chunkSize: 4, maxBufferedAmount: 8 });
+    channelB.paused = true;
+
+    const response = a.request({ type: 'contentRequest', url: '/big.bin' });
+    await nextTick();
+    const sending = b.sendContent(requestsAtB[0].requestId, {}, new Uint8Array(32));
+    await nextTick();
+
+    // The response header alone exceeds the limit, so no chunk is queued yet
+    expect(channelB.sent).toHaveLength(1);
+
+    channelB.paused = false;
+    channelB.flush();
+    await sending;
+
+    expect((await response).content.byteLength).toBe(32);
+  });
+
+  test('should reject when the peer does not have the content', async () => {
+    const { a, b, requestsAtB } = createSessionPair();
+
+    const response = a.request({ type: 'contentRequest', url: '/missing.js' });
+    await nextTick();
+    b.sendMessage({ type: 'contentError', requestId: requestsAtB[0].requestId, reason: 'notFound' });
+
+    await expect(response).rejects.toThrow('notFound');
+  });
+
+  test('should reject responses whose size differs from the expected size', async () => {
+    const { a, b, requestsAtB } = createSessionPair();
+
+    const response = a.request({ type: 'contentRequest', url: '/app.js' }, { expectedSize: 3 });
+    await nextTick();
+    await b.sendContent(requestsAtB[0].requestId, {}, 'too long');
+
+    await expect(response).rejects.toThrow('Unexpected response size');
+  });
+
+  test('should cancel a transfer and stop the sender', async () => {
+    const { a, b, channelB, requestsAtB } = createSessionPair({ chunkSize: 4, maxBufferedAmount: 4 });
+    const controller = new AbortController();
+    channelB.paused = true;
+
+    const response = a.request({ type: 'contentRequest', url: '/video.mp4' }, { signal: controller.signal });
+    await nextTick();
+    const sending = b.sendContent(requestsAtB[0].requestId, {}, new Uint8Array(64));
+    await nextTick();
+
+    controller.abort();
+    await expect(response).rejects.toThrow('Request cancelled');
+    await nextTick();
+
+    channelB.paused = false;
+    channelB.flush();
+
+    expect(await sending).toBe(false);
+  });
+
+  test('should time out requests that get no response', async () => {
+    jest.useFakeTimers();
+    const { a } = createSessionPair();
+
+    const response = a.request({ type: 'contentRequest', url: '/slow.css' }, { timeout: 1000 });
+    jest.advanceTimersByTime(1000);
+
+    await expect(response).rejects.toThrow('Peer request timeout');
+    jest.useRealTimers();
+  });
+
+  test('should fail pending requests when the session closes', async () => {
+    const { a } = createSessionPair();
+
+    const response = a.request({ type: 'contentRequest', url: '/app.js' });
+    a.close();
+
+    await expect(response).rejects.toThrow('Data channel closed');
+  });
+});
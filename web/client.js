@@ -3,125 +3,657 @@
  * Decentralized Content Delivery Network
  */
 
+const DeployNetIntegrity = typeof module !== 'undefined' && module.exports
+    ? require('./integrity.js')
+    : window.DeployNetIntegrity;
+const DeployNetTransfer = typeof module !== 'undefined' && module.exports
+    ? require('./transfer.js')
+    : window.DeployNetTransfer;
+const DeployNetSwarm = typeof module !== 'undefined' && module.exports
+    ? require('./swarm.js')
+    : window.DeployNetSwarm;
+const DeployNetScoring = typeof module !== 'undefined' && module.exports
+    ? require('./scoring.js')
+    : window.DeployNetScoring;
+const DeployNetStorage = typeof module !== 'undefined' && module.exports
+    ? require('./storage.js')
+    : window.DeployNetStorage;
+const DeployNetEviction = typeof module !== 'undefined' && module.exports
+    ? require('./eviction.js')
+    : window.DeployNetEviction;
+const DeployNetHttpCache = typeof module !== 'undefined' && module.exports
+    ? require('./http-cache.js')
+    : window.DeployNetHttpCache;
+const DeployNetSignaling = typeof module !== 'undefined' && module.exports
+    ? require('./signaling.js')
+    : window.DeployNetSignaling;
+const DeployNetIce = typeof module !== 'undefined' && module.exports
+    ? require('./ice.js')
+    : window.DeployNetIce;
+const DeployNetReconnect = typeof module !== 'undefined' && module.exports
+    ? require('./reconnect.js')
+    : window.DeployNetReconnect;
+const DeployNetIdentity = typeof module !== 'undefined' && module.exports
+    ? require('./identity.js')
+    : window.DeployNetIdentity;
+const DeployNetSiteToken = typeof module !== 'undefined' && module.exports
+    ? require('./site-token.js')
+    : window.DeployNetSiteToken;
+const DeployNetRateLimit = typeof module !== 'undefined' && module.exports
+    ? require('./rate-limit.js')
+    : window.DeployNetRateLimit;
+const DeployNetContentIndex = typeof module !== 'undefined' && module.exports
+    ? require('./content-index.js')
+    : window.DeployNetContentIndex;
+const DeployNetPeerPool = typeof module !== 'undefined' && module.exports
+    ? require('./peer-pool.js')
+    : window.DeployNetPeerPool;
+const DeployNetHeartbeat = typeof module !== 'undefined' && module.exports
+    ? require('./heartbeat.js')
+    : window.DeployNetHeartbeat;
+const DeployNetTelemetry = typeof module !== 'undefined' && module.exports
+    ? require('./telemetry.js')
+    : window.DeployNetTelemetry;
+const DeployNetLogger = typeof module !== 'undefined' && module.exports
+    ? require('./logger.js')
+    : window.DeployNetLogger;
+const DeployNetInterception = typeof module !== 'undefined' && module.exports
+    ? require('./interception.js')
+    : window.DeployNetInterception;
+
+// Candidates are left unsigned: without the DTLS fingerprint from a signed SDP they can't be used to MITM
+const SIGNED_SIGNAL_TYPES = new Set([
+    DeployNetSignaling.MessageType.OFFER,
+    DeployNetSignaling.MessageType.ANSWER,
+    DeployNetSignaling.MessageType.PEER_DISCOVERY,
+    DeployNetSignaling.MessageType.REGISTER,
+    DeployNetSignaling.MessageType.UNREGISTER
+]);
+
+const MAX_PENDING_CANDIDATES = 50; // Per peer; bounds what an unknown sender can make us buffer
+
+const FORWARD_HISTORY_SIZE = 1024; // Forwarded request IDs remembered for loop detection
+const FORWARD_TIMEOUT_FACTOR = 0.8; // Each hop gives up before the one upstream of it does
+
+const INDEX_BATCH_SIZE = 256; // Hashes per indexAnnounce/indexWithdraw message
+
+// Peer messages that keep a connection open without it being used for anything
+const BACKGROUND_MESSAGE_TYPES = new Set(['ping', 'pong', 'siteToken', 'indexAnnounce', 'indexWithdraw']);
+
+// Telemetry counter for each way a response can be served
+const SERVED_TELEMETRY_COUNTERS = { cache: 'cacheHits', peer: 'peerHits', swarm: 'peerHits', origin: 'originFallbacks' };
+
+// Must match deploynet-sw.js: origin requests made on the worker's behalf skip the worker
+const SERVICE_WORKER_BYPASS_HEADER = 'X-DeployNet-Bypass';
+
 class DeployNetClient {
     constructor(config) {
         this.config = {
             signalingServer: config.signalingServer,
             siteId: config.siteId,
             maxPeers: config.maxPeers || 5,
+            targetPeers: config.targetPeers || Math.max(1, (config.maxPeers || 5) - 1), // Leaves room for incoming connections
+            knownPeerTtl: config.knownPeerTtl || DeployNetPeerPool.POOL_DEFAULTS.knownPeerTtl,
+            peerConnectTimeout: config.peerConnectTimeout || DeployNetPeerPool.POOL_DEFAULTS.connectTimeout,
+            peerIdleTimeout: config.peerIdleTimeout || DeployNetPeerPool.POOL_DEFAULTS.idleTimeout,
+            peerPoolInterval: config.peerPoolInterval || 30000, // How often connections are reviewed
             cacheSize: config.cacheSize || 100 * 1024 * 1024, // 100MB
-            enableEncryption: config.enableEncryption !== false,
-            retryAttempts: config.retryAttempts || 3,
+            memoryCacheSize: config.memoryCacheSize || 20 * 1024 * 1024, // In-memory tier in front of IndexedDB
+            persistentCache: config.persistentCache !== false,
+            cachePolicy: config.cachePolicy || 'lru', // 'lru', 'lfu', 'arc' or 'gds'
+            enableEncryption: config.enableEncryption !== false, // Encrypt data channel traffic end to end
+            retryAttempts: config.retryAttempts ?? 3, // Signaling reconnects before giving up
+            reconnectBaseDelay: config.reconnectBaseDelay || 1000,
+            reconnectMaxDelay: config.reconnectMaxDelay || 30000,
+            signalingHeartbeatInterval: config.signalingHeartbeatInterval || 25000, // Below the hub's read timeout
+            signalingHeartbeatTimeout: config.signalingHeartbeatTimeout || 60000,
+            peerHeartbeatInterval: config.peerHeartbeatInterval || DeployNetHeartbeat.HEARTBEAT_DEFAULTS.interval,
+            peerHeartbeatTimeout: config.peerHeartbeatTimeout || DeployNetHeartbeat.HEARTBEAT_DEFAULTS.timeout,
+            manifestUrl: config.manifestUrl || '/deploynet-manifest.json',
+            manifestPublicKey: config.manifestPublicKey || null, // JWK of the site owner's signing key
+            maxIntegrityFailures: config.maxIntegrityFailures || 3, // Mismatched responses before a ban
+            maxMalformedFrames: config.maxMalformedFrames || DeployNetRateLimit.RATE_LIMIT_DEFAULTS.maxMalformedFrames,
+            maxRateLimitViolations: config.maxRateLimitViolations || DeployNetRateLimit.RATE_LIMIT_DEFAULTS.maxRateLimitViolations,
+            peerRequestRate: config.peerRequestRate || DeployNetRateLimit.RATE_LIMIT_DEFAULTS.requestRate, // Per second
+            peerRequestBurst: config.peerRequestBurst || DeployNetRateLimit.RATE_LIMIT_DEFAULTS.requestBurst,
+            uploadBudgetPerSession: config.uploadBudgetPerSession ?? DeployNetRateLimit.RATE_LIMIT_DEFAULTS.uploadBudgetPerSession,
+            uploadBudgetPerHour: config.uploadBudgetPerHour ?? DeployNetRateLimit.RATE_LIMIT_DEFAULTS.uploadBudgetPerHour,
+            peerBanDuration: config.peerBanDuration || DeployNetRateLimit.RATE_LIMIT_DEFAULTS.banDuration,
+            chunkSize: config.chunkSize || DeployNetTransfer.DEFAULT_CHUNK_SIZE,
+            peerRequestTimeout: config.peerRequestTimeout || 10000,
+            maxSwarmPeers: config.maxSwarmPeers || 4,
+            maxRequestsPerPeer: config.maxRequestsPerPeer || 2,
+            pieceTimeout: config.pieceTimeout || 5000,
+            forwardTtl: config.forwardTtl ?? 2, // Hops a content request may be forwarded; 0 disables forwarding
+            indexReplicas: config.indexReplicas || DeployNetContentIndex.INDEX_DEFAULTS.replicas, // Index nodes per content hash
+            indexLookupTimeout: config.indexLookupTimeout || 1000,
+            minPeerScore: config.minPeerScore ?? 0.01,
+            scoreHalfLife: config.scoreHalfLife || 10 * 60 * 1000,
+            iceServers: config.iceServers || DeployNetIce.DEFAULT_ICE_SERVERS,
+            iceTransportPolicy: config.iceTransportPolicy || 'all',
+            turnCredentialsUrl: config.turnCredentialsUrl || null, // Returns short-lived TURN credentials
+            turnCredentialProvider: config.turnCredentialProvider || null, // async () => credentials, overrides the URL
+            iceRestartAttempts: config.iceRestartAttempts ?? 2,
+            iceDisconnectTimeout: config.iceDisconnectTimeout || 3000, // 'disconnected' often recovers without help
+            iceRestartTimeout: config.iceRestartTimeout || 10000,
+            interceptionMode: config.interceptionMode || 'service-worker', // 'service-worker', 'fetch' or 'none'
+            serviceWorkerUrl: config.serviceWorkerUrl || '/deploynet-sw.js',
+            serviceWorkerScope: config.serviceWorkerScope || '/',
+            serviceWorkerRouteTimeout: config.serviceWorkerRouteTimeout || 3000, // Before the worker gives up on us and goes to the network
+            interception: config.interception || {}, // include/exclude/origins/methods/bypassCredentials/optOutHeader
+            // async (clientId) => token presented to peers. Tokens are bound to the client ID, which is only
+            // generated at startup, so a token string here can't verify; hand those to setSiteToken() instead
+            siteToken: config.siteToken || null,
+            siteTokenPublicKey: config.siteTokenPublicKey || null, // JWK; when set, peers must present a valid token
+            siteTokenTimeout: config.siteTokenTimeout || 2000, // ms a peer's first requests wait for its token
+            telemetry: config.telemetry !== false, // Report anonymous delivery counters to the hub
+            telemetryInterval: config.telemetryInterval || 60000,
+            logLevel: config.logLevel || 'info', // 'debug', 'info', 'warn', 'error' or 'silent'
+            logger: config.logger || null, // Sink with debug/info/warn/error methods; defaults to the console
+            siteUrl: config.siteUrl || null, // Base for the manifest URL where there is no window.location
+            WebSocket: config.WebSocket || null, // Implementations for runtimes without browser globals
+            RTCPeerConnection: config.RTCPeerConnection || null,
+            persistentStore: config.persistentStore || null, // Replaces the IndexedDB store, e.g. with a FileSystemStore
             ...config
         };
         
-        this.peers = new Map();
-        this.cache = new ContentCache(this.config.cacheSize);
+        this.logger = new DeployNetLogger.Logger({
+            level: this.config.logLevel,
+            sink: this.config.logger || DeployNetLogger.consoleSink
+        });
+        this.interceptionRules = new DeployNetInterception.InterceptionRules(this.config.interception);
+        this.peers = new Map(); // peerId -> info, for peers we are connecting or connected to
+        this.cache = new ContentCache(this.config.cacheSize, {
+            memorySize: this.config.memoryCacheSize,
+            policy: this.config.cachePolicy,
+            persistentStore: this.createPersistentStore(),
+            logger: this.logger
+        });
+        this.cache.addListener('store', ({ metadata }) => {
+            if (this.isAnnounceable(metadata)) {
+                this.announceContent([metadata.sha256], 'indexAnnounce');
+            }
+        });
+        this.cache.addListener('evict', ({ metadata }) => {
+            // Another URL may still hold the same content
+            if (this.isAnnounceable(metadata) && !this.heldContentHashes().includes(metadata.sha256)) {
+                this.announceContent([metadata.sha256], 'indexWithdraw');
+            }
+        });
         this.signalingChannel = null;
         this.webRTCManager = null;
         this.peerConnections = new Map();
         this.dataChannels = new Map();
+        this.transferSessions = new Map(); // peerId -> TransferSession
+        this.manifest = null;
+        this.originOnly = false; // Set by initialize() when the manifest can't be loaded
+        this.peerOffenses = new Map(); // peerId -> { integrityFailures, malformedFrames, rateLimited }
+        this.peerBans = new DeployNetRateLimit.PeerBanList({ duration: this.config.peerBanDuration });
+        this.peerRequestBuckets = new Map(); // peerId -> TokenBucket
+        this.uploadBudget = new DeployNetRateLimit.UploadBudget({
+            perSession: this.config.uploadBudgetPerSession,
+            perHour: this.config.uploadBudgetPerHour
+        });
+        this.rateLimitCounts = { requestsRejected: 0, uploadsRefused: 0, bans: 0 };
+        this.deliveryCounts = {
+            requests: { cache: 0, peer: 0, swarm: 0, origin: 0 }, // Responses by where they came from
+            bytes: { cache: 0, peer: 0, origin: 0 }, // A swarm response counts toward both peer and origin
+            integrityFailures: 0
+        };
+        this.forwardHistory = new Set(); // forwardIds we have already seen, oldest first
+        this.contentRing = new DeployNetContentIndex.HashRing(); // Ourselves and our open channels; not shared room-wide
+        this.contentIndex = new DeployNetContentIndex.ContentIndex(); // Holders of the hashes the ring assigns to us
+        this.pendingLookups = new Map(); // lookupId -> { peerId, resolve }
+        this.peerScorer = new DeployNetScoring.PeerScorer({ halfLife: this.config.scoreHalfLife });
+        this.peerPool = new DeployNetPeerPool.PeerPool({
+            targetPeers: this.config.targetPeers,
+            maxPeers: this.config.maxPeers,
+            knownPeerTtl: this.config.knownPeerTtl,
+            connectTimeout: this.config.peerConnectTimeout,
+            idleTimeout: this.config.peerIdleTimeout,
+            minScore: this.config.minPeerScore
+        });
+        this.peerPoolTimer = null;
+        this.peerHeartbeats = new Map(); // peerId -> Heartbeat over the data channel
+        this.signalingHeartbeat = null;
+        this.signalingRtt = null;
+        this.telemetry = new DeployNetTelemetry.TelemetryReporter();
+        this.telemetryTimer = null;
+        this.negotiations = new Map(); // peerId -> perfect negotiation state
+        this.pendingCandidates = new Map(); // peerId -> candidates received before the remote description
+        this.peerRoutes = new Map(); // peerId -> selected candidate pair
+        this.identity = null; // PeerIdentity, created by initialize()
+        this.signalReplayGuard = new DeployNetIdentity.SignalReplayGuard();
+        this.unregisterPayload = null; // Signed ahead of time so disconnect() can send it synchronously
+        this.unregisterSignedAt = 0;
+        this.sessionKeys = new Map(); // peerId -> AES-GCM key for the data channel
+        this.signalingQueue = Promise.resolve();
+        this.peerAuthorizations = new Map(); // peerId -> Promise of verified site token claims
+        this.siteTokenWaiters = new Map(); // peerId -> callbacks waiting for the peer's first token
+        this.iceServerManager = new DeployNetIce.IceServerManager({
+            iceServers: this.config.iceServers,
+            iceTransportPolicy: this.config.iceTransportPolicy,
+            credentialsUrl: this.config.turnCredentialsUrl,
+            credentialProvider: this.config.turnCredentialProvider,
+            logger: this.logger,
+            onRefresh: (configuration) => this.applyIceConfiguration(configuration)
+        });
         
         this.isConnected = false;
+        this.isRegistered = false;
         this.clientId = this.generateClientId();
     }
 
+    createPersistentStore() {
+        if (!this.config.persistentCache) {
+            return null;
+        }
+        if (this.config.persistentStore) {
+            return this.config.persistentStore;
+        }
+        // config.indexedDB lets tests and non-browser runtimes inject an implementation
+        if (!DeployNetStorage.PersistentStore.isSupported(this.config.indexedDB)) {
+            return null;
+        }
+
+        return new DeployNetStorage.PersistentStore(`deploynet-${this.config.siteId}`, {
+            indexedDB: this.config.indexedDB
+        });
+    }
+
     generateClientId() {
         return 'deploy-' + Math.random().toString(36).substr(2, 9) + '-' + Date.now();
     }
 
     async initialize() {
         try {
+            try {
+                await this.loadManifest();
+            } catch (error) {
+                // Nothing peers send can be verified without the manifest, so every request stays with the origin
+                this.originOnly = true;
+                this.logger.warn('Content manifest unavailable, running in origin-only mode:', error.message);
+                return true;
+            }
+            await this.setupIdentity();
+            await this.restoreCache();
+            await this.setupIceServers();
             await this.setupSignalingConnection();
             await this.setupWebRTC();
             await this.registerWithNetwork();
-            this.setupContentInterception();
-            console.log('DeployNet client initialized successfully');
+            this.setupPeerPool();
+            this.setupTelemetry();
+            await this.setupContentInterception();
+            this.logger.info('DeployNet client initialized successfully');
             return true;
         } catch (error) {
-            console.error('Failed to initialize DeployNet client:', error);
+            this.logger.error('Failed to initialize DeployNet client:', error);
             return false;
         }
     }
 
+    async loadManifest() {
+        const manifestUrl = new URL(this.config.manifestUrl, this.config.siteUrl || window.location.href).href;
+        const response = await fetch(manifestUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch content manifest: ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.manifest = await DeployNetIntegrity.ContentManifest.load(data, this.config.manifestPublicKey, manifestUrl);
+        this.logger.info(`Loaded content manifest v${this.manifest.version} with ${this.manifest.entries.size} entries`);
+        return this.manifest;
+    }
+
+    async restoreCache() {
+        await this.cache.restore();
+        await this.pruneCache();
+    }
+
+    // Drop entries from earlier deploys that the current manifest no longer vouches for
+    async pruneCache() {
+        for (const url of this.cache.keys()) {
+            const entry = this.manifest.getEntry(url);
+            const metadata = this.cache.getMetadata(url);
+            if (!entry || !metadata || metadata.sha256 !== entry.sha256) {
+                await this.cache.delete(url);
+            }
+        }
+    }
+
+    // Must run before connecting to signaling: the client ID is derived from the identity key
+    async setupIdentity() {
+        this.identity = await DeployNetIdentity.PeerIdentity.generate();
+        this.contentRing.remove(this.clientId);
+        this.clientId = this.identity.clientId;
+        this.unregisterPayload = null;
+    }
+
+    requiresEncryption() {
+        return Boolean(this.identity && this.config.enableEncryption);
+    }
+
+    async setupIceServers() {
+        try {
+            await this.iceServerManager.start();
+        } catch (error) {
+            // STUN still works without TURN; relayed connections will just fail
+            this.logger.warn('Continuing without TURN servers:', error);
+        }
+    }
+
+    // Fresh TURN credentials must reach existing connections before their next ICE restart
+    applyIceConfiguration(configuration) {
+        this.peerConnections.forEach((pc, peerId) => {
+            try {
+                pc.setConfiguration(configuration);
+            } catch (error) {
+                this.logger.warn(`Failed to update ICE servers for peer ${peerId}:`, error);
+            }
+        });
+    }
+
     async setupSignalingConnection() {
-        return new Promise((resolve, reject) => {
+        if (!this.signalingChannel) {
             const wsUrl = `${this.config.signalingServer}/ws?id=${this.clientId}&room=${this.config.siteId}`;
-            this.signalingChannel = new WebSocket(wsUrl);
+            this.signalingChannel = new DeployNetReconnect.SignalingConnection(wsUrl, {
+                WebSocket: this.config.WebSocket,
+                retryAttempts: this.config.retryAttempts,
+                baseDelay: this.config.reconnectBaseDelay,
+                maxDelay: this.config.reconnectMaxDelay,
+                logger: this.logger,
+                onOpen: () => this.handleSignalingOpen(),
+                onMessage: (data) => this.handleSignalingData(data),
+                onStateChange: (state, detail) => this.handleSignalingStateChange(state, detail)
+            });
+        }
 
-            this.signalingChannel.onopen = () => {
-                console.log('Connected to signaling server');
-                this.isConnected = true;
-                resolve();
-            };
+        return this.signalingChannel.connect();
+    }
 
-            this.signalingChannel.onerror = (error) => {
-                console.error('Signaling connection error:', error);
-                reject(error);
-            };
+    handleSignalingOpen() {
+        this.logger.info('Connected to signaling server');
+        // The clientId is kept across reconnects, so peers keep their sessions with us
+        if (this.isRegistered) {
+            this.registerWithNetwork();
+        }
+    }
 
-            this.signalingChannel.onmessage = (event) => {
-                this.handleSignalingMessage(JSON.parse(event.data));
-            };
+    handleSignalingStateChange(state, detail) {
+        const { ConnectionState } = DeployNetReconnect;
+        this.isConnected = state === ConnectionState.CONNECTED;
 
-            this.signalingChannel.onclose = () => {
-                console.log('Disconnected from signaling server');
-                this.isConnected = false;
-                // Attempt to reconnect
-                setTimeout(() => this.setupSignalingConnection(), 5000);
-            };
+        if (state === ConnectionState.CONNECTED) {
+            this.startSignalingHeartbeat();
+            this.telemetry.resetGauges();
+        } else if (this.signalingHeartbeat) {
+            this.signalingHeartbeat.stop();
+        }
+
+        if (state === ConnectionState.CONNECTED) {
+            this.emit('connected', { resumed: detail.previous === ConnectionState.RECONNECTING });
+        } else if (state === ConnectionState.RECONNECTING) {
+            this.logger.info(`Signaling connection lost, reconnecting in ${detail.delay}ms (attempt ${detail.attempt})`);
+            this.emit('reconnecting', { attempt: detail.attempt, delay: detail.delay });
+        } else if (state === ConnectionState.DISCONNECTED) {
+            this.logger.info('Disconnected from signaling server');
+            this.emit('disconnected', {});
+        }
+    }
+
+    // The hub answers heartbeats itself, so a silent hub means the socket is dead even if it looks open
+    startSignalingHeartbeat() {
+        if (!this.signalingHeartbeat) {
+            this.signalingHeartbeat = new DeployNetHeartbeat.Heartbeat({
+                interval: this.config.signalingHeartbeatInterval,
+                timeout: this.config.signalingHeartbeatTimeout,
+                send: (nonce) => this.sendSignal(DeployNetSignaling.MessageType.HEARTBEAT, { nonce }),
+                onRtt: (rtt) => {
+                    this.signalingRtt = rtt;
+                },
+                onTimeout: () => {
+                    this.logger.warn('Signaling server stopped answering heartbeats, reconnecting');
+                    this.signalingChannel.abandon();
+                }
+            });
+        }
+        this.signalingHeartbeat.start();
+    }
+
+    disconnect() {
+        this.iceServerManager.stop();
+        clearInterval(this.peerPoolTimer);
+        this.peerPoolTimer = null;
+        clearInterval(this.telemetryTimer);
+        this.telemetryTimer = null;
+        if (this.signalingChannel) {
+            if (this.isConnected) {
+                if (this.config.telemetry) {
+                    this.reportTelemetry();
+                }
+                const payload = this.unregisterPayload || { clientId: this.clientId };
+                this.sendSignal(DeployNetSignaling.MessageType.UNREGISTER, payload);
+            }
+            this.signalingChannel.close();
+        }
+    }
+
+    sendSignal(type, payload, targetId) {
+        return this.signalingChannel.send(DeployNetSignaling.encodeSignal({
+            type,
+            payload,
+            senderId: this.clientId,
+            roomId: this.config.siteId,
+            targetId
+        }));
+    }
+
+    async signPayload(type, payload, targetId) {
+        if (!this.identity) {
+            return payload;
+        }
+
+        const auth = await this.identity.sign(
+            { type, payload, roomId: this.config.siteId, targetId },
+            { encryption: this.requiresEncryption() }
+        );
+        return { ...payload, auth };
+    }
+
+    handleSignalingData(data) {
+        let message;
+        try {
+            message = DeployNetSignaling.decodeSignal(data);
+        } catch (error) {
+            this.logger.warn('Dropping signaling message:', error.message);
+            return;
+        }
+
+        if (!this.identity) {
+            this.handleSignalingMessage(message);
+            return;
+        }
+
+        // Verification is async; chain it so messages are still handled in arrival order
+        this.signalingQueue = this.signalingQueue.then(async () => {
+            if (await this.authenticateSignal(message)) {
+                this.handleSignalingMessage(message);
+            }
         });
+        return this.signalingQueue;
+    }
+
+    async authenticateSignal(message) {
+        const { MessageType, MESSAGE_TYPE_NAMES } = DeployNetSignaling;
+        if (!SIGNED_SIGNAL_TYPES.has(message.type)) {
+            return true;
+        }
+
+        const name = MESSAGE_TYPE_NAMES[message.type];
+        const verified = await DeployNetIdentity.verifySignal(message, { replayGuard: this.signalReplayGuard });
+        if (!verified) {
+            this.logger.warn(`Dropping unauthenticated ${name} from ${message.senderId}`);
+            return false;
+        }
+
+        const isDescription = message.type === MessageType.OFFER || message.type === MessageType.ANSWER;
+        if (isDescription && DeployNetIdentity.extractFingerprints(message.payload.sdp).length === 0) {
+            this.logger.warn(`Dropping ${name} from ${message.senderId} without a DTLS fingerprint`);
+            return false;
+        }
+        // Never fall back to plaintext with a peer that has encryption turned off
+        if (verified.encryption !== this.requiresEncryption()) {
+            this.logger.warn(`Dropping ${name} from ${message.senderId}: encryption settings differ`);
+            return false;
+        }
+
+        const { auth, ...payload } = message.payload;
+        message.payload = payload;
+
+        if (isDescription && this.requiresEncryption()) {
+            this.sessionKeys.set(message.senderId, await this.identity.deriveSessionKey(message.senderId, verified.agreementKey));
+        }
+        return true;
     }
 
     async setupWebRTC() {
         this.webRTCManager = new WebRTCManager(this);
     }
 
+    // Signed afresh on every (re)connect: peers reject signatures that are stale or already seen
     async registerWithNetwork() {
-        const registerMsg = {
-            type: 6, // Register message type
-            payload: JSON.stringify({
-                clientId: this.clientId,
-                siteId: this.config.siteId,
-                capabilities: {
-                    uploadSpeed: navigator.connection?.downlink || 10,
-                    availableStorage: this.config.cacheSize,
-                    userAgent: navigator.userAgent
-                }
-            }),
-            senderId: this.clientId,
-            timestamp: new Date().toISOString(),
-            roomId: this.config.siteId
+        const { MessageType } = DeployNetSignaling;
+        const nav = typeof navigator !== 'undefined' ? navigator : {};
+        const register = await this.signPayload(MessageType.REGISTER, {
+            clientId: this.clientId,
+            siteId: this.config.siteId,
+            capabilities: {
+                uploadSpeed: nav.connection?.downlink || 10,
+                availableStorage: this.config.cacheSize,
+                userAgent: nav.userAgent
+            }
+        });
+        await this.signUnregister();
+
+        this.sendSignal(MessageType.REGISTER, register);
+        this.isRegistered = true;
+    }
+
+    async signUnregister() {
+        this.unregisterPayload = await this.signPayload(DeployNetSignaling.MessageType.UNREGISTER, { clientId: this.clientId });
+        this.unregisterSignedAt = Date.now();
+    }
+
+    async setupContentInterception() {
+        if (this.config.interceptionMode === 'service-worker') {
+            await this.setupServiceWorkerInterception();
+        } else if (this.config.interceptionMode === 'fetch') {
+            this.setupFetchInterception();
+        }
+    }
+
+    async setupServiceWorkerInterception() {
+        // config.serviceWorker lets tests inject a ServiceWorkerContainer
+        const container = this.config.serviceWorker ||
+            (typeof navigator !== 'undefined' ? navigator.serviceWorker : null);
+        if (!container) {
+            this.logger.warn('Service Workers are not supported; content interception is disabled');
+            return false;
+        }
+
+        const originalFetch = (input, init = {}) => {
+            const headers = new Headers(init.headers);
+            headers.set(SERVICE_WORKER_BYPASS_HEADER, '1');
+            return fetch(input, { ...init, headers });
+        };
+
+        container.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'deploynet-fetch' && event.ports && event.ports[0]) {
+                this.handleServiceWorkerFetch(event.data, event.ports[0], originalFetch);
+            }
+        });
+
+        // The worker only routes requests to pages that announced a running client
+        const announce = () => {
+            if (container.controller) {
+                container.controller.postMessage({ type: 'deploynet-ready', routeTimeout: this.config.serviceWorkerRouteTimeout });
+            }
         };
+        container.addEventListener('controllerchange', announce);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', () => {
+                if (container.controller) {
+                    container.controller.postMessage({ type: 'deploynet-unload' });
+                }
+            });
+        }
+
+        await container.register(this.config.serviceWorkerUrl, { scope: this.config.serviceWorkerScope });
+        if (typeof container.startMessages === 'function') {
+            container.startMessages();
+        }
+        announce();
+        return true;
+    }
+
+    async handleServiceWorkerFetch(request, port, originalFetch) {
+        const init = { method: request.method, credentials: request.credentials, headers: request.headers };
+        // Anything the manifest or the rules don't cover is left to the worker's own fetch. The worker
+        // only routes requests for its own origin, so that is the page origin here.
+        if (!this.manifest || !this.manifest.has(request.url) ||
+            !this.interceptionRules.evaluate(request.url, init, new URL(request.url).origin).intercept) {
+            port.postMessage({ fallback: true });
+            return;
+        }
 
-        this.signalingChannel.send(JSON.stringify(registerMsg));
+        try {
+            const response = init.method === 'HEAD'
+                ? await this.interceptHeadRequest(request.url, init, originalFetch)
+                : await this.interceptRequest(request.url, init, originalFetch);
+            const body = await response.arrayBuffer();
+            port.postMessage({
+                status: response.status,
+                statusText: response.statusText,
+                headers: [...response.headers],
+                body
+            }, [body]);
+        } catch (error) {
+            this.logger.warn(`Service Worker request for ${request.url} failed:`, error);
+            port.postMessage({ fallback: true });
+        }
     }
 
-    setupContentInterception() {
+    setupFetchInterception() {
         // Override fetch to intercept requests
         const originalFetch = window.fetch;
         window.fetch = async (input, init) => {
-            const url = typeof input === 'string' ? input : input.url;
+            const request = DeployNetInterception.describeRequest(input, init);
+            const { intercept, reason } = this.interceptionRules.evaluate(request.url, request.init, this.getPageOrigin());
             
-            // Check if this is a request we should handle
-            if (this.shouldIntercept(url)) {
-                return this.interceptRequest(url, init, originalFetch);
+            if (intercept) {
+                return (request.init.method || 'GET').toUpperCase() === 'HEAD'
+                    ? this.interceptHeadRequest(request.url, request.init, originalFetch)
+                    : this.interceptRequest(request.url, request.init, originalFetch);
             }
             
             // Pass through to original fetch
+            if (reason === 'optOut') {
+                return originalFetch(...DeployNetInterception.removeHeader(input, init, this.interceptionRules.optOutHeader));
+            }
             return originalFetch(input, init);
         };
     }
 
-    shouldIntercept(url) {
-        try {
-            const parsedUrl = new URL(url, window.location.origin);
-            // Only intercept requests for the same origin or known static assets
-            return parsedUrl.origin === window.location.origin || 
-                   this.isStaticAsset(parsedUrl.pathname);
-        } catch {
-            return false;
+    getPageOrigin() {
+        if (this.config.siteUrl) {
+            return new URL(this.config.siteUrl).origin;
         }
+        return typeof window !== 'undefined' && window.location ? window.location.origin : null;
+    }
+
+    // Whether config.interception lets the client answer this request
+    shouldIntercept(url, init = {}) {
+        return this.interceptionRules.evaluate(url, init, this.getPageOrigin()).intercept;
     }
 
     isStaticAsset(pathname) {
@@ -131,23 +663,168 @@ class DeployNetClient {
 
     async interceptRequest(url, init, originalFetch) {
         // First check local cache
-        const cached = this.cache.get(url);
+        const cached = await this.cache.lookup(url);
+        if (cached && DeployNetHttpCache.isFresh(cached.meta)) {
+            this.logger.debug(`Serving ${url} from cache`);
+            return this.createResponseFromCache(cached.content, url, cached.meta);
+        }
+
+        // Stale entries are revalidated against the origin before they may be used again
         if (cached) {
-            console.log(`Serving ${url} from cache`);
-            return this.createResponseFromCache(cached, url);
+            const revalidated = await this.revalidateCachedEntry(url, cached, originalFetch);
+            if (revalidated) {
+                return revalidated;
+            }
+        }
+
+        // Large assets with piece hashes are fetched from several peers in parallel
+        const entry = this.manifest ? this.manifest.getEntry(url) : null;
+        if (entry && Array.isArray(entry.pieces) && entry.pieces.length > 1 && this.transferSessions.size > 0) {
+            try {
+                const swarmResponse = await this.downloadFromSwarm(url, entry, originalFetch);
+                this.logger.debug(`Serving ${url} from swarm`);
+                await this.cache.store(url, swarmResponse.content, this.getCacheMetadata(url, swarmResponse.httpMeta));
+                return this.createResponseFromSwarm(swarmResponse, url);
+            } catch (error) {
+                this.logger.warn(`Swarm download failed for ${url}:`, error);
+            }
         }
 
         // Try to get from peers
         const peerResponse = await this.requestFromPeers(url);
         if (peerResponse) {
-            console.log(`Serving ${url} from peer`);
-            this.cache.store(url, peerResponse.content);
+            this.logger.debug(`Serving ${url} from peer`);
+            await this.cache.store(url, peerResponse.content, this.getCacheMetadata(url, peerResponse.httpMeta));
             return this.createResponseFromPeer(peerResponse, url);
         }
 
         // Fallback to origin server
-        console.log(`Falling back to origin for ${url}`);
-        return originalFetch(url, init);
+        this.logger.debug(`Falling back to origin for ${url}`);
+        this.emit('fallback', { url, reason: this.describeFallback(url) });
+        const response = await originalFetch(url, init);
+        this.recordServed(url, 'origin', { origin: Number(response.headers.get('content-length')) || 0 });
+        this.cacheOriginResponse(url, response, init);
+        return response;
+    }
+
+    // HEAD only needs headers: a fresh cache entry answers it, anything else goes to the origin
+    async interceptHeadRequest(url, init, originalFetch) {
+        const cached = await this.cache.lookup(url);
+        if (!cached || !DeployNetHttpCache.isFresh(cached.meta)) {
+            return originalFetch(url, init);
+        }
+
+        this.logger.debug(`Answering HEAD ${url} from cache`);
+        return new Response(null, {
+            status: 200,
+            headers: this.buildResponseHeaders(cached.meta.headers, {
+                'Content-Type': cached.meta.contentType || this.getContentType(url),
+                'Content-Length': String(cached.meta.size),
+                'X-DeployNet-Source': 'cache'
+            })
+        });
+    }
+
+    async revalidateCachedEntry(url, cached, originalFetch) {
+        const validators = DeployNetHttpCache.conditionalHeaders(cached.meta);
+        if (!validators) {
+            await this.cache.delete(url);
+            return null;
+        }
+
+        let response;
+        try {
+            response = await originalFetch(url, { headers: validators });
+        } catch (error) {
+            if (cached.meta.mustRevalidate) {
+                throw error;
+            }
+            this.logger.warn(`Revalidation of ${url} failed, serving stale copy:`, error);
+            return this.createResponseFromCache(cached.content, url, cached.meta);
+        }
+
+        if (response.status === 304) {
+            const meta = DeployNetHttpCache.mergeRevalidation(cached.meta, response.headers);
+            // The origin may have marked the resource private since we cached it
+            if (!DeployNetHttpCache.classifyResponse(meta.headers).shareable) {
+                await this.cache.delete(url);
+                return this.createResponseFromCache(cached.content, url, meta);
+            }
+            await this.cache.updateMetadata(url, meta);
+            this.logger.debug(`Revalidated ${url}, serving from cache`);
+            return this.createResponseFromCache(cached.content, url, meta);
+        }
+
+        // The origin sent a new representation; it replaces the stale entry
+        await this.cache.delete(url);
+        this.recordServed(url, 'origin', { origin: Number(response.headers.get('content-length')) || 0 });
+        this.cacheOriginResponse(url, response);
+        return response;
+    }
+
+    async cacheOriginResponse(url, response, init = {}) {
+        if (!response.ok || !this.manifest || !this.manifest.has(url)) {
+            return;
+        }
+
+        const { shareable, reason } = DeployNetHttpCache.classifyResponse(response.headers, init);
+        if (!shareable) {
+            this.logger.debug(`Not caching ${url}: ${reason}`);
+            return;
+        }
+        const httpMeta = DeployNetHttpCache.describeResponse(response.headers);
+
+        try {
+            // Clone before the caller starts consuming the body
+            const content = await response.clone().arrayBuffer();
+            if (await this.validateContent(content, url)) {
+                await this.cache.store(url, content, this.getCacheMetadata(url, httpMeta));
+            } else {
+                this.logger.warn(`Origin content for ${url} does not match the manifest, not caching`);
+                this.recordIntegrityFailure(url, null);
+            }
+        } catch (error) {
+            this.logger.warn(`Failed to cache origin response for ${url}:`, error);
+        }
+    }
+
+    getCacheMetadata(url, httpMeta = {}) {
+        const entry = this.manifest ? this.manifest.getEntry(url) : null;
+        const headers = httpMeta.headers || {};
+
+        return {
+            sha256: entry ? entry.sha256 : null,
+            contentType: headers['content-type'] || this.getContentType(url),
+            etag: null,
+            lastModified: null,
+            freshUntil: 0,
+            mustRevalidate: false,
+            expires: null,
+            ...httpMeta,
+            headers
+        };
+    }
+
+    // Peers advertise the origin's headers and the remaining freshness of their copy
+    describePeerResponse(meta = {}) {
+        const headers = DeployNetHttpCache.pickStoredHeaders(meta.headers || {});
+        const freshFor = Number.isFinite(meta.freshFor) ? meta.freshFor : 0;
+
+        // Bytes are verified against the manifest, but headers come from the peer; never let it pick the type
+        delete headers['content-type'];
+
+        return {
+            ...DeployNetHttpCache.describeResponse(headers),
+            headers,
+            freshUntil: Date.now() + freshFor
+        };
+    }
+
+    describeCachedEntry(meta) {
+        return {
+            headers: meta.headers || {},
+            freshFor: Math.max(0, (meta.freshUntil || 0) - Date.now())
+        };
     }
 
     async requestFromPeers(url) {
@@ -155,17 +832,47 @@ class DeployNetClient {
             return null;
         }
 
-        // Select optimal peers
-        const optimalPeers = this.selectOptimalPeers(url, 3);
-        
-        for (const peerId of optimalPeers) {
+        // Only content listed in the signed manifest can be verified, so never ask peers for anything else
+        if (!this.manifest || !this.manifest.has(url)) {
+            return null;
+        }
+
+        // Peers the index says hold the content go first, then our best-scored peers in case it's out of date
+        const entry = this.manifest.getEntry(url);
+        const located = entry && entry.sha256 ? await this.locateContent(entry.sha256) : [];
+        const candidates = [
+            ...located,
+            ...this.selectOptimalPeers(url, 3).filter(peerId => !located.includes(peerId))
+        ];
+
+        for (const peerId of candidates) {
+            const startedAt = Date.now();
             try {
                 const response = await this.requestContentFromPeer(peerId, url);
-                if (response && this.validateContent(response.content, url)) {
+                if (response && !DeployNetHttpCache.isFresh(response.httpMeta)) {
+                    this.logger.warn(`Peer ${peerId} offered a stale copy of ${url}`);
+                    this.peerScorer.recordTransfer(peerId, { ok: false });
+                    continue;
+                }
+                if (response && await this.validateContent(response.content, url)) {
+                    this.peerScorer.recordTransfer(peerId, {
+                        ok: true,
+                        bytes: DeployNetIntegrity.toBytes(response.content).byteLength,
+                        duration: Date.now() - startedAt
+                    });
                     return response;
                 }
+                if (response) {
+                    this.logger.warn(`Integrity check failed for ${url} from peer ${peerId}`);
+                    this.recordIntegrityFailure(url, peerId);
+                    this.penalizePeer(peerId);
+                }
             } catch (error) {
-                console.warn(`Failed to get content from peer ${peerId}:`, error);
+                this.logger.warn(`Failed to get content from peer ${peerId}:`, error);
+                // A channel that closed before or during the request says nothing about the peer itself
+                if (this.transferSessions.has(peerId)) {
+                    this.peerScorer.recordTransfer(peerId, { ok: false });
+                }
                 continue;
             }
         }
@@ -173,185 +880,549 @@ class DeployNetClient {
         return null;
     }
 
-    selectOptimalPeers(url, count = 3) {
-        // Simple selection strategy - return first N peers
-        // In production, implement more sophisticated scoring
-        return Array.from(this.peers.keys()).slice(0, count);
-    }
+    async downloadFromSwarm(url, entry, originalFetch) {
+        const peerIds = this.selectOptimalPeers(url, this.config.maxSwarmPeers);
+
+        let fullBody = null;
+        let httpMeta = null;
+        const swarm = new DeployNetSwarm.SwarmDownload({
+            size: entry.size,
+            pieceSize: entry.pieceSize,
+            peerIds,
+            maxRequestsPerPeer: this.config.maxRequestsPerPeer,
+            pieceTimeout: this.config.pieceTimeout,
+            requestPiece: async (peerId, start, end, signal) => {
+                const piece = await this.requestRangeFromPeer(peerId, url, start, end, signal);
+                if (!DeployNetHttpCache.isFresh(piece.httpMeta)) {
+                    throw new Error(`Peer ${peerId} offered a stale copy`);
+                }
+                httpMeta = httpMeta || piece.httpMeta;
+                return piece.content;
+            },
+            verifyPiece: (index, bytes) => this.manifest.verifyPiece(url, index, bytes),
+            fetchRange: async (start, end) => {
+                if (fullBody) {
+                    return fullBody.slice(start, end);
+                }
 
-    async requestContentFromPeer(peerId, url) {
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Peer request timeout'));
-            }, 10000);
-
-            // Set up response handler
-            const responseHandler = (data) => {
-                clearTimeout(timeout);
-                if (data.type === 'contentResponse' && data.url === url) {
-                    this.removeListener('peerMessage', responseHandler);
-                    resolve({ content: data.content, peerId });
+                const response = await originalFetch(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+                httpMeta = DeployNetHttpCache.describeResponse(response.headers);
+                if (response.status === 206) {
+                    return response.arrayBuffer();
+                }
+                if (!response.ok) {
+                    throw new Error(`Origin range request failed: ${response.status}`);
                 }
-            };
 
-            this.addListener('peerMessage', responseHandler);
+                // Origin ignored the Range header and sent the whole body
+                fullBody = await response.arrayBuffer();
+                return fullBody.slice(start, end);
+            },
+            onPieceResult: (result) => {
+                if (!result.ok && result.reason === 'integrity') {
+                    this.logger.warn(`Integrity check failed for piece ${result.index} of ${url} from peer ${result.peerId}`);
+                    this.recordIntegrityFailure(url, result.peerId, result.index);
+                    this.penalizePeer(result.peerId);
+                } else {
+                    this.peerScorer.recordTransfer(result.peerId, result);
+                }
+            }
+        });
 
-            // Send request to peer
-            const requestData = {
-                type: 'contentRequest',
-                url: url,
-                requesterId: this.clientId
-            };
+        const content = await swarm.run();
+        if (!await this.validateContent(content, url)) {
+            throw new Error(`Reassembled content for ${url} does not match the manifest`);
+        }
 
-            this.sendToPeer(peerId, JSON.stringify(requestData));
-        });
+        return {
+            content,
+            httpMeta,
+            peerIds: [...swarm.stats.peersUsed],
+            peerBytes: swarm.stats.peerBytes,
+            originBytes: swarm.stats.originBytes
+        };
     }
 
-    validateContent(content, url) {
-        // Basic validation - in production, implement cryptographic verification
-        return content && typeof content === 'string' && content.length > 0;
-    }
+    async requestRangeFromPeer(peerId, url, start, end, signal) {
+        const session = this.transferSessions.get(peerId);
+        if (!session) {
+            throw new Error(`No open data channel to peer ${peerId}`);
+        }
 
-    createResponseFromCache(content, url) {
-        return new Response(content, {
-            status: 200,
-            headers: {
-                'Content-Type': this.getContentType(url),
-                'X-DeployNet-Source': 'cache'
-            }
+        const { content, meta } = await session.request({
+            type: 'contentRequest',
+            url: url,
+            range: { start, end },
+            requesterId: this.clientId
+        }, {
+            expectedSize: end - start,
+            signal
         });
-    }
 
-    createResponseFromPeer(response, url) {
-        return new Response(response.content, {
-            status: 200,
-            headers: {
-                'Content-Type': this.getContentType(url),
-                'X-DeployNet-Source': 'peer',
-                'X-DeployNet-Peer': response.peerId
-            }
-        });
+        return { content, httpMeta: this.describePeerResponse(meta) };
     }
 
-    getContentType(url) {
-        const extension = url.split('.').pop().toLowerCase();
-        const mimeTypes = {
-            'js': 'application/javascript',
-            'css': 'text/css',
-            'html': 'text/html',
-            'json': 'application/json',
-            'png': 'image/png',
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'gif': 'image/gif',
-            'svg': 'image/svg+xml',
-            'ico': 'image/x-icon',
-            'woff': 'font/woff',
-            'woff2': 'font/woff2',
-            'ttf': 'font/ttf',
-            'eot': 'application/vnd.ms-fontobject'
-        };
-        
-        return mimeTypes[extension] || 'application/octet-stream';
+    // Only peers with an open data channel can be asked; ones still connecting are left alone
+    selectOptimalPeers(url, count = 3) {
+        const candidates = Array.from(this.transferSessions.keys())
+            .filter(peerId => !this.isPeerBanned(peerId));
+
+        return this.peerScorer.rank(candidates)
+            .filter(({ score }) => score >= this.config.minPeerScore)
+            .slice(0, count)
+            .map(({ peerId }) => peerId);
     }
 
-    async sendToPeer(peerId, data) {
-        const channel = this.dataChannels.get(peerId);
-        if (channel && channel.readyState === 'open') {
-            channel.send(data);
-        } else {
-            console.warn(`Cannot send to peer ${peerId}, channel not ready`);
+    // Every response interceptRequest hands out is counted here exactly once
+    recordServed(url, source, bytes, peerIds = []) {
+        let total = 0;
+        for (const [tier, amount] of Object.entries(bytes)) {
+            this.deliveryCounts.bytes[tier] += amount;
+            this.telemetry.record(`${tier}Bytes`, amount);
+            total += amount;
         }
+        this.deliveryCounts.requests[source]++;
+        this.telemetry.record(SERVED_TELEMETRY_COUNTERS[source]);
+        this.emit('contentServed', { url, source, bytes: total, peerIds });
+    }
+
+    recordIntegrityFailure(url, peerId, piece = null) {
+        this.deliveryCounts.integrityFailures++;
+        this.emit('integrityFailure', { url, peerId, piece });
+    }
+
+    describeFallback(url) {
+        if (!this.manifest || !this.manifest.has(url)) {
+            return 'notInManifest';
+        }
+        return this.transferSessions.size === 0 ? 'noPeers' : 'peersFailed';
+    }
+
+    getStats() {
+        const { requests, bytes, integrityFailures } = this.deliveryCounts;
+        const served = requests.cache + requests.peer + requests.swarm + requests.origin;
+        return {
+            clientId: this.clientId,
+            siteId: this.config.siteId,
+            requests: { ...requests, total: served },
+            hitRatio: served > 0 ? (served - requests.origin) / served : 0, // Responses that didn't need the origin
+            bytes: { ...bytes },
+            integrityFailures,
+            cache: this.cache.getStats(),
+            peers: this.getPeerStats(),
+            pool: this.getPeerPoolStats(),
+            rateLimits: this.getRateLimitStats(),
+            signaling: {
+                state: this.signalingChannel ? this.signalingChannel.state : DeployNetReconnect.ConnectionState.IDLE,
+                registered: this.isRegistered,
+                rtt: this.signalingRtt
+            }
+        };
+    }
+
+    getPeerStats(peerId) {
+        if (peerId) {
+            const stats = this.peerScorer.getStats(peerId);
+            return stats ? { ...stats, route: this.peerRoutes.get(peerId) || null } : null;
+        }
+
+        return Array.from(this.peers.keys()).map(id => ({
+            ...(this.peerScorer.getStats(id) || { peerId: id, score: this.peerScorer.getScore(id) }),
+            route: this.peerRoutes.get(id) || null,
+            connected: this.dataChannels.has(id),
+            blocked: this.isPeerBanned(id),
+            offenses: this.peerOffenses.get(id) || null
+        }));
+    }
+
+    getRateLimitStats() {
+        return {
+            ...this.rateLimitCounts,
+            upload: this.uploadBudget.getStats(),
+            bannedPeers: this.peerBans.list()
+        };
+    }
+
+    async requestContentFromPeer(peerId, url) {
+        const session = this.transferSessions.get(peerId);
+        if (!session) {
+            throw new Error(`No open data channel to peer ${peerId}`);
+        }
+
+        const entry = this.manifest ? this.manifest.getEntry(url) : null;
+        const forwardId = Math.random().toString(36).substr(2, 9) + Math.random().toString(36).substr(2, 9);
+        // Our own request must not be forwarded again if it loops back to us
+        this.rememberForward(forwardId);
+
+        const { content, meta } = await session.request({
+            type: 'contentRequest',
+            url: url,
+            requesterId: this.clientId,
+            forwardId,
+            ttl: this.config.forwardTtl,
+            timeout: this.config.peerRequestTimeout
+        }, {
+            expectedSize: entry ? entry.size : undefined,
+            timeout: this.config.peerRequestTimeout
+        });
+
+        return { content, peerId, httpMeta: this.describePeerResponse(meta) };
+    }
+
+    async validateContent(content, url) {
+        if (!this.manifest) {
+            return false;
+        }
+        return this.manifest.verify(url, content);
+    }
+
+    penalizePeer(peerId) {
+        this.peerScorer.recordIntegrityFailure(peerId);
+        this.recordPeerOffense(peerId, 'integrityFailures', this.config.maxIntegrityFailures);
+    }
+
+    // Offenses are kept across reconnects, so dropping the connection doesn't reset them
+    recordPeerOffense(peerId, kind, limit) {
+        const offenses = this.peerOffenses.get(peerId) || { integrityFailures: 0, malformedFrames: 0, rateLimited: 0 };
+        offenses[kind]++;
+        this.peerOffenses.set(peerId, offenses);
+
+        if (offenses[kind] >= limit) {
+            this.banPeer(peerId, kind);
+        }
+    }
+
+    banPeer(peerId, reason) {
+        const ban = this.peerBans.ban(peerId, reason);
+        this.rateLimitCounts.bans++;
+        // A peer starts over once its ban runs out
+        this.peerOffenses.delete(peerId);
+        this.peerRequestBuckets.delete(peerId);
+        this.logger.warn(`Banning peer ${peerId} until ${new Date(ban.until).toISOString()} (${reason})`);
+        this.cleanupPeerConnection(peerId);
+    }
+
+    isPeerBanned(peerId) {
+        return this.peerBans.isBanned(peerId);
+    }
+
+    // Token bucket per peer; a peer that keeps flooding us past the limit gets banned
+    admitPeerRequest(peerId) {
+        let bucket = this.peerRequestBuckets.get(peerId);
+        if (!bucket) {
+            bucket = new DeployNetRateLimit.TokenBucket(this.config.peerRequestBurst, this.config.peerRequestRate);
+            this.peerRequestBuckets.set(peerId, bucket);
+        }
+        if (bucket.take()) {
+            return true;
+        }
+
+        this.rateLimitCounts.requestsRejected++;
+        this.recordPeerOffense(peerId, 'rateLimited', this.config.maxRateLimitViolations);
+        return false;
+    }
+
+    createResponseFromCache(content, url, meta = {}) {
+        this.recordServed(url, 'cache', { cache: DeployNetIntegrity.toBytes(content).byteLength });
+        const storedAt = meta.storedAt || Date.now();
+        return new Response(content, {
+            status: 200,
+            headers: this.buildResponseHeaders(meta.headers, {
+                'Content-Type': meta.contentType || this.getContentType(url),
+                'Age': String(Math.max(0, Math.floor((Date.now() - storedAt) / 1000))),
+                'X-DeployNet-Source': 'cache'
+            })
+        });
+    }
+
+    createResponseFromPeer(response, url) {
+        this.recordServed(url, 'peer', { peer: DeployNetIntegrity.toBytes(response.content).byteLength }, [response.peerId]);
+        return new Response(response.content, {
+            status: 200,
+            headers: this.buildResponseHeaders(response.httpMeta && response.httpMeta.headers, {
+                'Content-Type': this.getContentType(url),
+                'X-DeployNet-Source': 'peer',
+                'X-DeployNet-Peer': response.peerId
+            })
+        });
+    }
+
+    createResponseFromSwarm(response, url) {
+        this.recordServed(url, 'swarm', { peer: response.peerBytes, origin: response.originBytes }, response.peerIds);
+        return new Response(response.content, {
+            status: 200,
+            headers: this.buildResponseHeaders(response.httpMeta && response.httpMeta.headers, {
+                'Content-Type': this.getContentType(url),
+                'X-DeployNet-Source': response.originBytes > 0 ? 'swarm+origin' : 'swarm',
+                'X-DeployNet-Peer': response.peerIds.join(',')
+            })
+        });
+    }
+
+    // Stored headers are lower-case; overrides replace them rather than adding a second value
+    buildResponseHeaders(stored, overrides) {
+        const headers = new Headers(stored || {});
+        for (const [name, value] of Object.entries(overrides)) {
+            headers.set(name, value);
+        }
+        return headers;
+    }
+
+    getContentType(url) {
+        const extension = url.split('.').pop().toLowerCase();
+        const mimeTypes = {
+            'js': 'application/javascript',
+            'css': 'text/css',
+            'html': 'text/html',
+            'json': 'application/json',
+            'png': 'image/png',
+            'jpg': 'image/jpeg',
+            'jpeg': 'image/jpeg',
+            'gif': 'image/gif',
+            'svg': 'image/svg+xml',
+            'ico': 'image/x-icon',
+            'woff': 'font/woff',
+            'woff2': 'font/woff2',
+            'ttf': 'font/ttf',
+            'eot': 'application/vnd.ms-fontobject'
+        };
+        
+        return mimeTypes[extension] || 'application/octet-stream';
+    }
+
+    sendToPeer(peerId, message) {
+        const session = this.transferSessions.get(peerId);
+        if (session && session.sendMessage(message)) {
+            return true;
+        }
+
+        this.logger.warn(`Cannot send to peer ${peerId}, channel not ready`);
+        return false;
     }
 
     handleSignalingMessage(message) {
+        // The hub unicasts addressed messages, but never trust it to have done so
+        if (message.senderId === this.clientId || (message.targetId && message.targetId !== this.clientId)) {
+            return;
+        }
+
+        const { MessageType } = DeployNetSignaling;
         switch (message.type) {
-            case 0: // Offer
+            case MessageType.OFFER:
                 this.handleOffer(message);
                 break;
-            case 1: // Answer
+            case MessageType.ANSWER:
                 this.handleAnswer(message);
                 break;
-            case 2: // IceCandidate
+            case MessageType.ICE_CANDIDATE:
                 this.handleIceCandidate(message);
                 break;
-            case 3: // PeerDiscovery
+            case MessageType.PEER_DISCOVERY:
                 this.handlePeerDiscovery(message);
                 break;
-            case 6: // Register
+            case MessageType.REGISTER:
                 this.handlePeerRegistered(message);
                 break;
+            case MessageType.HEARTBEAT:
+                // Replies come from the hub itself, which leaves the sender empty
+                if (this.signalingHeartbeat && !message.senderId && message.payload) {
+                    this.signalingHeartbeat.handleReply(message.payload.nonce);
+                }
+                break;
+            case MessageType.UNREGISTER:
+                this.peerPool.forget(message.senderId);
+                this.cleanupPeerConnection(message.senderId);
+                break;
             default:
-                console.log('Unknown message type:', message.type);
+                this.logger.info('Unhandled signaling message type:', DeployNetSignaling.MESSAGE_TYPE_NAMES[message.type]);
         }
     }
 
     async handleOffer(message) {
-        const offer = JSON.parse(message.payload);
         const peerId = message.senderId;
-        
-        const pc = new RTCPeerConnection(this.getRTCOpts());
-        this.peerConnections.set(peerId, pc);
-        
-        pc.ondatachannel = (event) => {
-            this.setupDataChannelForIncoming(event.channel, peerId);
-        };
-        
-        await pc.setRemoteDescription(offer);
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
-        
-        const answerMsg = {
-            type: 1, // Answer
-            payload: JSON.stringify(answer),
-            senderId: this.clientId,
-            timestamp: new Date().toISOString(),
-            roomId: this.config.siteId
-        };
-        
-        this.signalingChannel.send(JSON.stringify(answerMsg));
+        if (this.isPeerBanned(peerId)) {
+            return;
+        }
+        if (!this.peerConnections.has(peerId) && !this.peerPool.hasCapacity()) {
+            this.logger.info(`Connection pool full, ignoring offer from ${peerId}`);
+            return;
+        }
+
+        const pc = this.getOrCreatePeerConnection(peerId);
+        const negotiation = this.negotiations.get(peerId);
+
+        // Perfect negotiation: on glare the impolite peer keeps its offer, the polite one yields
+        const collision = negotiation.makingOffer || pc.signalingState !== 'stable';
+        negotiation.ignoreOffer = !negotiation.polite && collision;
+        if (negotiation.ignoreOffer) {
+            this.logger.info(`Ignoring colliding offer from ${peerId}`);
+            return;
+        }
+
+        try {
+            if (collision) {
+                this.abandonOutgoingChannel(peerId);
+                await pc.setRemoteDescription({ type: 'rollback' });
+            }
+            await pc.setRemoteDescription(message.payload);
+            await this.flushPendingCandidates(peerId);
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
+            const { MessageType } = DeployNetSignaling;
+            const payload = await this.signPayload(MessageType.ANSWER, { type: answer.type, sdp: answer.sdp }, peerId);
+            this.sendSignal(MessageType.ANSWER, payload, peerId);
+        } catch (error) {
+            this.logger.error(`Error answering offer from ${peerId}:`, error);
+            this.cleanupPeerConnection(peerId);
+        }
     }
 
     async handleAnswer(message) {
-        const answer = JSON.parse(message.payload);
         const peerId = message.senderId;
-        
         const pc = this.peerConnections.get(peerId);
-        if (pc) {
-            await pc.setRemoteDescription(answer);
+
+        // A late answer to an offer we rolled back no longer applies
+        if (pc && pc.signalingState === 'have-local-offer') {
+            try {
+                await pc.setRemoteDescription(message.payload);
+                await this.flushPendingCandidates(peerId);
+            } catch (error) {
+                this.logger.error(`Error applying answer from ${peerId}:`, error);
+            }
         }
     }
 
-    handleIceCandidate(message) {
-        const candidate = JSON.parse(message.payload);
+    async handleIceCandidate(message) {
         const peerId = message.senderId;
-        
         const pc = this.peerConnections.get(peerId);
-        if (pc) {
-            pc.addIceCandidate(candidate);
+        if (this.isPeerBanned(peerId)) {
+            return;
+        }
+
+        // Trickled candidates can overtake the offer or answer they belong to
+        if (!pc || !pc.remoteDescription) {
+            const queue = this.pendingCandidates.get(peerId) || [];
+            if (queue.length < MAX_PENDING_CANDIDATES) {
+                queue.push(message.payload);
+                this.pendingCandidates.set(peerId, queue);
+            }
+            return;
+        }
+
+        await this.addIceCandidate(peerId, pc, message.payload);
+    }
+
+    async addIceCandidate(peerId, pc, candidate) {
+        try {
+            await pc.addIceCandidate(candidate);
+        } catch (error) {
+            // Candidates for an offer we ignored are expected to fail
+            const negotiation = this.negotiations.get(peerId);
+            if (!negotiation || !negotiation.ignoreOffer) {
+                this.logger.error(`Error adding ICE candidate from ${peerId}:`, error);
+            }
+        }
+    }
+
+    async flushPendingCandidates(peerId) {
+        const queue = this.pendingCandidates.get(peerId);
+        const pc = this.peerConnections.get(peerId);
+        if (!queue || !pc) {
+            return;
+        }
+        this.pendingCandidates.delete(peerId);
+        for (const candidate of queue) {
+            await this.addIceCandidate(peerId, pc, candidate);
         }
     }
 
     handlePeerDiscovery(message) {
-        const peerInfo = JSON.parse(message.payload);
-        this.peers.set(message.senderId, peerInfo);
-        console.log(`Discovered peer: ${message.senderId}`);
-        
-        // Initiate connection if we have capacity
-        if (this.peerConnections.size < this.config.maxPeers) {
-            this.initiatePeerConnection(message.senderId);
+        if (this.isPeerBanned(message.senderId)) {
+            return;
+        }
+
+        const peerInfo = message.payload;
+        this.peerPool.discover(message.senderId, peerInfo);
+        this.peerScorer.setCapabilities(message.senderId, peerInfo.capabilities);
+        this.logger.info(`Discovered peer: ${message.senderId}`);
+
+        // Connect right away while below the target; otherwise the peer waits for a free slot
+        if (!this.peerConnections.has(message.senderId) && this.peerPool.size < this.config.targetPeers) {
+            this.connectToPeer(message.senderId);
         }
     }
 
     handlePeerRegistered(message) {
-        const peerInfo = JSON.parse(message.payload);
-        this.peers.set(message.senderId, peerInfo);
-        console.log(`Peer registered: ${message.senderId}`);
-        
-        // Initiate connection if we have capacity
-        if (this.peerConnections.size < this.config.maxPeers) {
-            this.initiatePeerConnection(message.senderId);
+        if (this.isPeerBanned(message.senderId)) {
+            return;
+        }
+
+        const peerInfo = message.payload;
+        this.peerPool.discover(message.senderId, peerInfo);
+        this.peerScorer.setCapabilities(message.senderId, peerInfo.capabilities);
+        this.logger.info(`Peer registered: ${message.senderId}`);
+
+        // Connect right away while below the target; otherwise the peer waits for a free slot
+        if (!this.peerConnections.has(message.senderId) && this.peerPool.size < this.config.targetPeers) {
+            this.connectToPeer(message.senderId);
+        }
+    }
+
+    connectToPeer(peerId) {
+        this.peers.set(peerId, this.peerPool.getInfo(peerId) || {});
+        this.initiatePeerConnection(peerId);
+    }
+
+    setupPeerPool() {
+        clearInterval(this.peerPoolTimer);
+        this.peerPoolTimer = setInterval(() => this.maintainPeerPool(), this.config.peerPoolInterval);
+    }
+
+    // Drops dead, idle and poor connections, and fills free slots with the best known peers
+    maintainPeerPool() {
+        const plan = this.peerPool.plan(
+            peerId => this.peerScorer.getScore(peerId),
+            { isEligible: peerId => !this.isPeerBanned(peerId) }
+        );
+
+        for (const { peerId, reason } of plan.close) {
+            this.logger.info(`Closing connection to peer ${peerId} (${reason})`);
+            this.cleanupPeerConnection(peerId);
+        }
+        plan.connect.forEach(peerId => this.connectToPeer(peerId));
+
+        // Re-sign the UNREGISTER kept for disconnect() well before peers would consider it stale
+        if (this.unregisterPayload && Date.now() - this.unregisterSignedAt > DeployNetIdentity.SIGNAL_MAX_AGE / 2) {
+            this.signUnregister().catch(error => this.logger.warn('Failed to sign UNREGISTER:', error.message));
+        }
+
+        // Scores are kept while a peer may come back; drop them once it's forgotten
+        for (const peerId of [...this.peerScorer.peers.keys()]) {
+            if (!this.peers.has(peerId) && !this.peerPool.getInfo(peerId)) {
+                this.peerScorer.remove(peerId);
+            }
+        }
+        return plan;
+    }
+
+    getPeerPoolStats() {
+        return this.peerPool.getStats();
+    }
+
+    setupTelemetry() {
+        clearInterval(this.telemetryTimer);
+        if (this.config.telemetry) {
+            this.telemetryTimer = setInterval(() => this.reportTelemetry(), this.config.telemetryInterval);
+        }
+    }
+
+    // Sent only while connected: the signaling queue would replay stale counters after a reconnect
+    reportTelemetry() {
+        if (!this.isConnected) {
+            return false;
         }
+        const report = this.telemetry.takeReport(this.transferSessions.size);
+        return report ? this.sendSignal(DeployNetSignaling.MessageType.TELEMETRY, report) : false;
     }
 
     async initiatePeerConnection(peerId) {
@@ -359,143 +1430,736 @@ class DeployNetClient {
             return; // Already connected
         }
 
-        const pc = new RTCPeerConnection(this.getRTCOpts());
-        this.peerConnections.set(peerId, pc);
+        const pc = this.getOrCreatePeerConnection(peerId);
 
+        // Chunked transfers need every frame delivered, so the channel must be reliable
         const dataChannel = pc.createDataChannel(`deploy-${peerId}`, {
-            ordered: false,
-            maxRetransmits: 0
+            ordered: true
         });
-
+        this.negotiations.get(peerId).outgoingChannel = dataChannel;
         this.setupDataChannelForOutgoing(dataChannel, peerId);
 
+        await this.negotiate(peerId);
+    }
+
+    getOrCreatePeerConnection(peerId) {
+        const existing = this.peerConnections.get(peerId);
+        if (existing) {
+            return existing;
+        }
+
+        const pc = this.createRTCPeerConnection();
+        this.peerConnections.set(peerId, pc);
+        this.peerPool.opened(peerId);
+        if (!this.peers.has(peerId)) {
+            this.peers.set(peerId, this.peerPool.getInfo(peerId) || {});
+        }
+        // Both sides derive the same roles from the IDs, so exactly one of them is polite
+        this.negotiations.set(peerId, {
+            polite: this.clientId < peerId,
+            makingOffer: false,
+            ignoreOffer: false,
+            outgoingChannel: null,
+            restartAttempts: 0,
+            restartTimer: null
+        });
+
+        pc.ondatachannel = (event) => {
+            this.setupDataChannelForIncoming(event.channel, peerId);
+        };
+
         pc.onicecandidate = (event) => {
             if (event.candidate) {
-                const candidateMsg = {
-                    type: 2, // IceCandidate
-                    payload: JSON.stringify(event.candidate),
-                    senderId: this.clientId,
-                    timestamp: new Date().toISOString(),
-                    roomId: this.config.siteId
-                };
-                
-                this.signalingChannel.send(JSON.stringify(candidateMsg));
+                const candidate = typeof event.candidate.toJSON === 'function'
+                    ? event.candidate.toJSON()
+                    : event.candidate;
+                this.sendSignal(DeployNetSignaling.MessageType.ICE_CANDIDATE, candidate, peerId);
             }
         };
 
         pc.onconnectionstatechange = () => {
-            console.log(`Peer connection state for ${peerId}: ${pc.connectionState}`);
-            if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-                this.cleanupPeerConnection(peerId);
-            }
+            this.logger.debug(`Peer connection state for ${peerId}: ${pc.connectionState}`);
+            this.handleConnectionStateChange(peerId, pc);
         };
 
+        return pc;
+    }
+
+    handleConnectionStateChange(peerId, pc) {
+        const negotiation = this.negotiations.get(peerId);
+        if (!negotiation || this.peerConnections.get(peerId) !== pc) {
+            return;
+        }
+
+        if (pc.connectionState === 'connected') {
+            clearTimeout(negotiation.restartTimer);
+            negotiation.restartTimer = null;
+            negotiation.restartAttempts = 0;
+            // An ICE restart may have moved the connection onto a different route
+            this.reportPeerRoute(peerId, pc);
+        } else if (pc.connectionState === 'disconnected') {
+            this.scheduleIceRestart(peerId, this.config.iceDisconnectTimeout);
+        } else if (pc.connectionState === 'failed') {
+            this.scheduleIceRestart(peerId, 0);
+        }
+    }
+
+    scheduleIceRestart(peerId, delay) {
+        const negotiation = this.negotiations.get(peerId);
+        if (!negotiation || negotiation.restartTimer) {
+            return;
+        }
+        negotiation.restartTimer = setTimeout(() => {
+            negotiation.restartTimer = null;
+            this.restartIce(peerId);
+        }, delay);
+    }
+
+    async restartIce(peerId) {
+        const pc = this.peerConnections.get(peerId);
+        const negotiation = this.negotiations.get(peerId);
+        if (!pc || !negotiation || pc.connectionState === 'connected') {
+            return;
+        }
+
+        if (negotiation.restartAttempts >= this.config.iceRestartAttempts) {
+            this.logger.info(`ICE restart did not recover peer ${peerId}, closing connection`);
+            this.cleanupPeerConnection(peerId);
+            return;
+        }
+
+        negotiation.restartAttempts++;
+        this.logger.info(`Restarting ICE with peer ${peerId} (attempt ${negotiation.restartAttempts})`);
+        await this.negotiate(peerId, { iceRestart: true });
+
+        // Try again, or give up, if the restart doesn't bring the connection back in time
+        this.scheduleIceRestart(peerId, this.config.iceRestartTimeout);
+    }
+
+    async negotiate(peerId, offerOptions = {}) {
+        const pc = this.peerConnections.get(peerId);
+        const negotiation = this.negotiations.get(peerId);
+
         try {
-            const offer = await pc.createOffer();
+            negotiation.makingOffer = true;
+            const offer = await pc.createOffer(offerOptions);
+            // A remote offer may have been accepted while ours was being created
+            if (pc.signalingState !== 'stable') {
+                return;
+            }
             await pc.setLocalDescription(offer);
-            
-            const offerMsg = {
-                type: 0, // Offer
-                payload: JSON.stringify(offer),
-                senderId: this.clientId,
-                timestamp: new Date().toISOString(),
-                roomId: this.config.siteId
-            };
-            
-            this.signalingChannel.send(JSON.stringify(offerMsg));
+            const { MessageType } = DeployNetSignaling;
+            const payload = await this.signPayload(MessageType.OFFER, { type: offer.type, sdp: offer.sdp }, peerId);
+            this.sendSignal(MessageType.OFFER, payload, peerId);
         } catch (error) {
-            console.error('Error initiating peer connection:', error);
+            this.logger.error('Error initiating peer connection:', error);
             this.cleanupPeerConnection(peerId);
+        } finally {
+            negotiation.makingOffer = false;
+        }
+    }
+
+    // The polite peer drops its own channel on glare and uses the one offered by the other side
+    abandonOutgoingChannel(peerId) {
+        const negotiation = this.negotiations.get(peerId);
+        const channel = negotiation && negotiation.outgoingChannel;
+        if (channel) {
+            channel.onopen = null;
+            channel.onclose = null;
+            channel.onmessage = null;
+            channel.close();
+            negotiation.outgoingChannel = null;
         }
     }
 
     setupDataChannelForOutgoing(channel, peerId) {
         channel.onopen = () => {
-            console.log(`Data channel opened for peer ${peerId}`);
-            this.dataChannels.set(peerId, channel);
+            this.logger.info(`Data channel opened for peer ${peerId}`);
+            this.registerDataChannel(peerId, channel);
         };
 
         channel.onclose = () => {
-            console.log(`Data channel closed for peer ${peerId}`);
-            this.dataChannels.delete(peerId);
+            this.logger.info(`Data channel closed for peer ${peerId}`);
+            this.unregisterDataChannel(peerId);
         };
 
         channel.onerror = (error) => {
-            console.error(`Data channel error for peer ${peerId}:`, error);
+            this.logger.error(`Data channel error for peer ${peerId}:`, error);
         };
 
         channel.onmessage = (event) => {
-            this.handlePeerMessage(peerId, event.data);
+            this.receivePeerData(peerId, event.data);
         };
     }
 
     setupDataChannelForIncoming(channel, peerId) {
         channel.onopen = () => {
-            console.log(`Incoming data channel opened for peer ${peerId}`);
-            this.dataChannels.set(peerId, channel);
+            this.logger.info(`Incoming data channel opened for peer ${peerId}`);
+            this.registerDataChannel(peerId, channel);
         };
 
         channel.onclose = () => {
-            console.log(`Incoming data channel closed for peer ${peerId}`);
-            this.dataChannels.delete(peerId);
+            this.logger.info(`Incoming data channel closed for peer ${peerId}`);
+            this.unregisterDataChannel(peerId);
         };
 
         channel.onerror = (error) => {
-            console.error(`Incoming data channel error for peer ${peerId}:`, error);
+            this.logger.error(`Incoming data channel error for peer ${peerId}:`, error);
         };
 
         channel.onmessage = (event) => {
-            this.handlePeerMessage(peerId, event.data);
+            this.receivePeerData(peerId, event.data);
         };
     }
 
+    registerDataChannel(peerId, channel) {
+        let transport = channel;
+        if (this.requiresEncryption()) {
+            const key = this.sessionKeys.get(peerId);
+            if (!key) {
+                this.logger.warn(`No session key for peer ${peerId}, refusing unencrypted channel`);
+                channel.close();
+                return;
+            }
+            transport = new DeployNetIdentity.SecureChannel(channel, key, {
+                localId: this.clientId,
+                remoteId: peerId,
+                logger: this.logger
+            });
+        }
+
+        this.dataChannels.set(peerId, channel);
+        this.peerPool.connected(peerId);
+        this.transferSessions.set(peerId, new DeployNetTransfer.TransferSession(transport, {
+            chunkSize: this.config.chunkSize,
+            maxContentSize: this.config.cacheSize
+        }));
+        this.startPeerHeartbeat(peerId);
+        this.presentSiteToken(peerId);
+
+        // The new peer takes over part of the ring; tell it about what we hold that now maps to it
+        this.contentRing.add(peerId);
+        this.announceContent(this.heldContentHashes(), 'indexAnnounce', peerId);
+        this.emit('peerConnected', { peerId, encrypted: transport !== channel });
+    }
+
+    async presentSiteToken(peerId) {
+        if (!this.config.siteToken) {
+            return false;
+        }
+
+        try {
+            const token = typeof this.config.siteToken === 'function'
+                ? await this.config.siteToken(this.clientId)
+                : this.config.siteToken;
+            return this.sendToPeer(peerId, { type: 'siteToken', token });
+        } catch (error) {
+            this.logger.warn('Failed to obtain a site token:', error);
+            return false;
+        }
+    }
+
+    // Lets the page hand over a renewed token before the one peers hold expires
+    setSiteToken(token) {
+        this.config.siteToken = token;
+        for (const peerId of this.transferSessions.keys()) {
+            this.presentSiteToken(peerId);
+        }
+    }
+
+    async verifyPeerSiteToken(peerId, token) {
+        try {
+            // The peer ID is authenticated by signed signaling, so the token must name it as subject
+            return await DeployNetSiteToken.verifySiteToken(token, this.config.siteTokenPublicKey, {
+                siteId: this.config.siteId,
+                subject: peerId
+            });
+        } catch (error) {
+            this.logger.warn(`Rejected site token from peer ${peerId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async isPeerAuthorized(peerId) {
+        if (!this.config.siteTokenPublicKey) {
+            return true;
+        }
+        const claims = await (this.peerAuthorizations.get(peerId) || this.waitForPeerSiteToken(peerId));
+        return Boolean(claims) && claims.exp * 1000 > Date.now();
+    }
+
+    // Peers send their token once the channel opens, and a provider may still be fetching it,
+    // so their first requests can arrive before it does
+    waitForPeerSiteToken(peerId) {
+        return new Promise(resolve => {
+            const finish = (claims) => {
+                clearTimeout(timer);
+                const waiters = this.siteTokenWaiters.get(peerId) || [];
+                waiters.splice(waiters.indexOf(finish), 1);
+                if (waiters.length === 0) {
+                    this.siteTokenWaiters.delete(peerId);
+                }
+                resolve(claims);
+            };
+            const timer = setTimeout(() => finish(null), this.config.siteTokenTimeout);
+            this.siteTokenWaiters.set(peerId, [...(this.siteTokenWaiters.get(peerId) || []), finish]);
+        });
+    }
+
+    handlePeerSiteToken(peerId, token) {
+        const authorization = this.verifyPeerSiteToken(peerId, token);
+        this.peerAuthorizations.set(peerId, authorization);
+        [...(this.siteTokenWaiters.get(peerId) || [])].forEach(finish => finish(authorization));
+    }
+
+    getPeerHeartbeat(peerId) {
+        let heartbeat = this.peerHeartbeats.get(peerId);
+        if (!heartbeat) {
+            heartbeat = new DeployNetHeartbeat.Heartbeat({
+                interval: this.config.peerHeartbeatInterval,
+                timeout: this.config.peerHeartbeatTimeout,
+                send: (nonce) => this.sendToPeer(peerId, { type: 'ping', nonce }),
+                onRtt: (rtt) => this.peerScorer.recordRtt(peerId, rtt),
+                onTimeout: (silence) => {
+                    // Evict now rather than let the next request to this peer run into its timeout
+                    this.logger.info(`Peer ${peerId} silent for ${silence}ms, closing connection`);
+                    this.cleanupPeerConnection(peerId);
+                }
+            });
+            this.peerHeartbeats.set(peerId, heartbeat);
+        }
+        return heartbeat;
+    }
+
+    startPeerHeartbeat(peerId) {
+        const heartbeat = this.getPeerHeartbeat(peerId);
+        heartbeat.start();
+        return heartbeat.ping();
+    }
+
+    // Pings are timed locally so a peer cannot report a fake RTT by echoing a forged timestamp
+    measurePeerRtt(peerId) {
+        return this.getPeerHeartbeat(peerId).ping();
+    }
+
+    unregisterDataChannel(peerId) {
+        const session = this.transferSessions.get(peerId);
+        if (session) {
+            session.close();
+            this.transferSessions.delete(peerId);
+            this.emit('peerDisconnected', { peerId });
+        }
+        this.dataChannels.delete(peerId);
+        this.peerPool.disconnected(peerId);
+        const heartbeat = this.peerHeartbeats.get(peerId);
+        if (heartbeat) {
+            heartbeat.stop();
+        }
+
+        // A holder we can't reach is no use to anyone asking us
+        this.contentRing.remove(peerId);
+        this.contentIndex.removeHolder(peerId);
+        for (const lookup of this.pendingLookups.values()) {
+            if (lookup.peerId === peerId) {
+                lookup.resolve([]);
+            }
+        }
+    }
+
+    receivePeerData(peerId, data) {
+        const session = this.transferSessions.get(peerId);
+        if (!session || !(session.channel instanceof DeployNetIdentity.SecureChannel)) {
+            this.handlePeerMessage(peerId, data);
+            return;
+        }
+
+        session.channel.receive(data).then(
+            plaintext => {
+                if (this.transferSessions.get(peerId) === session) {
+                    this.handlePeerMessage(peerId, plaintext);
+                }
+            },
+            () => this.banPeer(peerId, 'undecryptableFrame')
+        );
+    }
+
     handlePeerMessage(peerId, data) {
+        const session = this.transferSessions.get(peerId);
+        if (!session) {
+            return;
+        }
+
         try {
-            const message = JSON.parse(data);
-            
+            // Data frames and transfer control messages are consumed by the session
+            const message = session.handleFrame(data);
+            const heartbeat = this.peerHeartbeats.get(peerId);
+            if (heartbeat) {
+                heartbeat.markAlive();
+            }
+            if (!message || !BACKGROUND_MESSAGE_TYPES.has(message.type)) {
+                this.peerPool.touch(peerId);
+            }
+            if (!message) {
+                return;
+            }
+
             // Handle different message types
             switch (message.type) {
                 case 'contentRequest':
-                    this.handleContentRequest(peerId, message);
+                    if (this.admitPeerRequest(peerId)) {
+                        this.handleContentRequest(peerId, message);
+                    } else {
+                        session.sendMessage({ type: 'contentError', requestId: message.requestId, reason: 'rateLimited' });
+                    }
                     break;
-                case 'contentResponse':
-                    // This would be handled by the promise resolver in requestContentFromPeer
-                    // Emit an event for the waiting promise
-                    this.emit('peerMessage', message);
+                case 'ping':
+                    this.sendToPeer(peerId, { type: 'pong', nonce: message.nonce });
+                    break;
+                case 'pong':
+                    this.handlePong(peerId, message);
+                    break;
+                case 'siteToken':
+                    if (this.config.siteTokenPublicKey) {
+                        this.handlePeerSiteToken(peerId, message.token);
+                    }
+                    break;
+                case 'indexAnnounce':
+                case 'indexWithdraw':
+                    this.handleIndexUpdate(peerId, message);
+                    break;
+                case 'indexLookup':
+                    if (this.admitPeerRequest(peerId)) {
+                        this.handleIndexLookup(peerId, message);
+                    }
+                    break;
+                case 'indexResult':
+                    this.handleIndexResult(peerId, message);
                     break;
                 default:
-                    console.log(`Unknown peer message type from ${peerId}:`, message.type);
+                    this.logger.info(`Unknown peer message type from ${peerId}:`, message.type);
             }
         } catch (error) {
-            console.error('Error parsing peer message:', error);
+            this.logger.error('Error parsing peer message:', error);
+            this.recordPeerOffense(peerId, 'malformedFrames', this.config.maxMalformedFrames);
+        }
+    }
+
+    handlePong(peerId, message) {
+        const heartbeat = this.peerHeartbeats.get(peerId);
+        if (heartbeat) {
+            heartbeat.handleReply(message.nonce);
         }
     }
 
     async handleContentRequest(peerId, request) {
-        const content = this.cache.get(request.url);
-        
+        const session = this.transferSessions.get(peerId);
+        if (!session) {
+            return;
+        }
+
+        if (!(await this.isPeerAuthorized(peerId))) {
+            session.sendMessage({ type: 'contentError', requestId: request.requestId, reason: 'unauthorized' });
+            return;
+        }
+
+        // Stale copies are never shared; the requester should revalidate with the origin instead
+        const lookup = await this.cache.lookup(request.url);
+        if (lookup && !DeployNetHttpCache.classifyResponse(lookup.meta.headers).shareable) {
+            session.sendMessage({ type: 'contentError', requestId: request.requestId, reason: 'notFound' });
+            return;
+        }
+        const cached = lookup && DeployNetHttpCache.isFresh(lookup.meta) ? lookup : null;
+        const content = cached ? cached.content : null;
+
         if (content) {
-            const response = {
-                type: 'contentResponse',
+            let body = content;
+            if (request.range) {
+                const bytes = DeployNetIntegrity.toBytes(content);
+                const { start, end } = request.range;
+                if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > bytes.byteLength || start >= end) {
+                    session.sendMessage({ type: 'contentError', requestId: request.requestId, reason: 'invalidRange' });
+                    return;
+                }
+                body = bytes.subarray(start, end);
+            }
+
+            await this.sendContentToPeer(peerId, session, request, {
+                responderId: this.clientId,
+                ...this.describeCachedEntry(cached.meta)
+            }, body);
+        } else {
+            if (await this.forwardContentRequest(peerId, request)) {
+                return;
+            }
+            this.logger.debug(`Content not found in cache for request: ${request.url}`);
+            session.sendMessage({
+                type: 'contentError',
+                requestId: request.requestId,
+                reason: lookup ? 'stale' : 'notFound'
+            });
+        }
+    }
+
+    async sendContentToPeer(peerId, session, request, meta, body) {
+        // Bounds how much of this visitor's bandwidth peers can use, however many of them ask
+        if (!this.uploadBudget.tryConsume(DeployNetIntegrity.toBytes(body).byteLength)) {
+            this.rateLimitCounts.uploadsRefused++;
+            this.logger.info(`Upload budget exhausted, not serving ${request.url} to peer ${peerId}`);
+            session.sendMessage({ type: 'contentError', requestId: request.requestId, reason: 'uploadLimit' });
+            return false;
+        }
+
+        try {
+            return await session.sendContent(request.requestId, {
+                url: request.url,
+                range: request.range,
+                ...meta
+            }, body);
+        } catch (error) {
+            this.logger.error(`Failed to send ${request.url} to peer ${peerId}:`, error);
+            return false;
+        }
+    }
+
+    // Returns false if the ID was seen before, i.e. the request has come round in a loop
+    rememberForward(forwardId) {
+        if (this.forwardHistory.has(forwardId)) {
+            return false;
+        }
+        this.forwardHistory.add(forwardId);
+        if (this.forwardHistory.size > FORWARD_HISTORY_SIZE) {
+            this.forwardHistory.delete(this.forwardHistory.values().next().value);
+        }
+        return true;
+    }
+
+    // On a miss, asks our best neighbor on the requester's behalf and relays its response.
+    // Returns false if the request can't be forwarded, so the caller reports the miss.
+    async forwardContentRequest(peerId, request) {
+        // Never allow more hops than our own setting, whatever the requester asked for
+        const ttl = Number.isInteger(request.ttl) ? Math.min(request.ttl, this.config.forwardTtl) : 0;
+        if (ttl <= 0 || typeof request.forwardId !== 'string' || !this.manifest || !this.manifest.has(request.url)) {
+            return false;
+        }
+        if (!this.rememberForward(request.forwardId)) {
+            this.logger.info(`Not forwarding looped request for ${request.url}`);
+            return false;
+        }
+
+        const entry = this.manifest.getEntry(request.url);
+        const holders = entry && entry.sha256 ? this.contentIndex.getHolders(entry.sha256) : [];
+        const nextHop = [...holders, ...this.selectOptimalPeers(request.url, this.config.maxPeers)]
+            .find(id => id !== peerId && this.transferSessions.has(id) && !this.isPeerBanned(id));
+        const session = this.transferSessions.get(peerId);
+        if (!nextHop || !session) {
+            return false;
+        }
+
+        const upstreamTimeout = Number.isInteger(request.timeout) ? request.timeout : this.config.peerRequestTimeout;
+        const timeout = Math.floor(Math.min(upstreamTimeout, this.config.peerRequestTimeout) * FORWARD_TIMEOUT_FACTOR);
+        const startedAt = Date.now();
+        try {
+            const { content, meta } = await this.transferSessions.get(nextHop).request({
+                type: 'contentRequest',
                 url: request.url,
-                content: content,
-                responderId: this.clientId
+                range: request.range,
+                requesterId: this.clientId,
+                forwardId: request.forwardId,
+                ttl: ttl - 1,
+                timeout
+            }, { timeout });
+
+            // Relay only what the requester would accept, so we don't spend upload budget on junk
+            if (!DeployNetHttpCache.isFresh(this.describePeerResponse(meta))) {
+                throw new Error('stale response');
+            }
+            if (!request.range && !(await this.validateContent(content, request.url))) {
+                this.logger.warn(`Integrity check failed for ${request.url} from peer ${nextHop}`);
+                this.recordIntegrityFailure(request.url, nextHop);
+                this.penalizePeer(nextHop);
+                return false;
+            }
+            this.peerScorer.recordTransfer(nextHop, {
+                ok: true,
+                bytes: DeployNetIntegrity.toBytes(content).byteLength,
+                duration: Date.now() - startedAt
+            });
+
+            this.logger.debug(`Relaying ${request.url} from peer ${nextHop} to peer ${peerId}`);
+            await this.sendContentToPeer(peerId, session, request, {
+                responderId: meta.responderId,
+                relayedBy: this.clientId,
+                headers: meta.headers,
+                freshFor: meta.freshFor
+            }, content);
+            return true;
+        } catch (error) {
+            this.logger.info(`Forwarding ${request.url} to peer ${nextHop} failed: ${error.message}`);
+            this.peerScorer.recordTransfer(nextHop, { ok: false });
+            return false;
+        }
+    }
+
+    // Only content we'd actually serve is worth announcing
+    isAnnounceable(metadata) {
+        return Boolean(metadata)
+            && DeployNetContentIndex.isContentHash(metadata.sha256)
+            && DeployNetHttpCache.classifyResponse(metadata.headers).shareable;
+    }
+
+    heldContentHashes() {
+        const hashes = new Set();
+        for (const url of this.cache.keys()) {
+            const metadata = this.cache.getMetadata(url);
+            if (this.cache.has(url) && this.isAnnounceable(metadata)) {
+                hashes.add(metadata.sha256);
+            }
+        }
+        return [...hashes];
+    }
+
+    // The index nodes for a hash among our neighbors, possibly including ourselves.
+    // Peers with other neighbors may pick other nodes, so this is only where we announce and ask.
+    indexNodesFor(hash) {
+        this.contentRing.add(this.clientId);
+        return this.contentRing.lookup(hash, this.config.indexReplicas);
+    }
+
+    // Sends each hash to the peers the ring makes responsible for it, or only to onlyPeerId
+    announceContent(hashes, type, onlyPeerId) {
+        const batches = new Map(); // peerId -> hashes
+        for (const hash of hashes) {
+            for (const nodeId of this.indexNodesFor(hash)) {
+                if (nodeId !== this.clientId && (!onlyPeerId || nodeId === onlyPeerId)) {
+                    batches.set(nodeId, [...(batches.get(nodeId) || []), hash]);
+                }
+            }
+        }
+
+        for (const [peerId, batch] of batches) {
+            for (let i = 0; i < batch.length; i += INDEX_BATCH_SIZE) {
+                this.sendToPeer(peerId, { type, hashes: batch.slice(i, i + INDEX_BATCH_SIZE) });
+            }
+        }
+    }
+
+    // Peers only announce themselves, so nobody can list someone else as a holder
+    handleIndexUpdate(peerId, message) {
+        if (!Array.isArray(message.hashes)) {
+            throw new Error(`Invalid ${message.type} message`);
+        }
+
+        for (const hash of message.hashes.slice(0, INDEX_BATCH_SIZE)) {
+            if (message.type === 'indexAnnounce') {
+                this.contentIndex.add(hash, peerId);
+            } else {
+                this.contentIndex.remove(hash, peerId);
+            }
+        }
+    }
+
+    async handleIndexLookup(peerId, message) {
+        if (!DeployNetContentIndex.isContentHash(message.hash) || !(await this.isPeerAuthorized(peerId))) {
+            this.sendToPeer(peerId, { type: 'indexResult', lookupId: message.lookupId, hash: message.hash, holders: [] });
+            return;
+        }
+
+        const holders = this.contentIndex.getHolders(message.hash).filter(id => id !== peerId);
+        if (this.heldContentHashes().includes(message.hash)) {
+            holders.unshift(this.clientId);
+        }
+        this.sendToPeer(peerId, { type: 'indexResult', lookupId: message.lookupId, hash: message.hash, holders });
+    }
+
+    handleIndexResult(peerId, message) {
+        const lookup = this.pendingLookups.get(message.lookupId);
+        if (!lookup || lookup.peerId !== peerId) {
+            return;
+        }
+
+        const holders = Array.isArray(message.holders) ? message.holders : [];
+        lookup.resolve(holders.filter(id => typeof id === 'string').slice(0, this.contentIndex.maxHoldersPerHash));
+    }
+
+    // Resolves with the holders the index node knows of, or none if it doesn't answer in time
+    queryIndexNode(peerId, hash) {
+        const lookupId = Math.random().toString(36).substr(2, 9);
+        return new Promise(resolve => {
+            const timer = setTimeout(() => finish([]), this.config.indexLookupTimeout);
+            const finish = (holders) => {
+                clearTimeout(timer);
+                this.pendingLookups.delete(lookupId);
+                resolve(holders);
             };
-            
-            this.sendToPeer(peerId, JSON.stringify(response));
-        } else {
-            // Could implement forwarding to other peers here
-            console.log(`Content not found in cache for request: ${request.url}`);
+
+            this.pendingLookups.set(lookupId, { peerId, resolve: finish });
+            if (!this.sendToPeer(peerId, { type: 'indexLookup', lookupId, hash })) {
+                finish([]);
+            }
+        });
+    }
+
+    // Holders we can ask directly come first, then index nodes that know a holder and can forward to it.
+    // Empty when our index nodes weren't the holder's; requestFromPeers then tries scored peers.
+    async locateContent(hash) {
+        const direct = new Set(this.contentIndex.getHolders(hash));
+        const viaIndex = new Set();
+
+        const indexNodes = this.indexNodesFor(hash).filter(id => id !== this.clientId);
+        const results = await Promise.all(indexNodes.map(async nodeId => ({
+            nodeId,
+            holders: await this.queryIndexNode(nodeId, hash)
+        })));
+
+        for (const { nodeId, holders } of results) {
+            for (const holderId of holders) {
+                if (holderId === this.clientId) {
+                    continue;
+                }
+                if (this.transferSessions.has(holderId)) {
+                    direct.add(holderId);
+                } else {
+                    viaIndex.add(nodeId);
+                }
+            }
         }
+
+        // An index node can only fetch for us by forwarding
+        return [...direct, ...(this.config.forwardTtl > 0 ? viaIndex : [])]
+            .filter((peerId, index, all) => all.indexOf(peerId) === index)
+            .filter(peerId => this.transferSessions.has(peerId) && !this.isPeerBanned(peerId));
     }
 
     getRTCOpts() {
-        return {
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' }
-            ]
-        };
+        return this.iceServerManager.getConfiguration();
+    }
+
+    createRTCPeerConnection() {
+        const PeerConnection = this.config.RTCPeerConnection ||
+            (typeof RTCPeerConnection !== 'undefined' ? RTCPeerConnection : null);
+        if (!PeerConnection) {
+            throw new Error('WebRTC is not available; pass an RTCPeerConnection implementation in the config');
+        }
+        return new PeerConnection(this.getRTCOpts());
+    }
+
+    async reportPeerRoute(peerId, pc) {
+        if (typeof pc.getStats !== 'function') {
+            return null;
+        }
+
+        try {
+            const route = DeployNetIce.describeSelectedCandidatePair(await pc.getStats());
+            if (route && this.peerConnections.get(peerId) === pc) {
+                this.peerRoutes.set(peerId, route);
+                this.logger.info(`Peer ${peerId} connected via ${route.relayed ? 'TURN relay' : 'direct'} route (${route.local && route.local.type})`);
+                this.emit('peerRoute', { peerId, ...route });
+            }
+            return route;
+        } catch (error) {
+            this.logger.warn(`Failed to read ICE stats for peer ${peerId}:`, error);
+            return null;
+        }
     }
 
     cleanupPeerConnection(peerId) {
@@ -508,10 +2172,31 @@ class DeployNetClient {
         const channel = this.dataChannels.get(peerId);
         if (channel) {
             channel.close();
-            this.dataChannels.delete(peerId);
         }
+        this.unregisterDataChannel(peerId);
         
         this.peers.delete(peerId);
+        this.peerPool.closed(peerId);
+        // Known peers keep their score, so one we dropped isn't mistaken for a fresh candidate
+        if (!this.peerPool.getInfo(peerId)) {
+            this.peerScorer.remove(peerId);
+        }
+        const heartbeat = this.peerHeartbeats.get(peerId);
+        if (heartbeat) {
+            heartbeat.stop();
+            this.peerHeartbeats.delete(peerId);
+        }
+        this.pendingCandidates.delete(peerId);
+        this.peerRoutes.delete(peerId);
+        this.sessionKeys.delete(peerId);
+        this.peerAuthorizations.delete(peerId);
+        [...(this.siteTokenWaiters.get(peerId) || [])].forEach(finish => finish(null));
+
+        const negotiation = this.negotiations.get(peerId);
+        if (negotiation) {
+            clearTimeout(negotiation.restartTimer);
+            this.negotiations.delete(peerId);
+        }
     }
 
     addListener(event, handler) {
@@ -540,57 +2225,318 @@ class DeployNetClient {
     emit(event, data) {
         if (this.eventHandlers && this.eventHandlers.has(event)) {
             this.eventHandlers.get(event).forEach(handler => {
-                handler(data);
+                // A broken listener must not break content delivery
+                try {
+                    handler(data);
+                } catch (error) {
+                    this.logger.error(`Error in ${event} listener:`, error);
+                }
             });
         }
     }
 }
 
 class ContentCache {
-    constructor(maxSize) {
-        this.maxSize = maxSize;
+    constructor(maxSize, options = {}) {
+        this.maxSize = maxSize; // Quota of the persistent tier, and of memory when there is none
+        this.memorySize = Math.min(options.memorySize || maxSize, maxSize);
         this.currentSize = 0;
         this.entries = new Map(); // URL -> content
-        this.accessTime = new Map(); // URL -> timestamp
+        this.metadata = new Map(); // URL -> { size, sha256, contentType, etag, expires, storedAt }
+        this.policy = DeployNetEviction.createEvictionPolicy(options.policy, this.memorySize);
+
+        this.persistentStore = options.persistentStore || null;
+        this.logger = options.logger || console;
+        this.persistentIndex = new Map(); // URL -> metadata of entries in the persistent tier
+        this.persistentPolicy = DeployNetEviction.createEvictionPolicy('lru');
+        this.persistentSize = 0;
+        this.listeners = new Map(); // event -> handlers, for 'store' and 'evict'
+
+        this.stats = {
+            hits: 0,
+            memoryHits: 0,
+            persistentHits: 0,
+            misses: 0,
+            evictions: 0,
+            bytesEvicted: 0
+        };
     }
 
-    async store(url, content) {
-        const size = new Blob([content]).size;
-        
-        if (this.currentSize + size > this.maxSize) {
-            await this.evictLRU(size);
+    // Load the persistent index so entries from earlier visits can be served and seeded right away
+    async restore() {
+        if (!this.persistentStore) {
+            return;
         }
-        
+
+        try {
+            const records = await this.persistentStore.listMetadata();
+            records.sort((a, b) => a.metadata.lastAccess - b.metadata.lastAccess);
+            for (const { url, metadata } of records) {
+                if (this.isExpired(metadata)) {
+                    await this.persistentStore.delete(url);
+                    continue;
+                }
+                this.persistentIndex.set(url, metadata);
+                this.persistentPolicy.insert(url, metadata.size);
+                this.persistentSize += metadata.size;
+            }
+
+            if (this.persistentSize > this.maxSize) {
+                await this.evictPersistent(this.persistentSize - this.maxSize);
+            }
+        } catch (error) {
+            this.logger.warn('Failed to restore persistent cache, continuing with memory only:', error);
+            this.persistentStore = null;
+            this.persistentIndex.clear();
+            this.persistentPolicy = DeployNetEviction.createEvictionPolicy('lru');
+            this.persistentSize = 0;
+        }
+    }
+
+    async store(url, content, meta = {}) {
+        const size = DeployNetIntegrity.toBytes(content).byteLength;
+        if (size > this.maxSize) {
+            return false;
+        }
+
+        const metadata = { ...meta, size, storedAt: Date.now(), lastAccess: Date.now() };
+        await this.storeInMemory(url, content, metadata);
+
+        if (this.persistentStore) {
+            await this.persistEntry(url, content, metadata);
+        }
+        if (this.getMetadata(url)) {
+            this.emit('store', { url, metadata });
+        }
+        return true;
+    }
+
+    addListener(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+    }
+
+    // 'evict' fires once an entry is gone from both tiers, whatever removed it
+    emit(event, data) {
+        (this.listeners.get(event) || []).forEach(handler => handler(data));
+    }
+
+    async storeInMemory(url, content, metadata) {
+        if (metadata.size > this.memorySize) {
+            return;
+        }
+
+        this.removeFromMemory(url);
         this.entries.set(url, content);
-        this.accessTime.set(url, Date.now());
-        this.currentSize += size;
+        this.metadata.set(url, metadata);
+        this.currentSize += metadata.size;
+
+        // Insert before evicting so adaptive policies see the new key; a policy may reject it outright
+        this.policy.insert(url, metadata.size);
+        this.evict();
+    }
+
+    async persistEntry(url, content, metadata) {
+        try {
+            const existing = this.persistentIndex.get(url);
+            const required = metadata.size - (existing ? existing.size : 0);
+            if (this.persistentSize + required > this.maxSize) {
+                await this.evictPersistent(this.persistentSize + required - this.maxSize, url);
+            }
+
+            await this.persistentStore.put(url, content, metadata);
+            this.persistentIndex.set(url, metadata);
+            this.persistentPolicy.insert(url, metadata.size);
+            this.persistentSize += required;
+        } catch (error) {
+            // Storage quota or private browsing; the memory tier still works
+            this.logger.warn(`Failed to persist ${url}:`, error);
+        }
     }
 
     get(url) {
         const content = this.entries.get(url);
         if (content) {
-            this.accessTime.set(url, Date.now()); // Update access time
+            if (this.isExpired(this.metadata.get(url))) {
+                this.delete(url);
+                return null;
+            }
+            this.policy.access(url);
+
+            // Keep the persistent tier's LRU order current without a write per hit
+            const persisted = this.persistentIndex.get(url);
+            if (persisted) {
+                persisted.lastAccess = Date.now();
+                this.persistentPolicy.access(url);
+            }
             return content;
         }
         return null;
     }
 
-    async evictLRU(requiredSpace) {
-        const sortedEntries = [...this.accessTime.entries()]
-            .sort((a, b) => a[1] - b[1]); // Sort by access time (oldest first)
-        
+    // Memory first, then the persistent tier; persistent hits are promoted into memory
+    async lookup(url) {
+        const content = this.get(url);
+        if (content) {
+            this.stats.hits++;
+            this.stats.memoryHits++;
+            return { content, meta: this.metadata.get(url) || {} };
+        }
+
+        if (!this.persistentStore || !this.persistentIndex.has(url)) {
+            this.stats.misses++;
+            return null;
+        }
+
+        try {
+            const record = await this.persistentStore.get(url);
+            if (!record || this.isExpired(record.metadata)) {
+                await this.delete(url);
+                this.stats.misses++;
+                return null;
+            }
+
+            const metadata = { ...record.metadata, lastAccess: Date.now() };
+            this.persistentIndex.set(url, metadata);
+            this.persistentPolicy.access(url);
+            this.persistentStore.updateMetadata(url, metadata).catch(() => {});
+            await this.storeInMemory(url, record.content, metadata);
+
+            this.stats.hits++;
+            this.stats.persistentHits++;
+            return { content: record.content, meta: metadata };
+        } catch (error) {
+            this.logger.warn(`Failed to read ${url} from persistent cache:`, error);
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    async updateMetadata(url, metadata) {
+        if (this.metadata.has(url)) {
+            this.metadata.set(url, { ...this.metadata.get(url), ...metadata });
+        }
+
+        const persisted = this.persistentIndex.get(url);
+        if (persisted) {
+            const updated = { ...persisted, ...metadata };
+            this.persistentIndex.set(url, updated);
+            try {
+                await this.persistentStore.updateMetadata(url, updated);
+            } catch (error) {
+                this.logger.warn(`Failed to update persistent metadata for ${url}:`, error);
+            }
+        }
+    }
+
+    has(url) {
+        const metadata = this.getMetadata(url);
+        return metadata !== null && !this.isExpired(metadata);
+    }
+
+    getMetadata(url) {
+        return this.metadata.get(url) || this.persistentIndex.get(url) || null;
+    }
+
+    keys() {
+        return [...new Set([...this.entries.keys(), ...this.persistentIndex.keys()])];
+    }
+
+    isExpired(metadata) {
+        return Boolean(metadata && metadata.expires && metadata.expires <= Date.now());
+    }
+
+    removeFromMemory(url) {
+        const metadata = this.metadata.get(url);
+        if (this.entries.has(url)) {
+            this.currentSize -= metadata ? metadata.size : DeployNetIntegrity.toBytes(this.entries.get(url)).byteLength;
+        }
+        this.entries.delete(url);
+        this.metadata.delete(url);
+        this.policy.remove(url);
+    }
+
+    async delete(url) {
+        const metadata = this.getMetadata(url);
+        this.removeFromMemory(url);
+
+        const persisted = this.persistentIndex.get(url);
+        if (persisted) {
+            this.persistentIndex.delete(url);
+            this.persistentPolicy.remove(url);
+            this.persistentSize -= persisted.size;
+            try {
+                await this.persistentStore.delete(url);
+            } catch (error) {
+                this.logger.warn(`Failed to delete ${url} from persistent cache:`, error);
+            }
+        }
+        if (metadata) {
+            this.emit('evict', { url, metadata });
+        }
+    }
+
+    async clear() {
+        const removed = this.keys().map(url => ({ url, metadata: this.getMetadata(url) }));
+        this.entries.clear();
+        this.metadata.clear();
+        this.currentSize = 0;
+        this.policy = DeployNetEviction.createEvictionPolicy(this.policy.name, this.memorySize);
+
+        this.persistentIndex.clear();
+        this.persistentPolicy = DeployNetEviction.createEvictionPolicy('lru');
+        this.persistentSize = 0;
+        if (this.persistentStore) {
+            await this.persistentStore.clear();
+        }
+        removed.forEach(entry => this.emit('evict', entry));
+    }
+
+    evict() {
+        while (this.currentSize > this.memorySize) {
+            const url = this.policy.selectVictim();
+            if (url === null) {
+                break;
+            }
+
+            const metadata = this.metadata.get(url);
+            this.removeFromMemory(url);
+            this.stats.evictions++;
+            this.stats.bytesEvicted += metadata ? metadata.size : 0;
+            if (!this.persistentIndex.has(url)) {
+                this.emit('evict', { url, metadata });
+            }
+        }
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRatio: lookups > 0 ? this.stats.hits / lookups : 0,
+            policy: this.policy.name,
+            entries: this.entries.size,
+            memoryBytes: this.currentSize,
+            persistentEntries: this.persistentIndex.size,
+            persistentBytes: this.persistentSize
+        };
+    }
+
+    async evictPersistent(requiredSpace, keepUrl) {
         let freedSpace = 0;
-        for (const [url, _] of sortedEntries) {
-            const content = this.entries.get(url);
-            if (content) {
-                const size = new Blob([content]).size;
-                this.entries.delete(url);
-                this.accessTime.delete(url);
-                this.currentSize -= size;
-                freedSpace += size;
-                
-                if (freedSpace >= requiredSpace) break;
+        while (freedSpace < requiredSpace) {
+            const url = this.persistentPolicy.selectVictim();
+            if (url === null) {
+                break;
+            }
+            if (url === keepUrl) {
+                continue; // Re-inserted by persistEntry once written
             }
+
+            freedSpace += this.persistentIndex.get(url).size;
+            await this.delete(url);
         }
     }
 }
@@ -601,7 +2547,7 @@ class WebRTCManager {
     }
 
     async createPeerConnection(peerId) {
-        const pc = new RTCPeerConnection(this.client.getRTCOpts());
+        const pc = this.client.createRTCPeerConnection();
         this.client.setupDataChannelForOutgoing(pc, peerId);
         return pc;
     }
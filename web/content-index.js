@@ -0,0 +1,156 @@
+/**
+ * DeployNet Content Index
+ * Consistent-hash ring over a peer's own neighbors, and the content hash -> holders cache it partitions
+ *
+ * Every peer builds its ring from its own open channels, so two peers with different neighbors
+ * can pick different index nodes for the same hash. The index is a best-effort neighborhood
+ * cache, not a room-wide directory: a lookup that misses falls back to asking scored peers.
+ */
+
+const INDEX_DEFAULTS = {
+    virtualNodes: 32, // Ring points per peer, so keys spread evenly across few peers
+    replicas: 2, // Index nodes each announcement is sent to
+    maxHoldersPerHash: 16,
+    maxIndexedHashes: 10000
+};
+
+const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// 32-bit FNV-1a; ring positions only need to be spread evenly, not be unpredictable
+function ringPosition(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function isContentHash(value) {
+    return typeof value === 'string' && CONTENT_HASH_PATTERN.test(value);
+}
+
+class HashRing {
+    constructor(virtualNodes = INDEX_DEFAULTS.virtualNodes) {
+        this.virtualNodes = virtualNodes;
+        this.nodes = new Set();
+        this.points = []; // { position, nodeId }, sorted by position
+    }
+
+    add(nodeId) {
+        if (this.nodes.has(nodeId)) {
+            return;
+        }
+        this.nodes.add(nodeId);
+        for (let i = 0; i < this.virtualNodes; i++) {
+            this.points.push({ position: ringPosition(`${nodeId}#${i}`), nodeId });
+        }
+        this.points.sort((a, b) => a.position - b.position || (a.nodeId < b.nodeId ? -1 : 1));
+    }
+
+    remove(nodeId) {
+        if (this.nodes.delete(nodeId)) {
+            this.points = this.points.filter(point => point.nodeId !== nodeId);
+        }
+    }
+
+    has(nodeId) {
+        return this.nodes.has(nodeId);
+    }
+
+    // The first `count` distinct nodes clockwise from the key's position
+    lookup(key, count = 1) {
+        const owners = [];
+        if (this.points.length === 0) {
+            return owners;
+        }
+
+        const position = ringPosition(key);
+        let low = 0;
+        let high = this.points.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this.points[middle].position < position) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const wanted = Math.min(count, this.nodes.size);
+        for (let i = 0; owners.length < wanted && i < this.points.length; i++) {
+            const { nodeId } = this.points[(low + i) % this.points.length];
+            if (!owners.includes(nodeId)) {
+                owners.push(nodeId);
+            }
+        }
+        return owners;
+    }
+}
+
+// What this peer's neighbors have told it they hold, for the hashes the ring assigns it
+class ContentIndex {
+    constructor(options = {}) {
+        this.maxHoldersPerHash = options.maxHoldersPerHash || INDEX_DEFAULTS.maxHoldersPerHash;
+        this.maxIndexedHashes = options.maxIndexedHashes || INDEX_DEFAULTS.maxIndexedHashes;
+        this.holders = new Map(); // hash -> Set of peerIds, oldest hash first
+    }
+
+    add(hash, holderId) {
+        if (!isContentHash(hash)) {
+            return false;
+        }
+
+        let holders = this.holders.get(hash);
+        if (!holders) {
+            if (this.holders.size >= this.maxIndexedHashes) {
+                this.holders.delete(this.holders.keys().next().value);
+            }
+            holders = new Set();
+            this.holders.set(hash, holders);
+        }
+        if (!holders.has(holderId) && holders.size >= this.maxHoldersPerHash) {
+            return false;
+        }
+        holders.add(holderId);
+        return true;
+    }
+
+    remove(hash, holderId) {
+        const holders = this.holders.get(hash);
+        if (holders) {
+            holders.delete(holderId);
+            if (holders.size === 0) {
+                this.holders.delete(hash);
+            }
+        }
+    }
+
+    removeHolder(holderId) {
+        for (const hash of [...this.holders.keys()]) {
+            this.remove(hash, holderId);
+        }
+    }
+
+    getHolders(hash) {
+        return [...(this.holders.get(hash) || [])];
+    }
+
+    get size() {
+        return this.holders.size;
+    }
+}
+
+// Export for use in other modules
+const contentIndexApi = {
+    INDEX_DEFAULTS,
+    HashRing,
+    ContentIndex,
+    isContentHash
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = contentIndexApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetContentIndex = contentIndexApi;
+}
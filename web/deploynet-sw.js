@@ -0,0 +1,137 @@
+/**
+ * DeployNet Service Worker
+ * Routes subresource requests through the DeployNet client running in a page
+ *
+ * The worker holds no peer connections of its own. For each eligible request it
+ * asks a live page client over a MessageChannel; when no client answers, the
+ * request goes straight to the origin.
+ */
+
+const BYPASS_HEADER = 'X-DeployNet-Bypass';
+const ROUTE_TIMEOUT = 3000; // A busy or hung page must not hold up every subresource for long
+
+const readyClients = new Set(); // ids of window clients running a DeployNet client
+let routeTimeout = ROUTE_TIMEOUT; // Pages announce their serviceWorkerRouteTimeout
+
+function shouldRoute(request, scopeOrigin) {
+    if ((request.method !== 'GET' && request.method !== 'HEAD') || request.mode === 'navigate') {
+        return false;
+    }
+    // Requests the page client makes to the origin itself must not loop back
+    if (request.headers.get(BYPASS_HEADER)) {
+        return false;
+    }
+    // Credentialed requests may return personal content; those always go to the origin
+    if (request.headers.get('Authorization') || request.credentials === 'include') {
+        return false;
+    }
+    try {
+        return new URL(request.url).origin === scopeOrigin;
+    } catch {
+        return false;
+    }
+}
+
+async function findDeployNetClient(clientsApi, clientIds, preferredId) {
+    const candidates = preferredId ? [preferredId, ...clientIds] : [...clientIds];
+    for (const id of candidates) {
+        if (!clientIds.has(id)) {
+            continue;
+        }
+        const client = await clientsApi.get(id);
+        if (client) {
+            return client;
+        }
+        // The page was closed or navigated away
+        clientIds.delete(id);
+    }
+    return null;
+}
+
+function routeThroughClient(client, request, timeout = ROUTE_TIMEOUT) {
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => {
+            channel.port1.close();
+            resolve(null);
+        }, timeout);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            channel.port1.close();
+            resolve(event.data);
+        };
+
+        client.postMessage({
+            type: 'deploynet-fetch',
+            url: request.url,
+            destination: request.destination,
+            // The page client applies its interception rules to these
+            method: request.method,
+            credentials: request.credentials,
+            headers: [...request.headers]
+        }, [channel.port2]);
+    });
+}
+
+function createResponse(reply) {
+    return new Response(reply.body, {
+        status: reply.status,
+        statusText: reply.statusText,
+        headers: reply.headers
+    });
+}
+
+async function handleFetch(request, { clientsApi, clientIds, clientId, fetchImpl, timeout }) {
+    const client = await findDeployNetClient(clientsApi, clientIds, clientId);
+    if (client) {
+        const reply = await routeThroughClient(client, request, timeout);
+        if (reply && !reply.fallback) {
+            return createResponse(reply);
+        }
+    }
+    return fetchImpl(request);
+}
+
+// Export for use in other modules
+const serviceWorkerApi = {
+    BYPASS_HEADER,
+    shouldRoute,
+    findDeployNetClient,
+    routeThroughClient,
+    handleFetch
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = serviceWorkerApi;
+} else if (typeof self !== 'undefined') {
+    self.addEventListener('install', () => self.skipWaiting());
+    self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+    self.addEventListener('message', (event) => {
+        if (!event.source) {
+            return;
+        }
+        if (event.data && event.data.type === 'deploynet-ready') {
+            readyClients.add(event.source.id);
+            if (Number.isFinite(event.data.routeTimeout) && event.data.routeTimeout > 0) {
+                routeTimeout = event.data.routeTimeout;
+            }
+        } else if (event.data && event.data.type === 'deploynet-unload') {
+            readyClients.delete(event.source.id);
+        }
+    });
+
+    self.addEventListener('fetch', (event) => {
+        if (readyClients.size === 0 || !shouldRoute(event.request, self.location.origin)) {
+            return;
+        }
+        event.respondWith(handleFetch(event.request, {
+            clientsApi: self.clients,
+            clientIds: readyClients,
+            clientId: event.clientId,
+            fetchImpl: (request) => fetch(request),
+            timeout: routeTimeout
+        }).catch(() => fetch(event.request)));
+    });
+}
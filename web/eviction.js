@@ -0,0 +1,360 @@
+/**
+ * DeployNet Eviction Policies
+ * Replacement strategies for ContentCache's memory tier
+ *
+ * Every policy tracks keys only; the cache owns the content. The cache calls
+ * insert/access/remove as entries change and selectVictim() when it needs room,
+ * which drops the returned key from the policy.
+ */
+
+// Least recently used, using Map insertion order: O(1) per operation
+class LRUPolicy {
+    constructor() {
+        this.name = 'lru';
+        this.keys = new Map(); // key -> size, oldest first
+    }
+
+    insert(key, size) {
+        this.keys.delete(key);
+        this.keys.set(key, size);
+    }
+
+    access(key) {
+        if (this.keys.has(key)) {
+            const size = this.keys.get(key);
+            this.keys.delete(key);
+            this.keys.set(key, size);
+        }
+    }
+
+    remove(key) {
+        this.keys.delete(key);
+    }
+
+    selectVictim() {
+        const victim = this.keys.keys().next();
+        if (victim.done) {
+            return null;
+        }
+        this.keys.delete(victim.value);
+        return victim.value;
+    }
+}
+
+// Least frequently used with O(1) frequency buckets; ties are broken by recency
+class LFUPolicy {
+    constructor() {
+        this.name = 'lfu';
+        this.frequencies = new Map(); // key -> frequency
+        this.buckets = new Map(); // frequency -> Set of keys, oldest first
+        this.minFrequency = 0;
+    }
+
+    addToBucket(key, frequency) {
+        if (!this.buckets.has(frequency)) {
+            this.buckets.set(frequency, new Set());
+        }
+        this.buckets.get(frequency).add(key);
+        this.frequencies.set(key, frequency);
+    }
+
+    removeFromBucket(key) {
+        const frequency = this.frequencies.get(key);
+        const bucket = this.buckets.get(frequency);
+        bucket.delete(key);
+        if (bucket.size === 0) {
+            this.buckets.delete(frequency);
+        }
+        this.frequencies.delete(key);
+        return frequency;
+    }
+
+    insert(key) {
+        if (this.frequencies.has(key)) {
+            this.access(key);
+            return;
+        }
+        this.addToBucket(key, 1);
+        this.minFrequency = 1;
+    }
+
+    access(key) {
+        if (!this.frequencies.has(key)) {
+            return;
+        }
+        const frequency = this.removeFromBucket(key);
+        if (frequency === this.minFrequency && !this.buckets.has(frequency)) {
+            this.minFrequency = frequency + 1;
+        }
+        this.addToBucket(key, frequency + 1);
+    }
+
+    remove(key) {
+        if (this.frequencies.has(key)) {
+            this.removeFromBucket(key);
+        }
+    }
+
+    selectVictim() {
+        if (this.frequencies.size === 0) {
+            return null;
+        }
+
+        // Arbitrary removals can empty the minimum bucket; walk up to the next populated one
+        while (!this.buckets.has(this.minFrequency)) {
+            this.minFrequency++;
+        }
+
+        const victim = this.buckets.get(this.minFrequency).values().next().value;
+        this.removeFromBucket(victim);
+        return victim;
+    }
+}
+
+// Adaptive Replacement Cache (Megiddo & Modha), adapted to byte sizes.
+// T1 holds entries seen once, T2 entries seen again; ghost lists B1/B2 remember
+// recent evictions and shift the target size p of T1 towards whichever list
+// would have produced a hit.
+class ARCPolicy {
+    constructor(capacity) {
+        this.name = 'arc';
+        this.capacity = capacity;
+        this.p = 0;
+        this.t1 = new Map(); // key -> size, LRU first
+        this.t2 = new Map();
+        this.b1 = new Map();
+        this.b2 = new Map();
+        this.bytes = { t1: 0, t2: 0, b1: 0, b2: 0 };
+        this.lastGhostHit = null;
+    }
+
+    take(listName, key) {
+        const list = this[listName];
+        const size = list.get(key);
+        list.delete(key);
+        this.bytes[listName] -= size;
+        return size;
+    }
+
+    put(listName, key, size) {
+        this[listName].set(key, size);
+        this.bytes[listName] += size;
+    }
+
+    insert(key, size) {
+        this.lastGhostHit = null;
+
+        if (this.t1.has(key) || this.t2.has(key)) {
+            this.take(this.t1.has(key) ? 't1' : 't2', key);
+            this.put('t2', key, size);
+            return;
+        }
+
+        if (this.b1.has(key)) {
+            // Recency list was evicted too early: grow T1's target
+            const delta = Math.max(this.bytes.b2 / Math.max(this.bytes.b1, 1), 1) * size;
+            this.p = Math.min(this.capacity, this.p + delta);
+            this.take('b1', key);
+            this.put('t2', key, size);
+            this.lastGhostHit = 'b1';
+            return;
+        }
+
+        if (this.b2.has(key)) {
+            // Frequency list was evicted too early: shrink T1's target
+            const delta = Math.max(this.bytes.b1 / Math.max(this.bytes.b2, 1), 1) * size;
+            this.p = Math.max(0, this.p - delta);
+            this.take('b2', key);
+            this.put('t2', key, size);
+            this.lastGhostHit = 'b2';
+            return;
+        }
+
+        this.put('t1', key, size);
+        this.trimGhosts();
+    }
+
+    access(key) {
+        if (this.t1.has(key)) {
+            this.put('t2', key, this.take('t1', key));
+        } else if (this.t2.has(key)) {
+            this.put('t2', key, this.take('t2', key));
+        }
+    }
+
+    remove(key) {
+        if (this.t1.has(key)) {
+            this.take('t1', key);
+        } else if (this.t2.has(key)) {
+            this.take('t2', key);
+        }
+    }
+
+    selectVictim() {
+        const preferT1 = this.t1.size > 0 && (
+            this.bytes.t1 > this.p ||
+            (this.lastGhostHit === 'b2' && this.bytes.t1 >= this.p) ||
+            this.t2.size === 0
+        );
+
+        const from = preferT1 ? 't1' : 't2';
+        const ghost = preferT1 ? 'b1' : 'b2';
+        const victim = this[from].keys().next();
+        if (victim.done) {
+            return null;
+        }
+
+        this.put(ghost, victim.value, this.take(from, victim.value));
+        this.trimGhosts();
+        return victim.value;
+    }
+
+    trimGhosts() {
+        // Ghost lists never describe more than the cache capacity each
+        while (this.bytes.b1 > this.capacity && this.b1.size > 0) {
+            this.take('b1', this.b1.keys().next().value);
+        }
+        while (this.bytes.b2 > this.capacity && this.b2.size > 0) {
+            this.take('b2', this.b2.keys().next().value);
+        }
+    }
+}
+
+// GreedyDual-Size: priority H = L + cost / size, so large rarely used entries go first.
+// A binary min-heap with a position index gives O(log n) updates.
+class GreedyDualSizePolicy {
+    constructor() {
+        this.name = 'gds';
+        this.inflation = 0; // L, the priority of the last victim
+        this.heap = []; // { key, priority, size }
+        this.positions = new Map(); // key -> heap index
+    }
+
+    priorityFor(size) {
+        return this.inflation + 1 / Math.max(size, 1);
+    }
+
+    insert(key, size) {
+        if (this.positions.has(key)) {
+            const node = this.heap[this.positions.get(key)];
+            node.size = size;
+            this.update(key, this.priorityFor(size));
+            return;
+        }
+
+        this.heap.push({ key, size, priority: this.priorityFor(size) });
+        this.positions.set(key, this.heap.length - 1);
+        this.siftUp(this.heap.length - 1);
+    }
+
+    access(key) {
+        if (this.positions.has(key)) {
+            const node = this.heap[this.positions.get(key)];
+            this.update(key, this.priorityFor(node.size));
+        }
+    }
+
+    update(key, priority) {
+        const index = this.positions.get(key);
+        const previous = this.heap[index].priority;
+        this.heap[index].priority = priority;
+        if (priority < previous) {
+            this.siftUp(index);
+        } else {
+            this.siftDown(index);
+        }
+    }
+
+    remove(key) {
+        if (!this.positions.has(key)) {
+            return;
+        }
+        const index = this.positions.get(key);
+        this.swap(index, this.heap.length - 1);
+        this.heap.pop();
+        this.positions.delete(key);
+        if (index < this.heap.length) {
+            this.siftUp(index);
+            this.siftDown(index);
+        }
+    }
+
+    selectVictim() {
+        if (this.heap.length === 0) {
+            return null;
+        }
+        const victim = this.heap[0];
+        this.inflation = victim.priority;
+        this.remove(victim.key);
+        return victim.key;
+    }
+
+    swap(i, j) {
+        const nodeI = this.heap[i];
+        const nodeJ = this.heap[j];
+        this.heap[i] = nodeJ;
+        this.heap[j] = nodeI;
+        this.positions.set(nodeJ.key, i);
+        this.positions.set(nodeI.key, j);
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.heap[parent].priority <= this.heap[index].priority) {
+                break;
+            }
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < this.heap.length && this.heap[left].priority < this.heap[smallest].priority) {
+                smallest = left;
+            }
+            if (right < this.heap.length && this.heap[right].priority < this.heap[smallest].priority) {
+                smallest = right;
+            }
+            if (smallest === index) {
+                return;
+            }
+            this.swap(index, smallest);
+            index = smallest;
+        }
+    }
+}
+
+const EVICTION_POLICIES = {
+    lru: LRUPolicy,
+    lfu: LFUPolicy,
+    arc: ARCPolicy,
+    gds: GreedyDualSizePolicy
+};
+
+function createEvictionPolicy(name = 'lru', capacity = Infinity) {
+    const Policy = EVICTION_POLICIES[String(name).toLowerCase()];
+    if (!Policy) {
+        throw new Error(`Unknown cache eviction policy: ${name}`);
+    }
+    return new Policy(capacity);
+}
+
+// Export for use in other modules
+const evictionApi = {
+    LRUPolicy,
+    LFUPolicy,
+    ARCPolicy,
+    GreedyDualSizePolicy,
+    createEvictionPolicy
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = evictionApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetEviction = evictionApi;
+}
@@ -0,0 +1,94 @@
+/**
+ * DeployNet Heartbeat
+ * Periodic ping/pong with RTT measurement and a liveness timeout, for the signaling socket and data channels
+ */
+
+const HEARTBEAT_DEFAULTS = {
+    interval: 5000,
+    timeout: 15000, // Without a reply or any other traffic for this long the link is considered dead
+    maxOutstanding: 4 // Unanswered pings remembered; older nonces are dropped
+};
+
+class Heartbeat {
+    constructor(options = {}) {
+        this.options = { ...HEARTBEAT_DEFAULTS, ...options };
+        this.send = options.send; // (nonce) => boolean
+        this.onTimeout = options.onTimeout || (() => {});
+        this.onRtt = options.onRtt || (() => {});
+
+        this.outstanding = new Map(); // nonce -> sentAt, oldest first
+        this.lastSeen = Date.now();
+        this.rtt = null;
+        this.timer = null;
+    }
+
+    // The first ping goes out after one interval; call ping() to measure right away
+    start() {
+        this.stop();
+        this.lastSeen = Date.now();
+        this.timer = setInterval(() => this.tick(), this.options.interval);
+        // In Node a heartbeat alone shouldn't keep the process running
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.outstanding.clear();
+    }
+
+    get running() {
+        return this.timer !== null;
+    }
+
+    tick(now = Date.now()) {
+        if (now - this.lastSeen > this.options.timeout) {
+            this.stop();
+            this.onTimeout(now - this.lastSeen);
+            return;
+        }
+        this.ping(now);
+    }
+
+    ping(now = Date.now()) {
+        const nonce = Math.random().toString(36).substr(2, 9);
+        this.outstanding.set(nonce, now);
+        if (this.outstanding.size > this.options.maxOutstanding) {
+            this.outstanding.delete(this.outstanding.keys().next().value);
+        }
+        return this.send(nonce);
+    }
+
+    // Only nonces we sent count, so a peer can't fake a low RTT
+    handleReply(nonce, now = Date.now()) {
+        const sentAt = this.outstanding.get(nonce);
+        if (sentAt === undefined) {
+            return false;
+        }
+
+        this.outstanding.delete(nonce);
+        this.lastSeen = now;
+        this.rtt = now - sentAt;
+        this.onRtt(this.rtt);
+        return true;
+    }
+
+    // Any traffic proves the link is up, even when pongs are queued behind a large transfer
+    markAlive(now = Date.now()) {
+        this.lastSeen = now;
+    }
+}
+
+// Export for use in other modules
+const heartbeatApi = {
+    HEARTBEAT_DEFAULTS,
+    Heartbeat
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = heartbeatApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetHeartbeat = heartbeatApi;
+}
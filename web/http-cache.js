@@ -0,0 +1,191 @@
+/**
+ * DeployNet HTTP Cache Semantics
+ * Freshness and revalidation rules (RFC 9111) for cached and peer-served responses
+ */
+
+// Only representation headers are kept; cookies and transfer details never reach the cache or peers
+const STORED_RESPONSE_HEADERS = [
+    'cache-control',
+    'content-disposition',
+    'content-language',
+    'content-type',
+    'date',
+    'etag',
+    'expires',
+    'last-modified',
+    'vary'
+];
+
+const HEURISTIC_FRESHNESS_FRACTION = 0.1;
+const MAX_HEURISTIC_FRESHNESS = 24 * 60 * 60 * 1000;
+
+function parseCacheControl(value) {
+    const directives = {};
+    if (!value) {
+        return directives;
+    }
+
+    for (const part of value.split(',')) {
+        const [rawName, ...rest] = part.split('=');
+        const name = rawName.trim().toLowerCase();
+        if (!name) {
+            continue;
+        }
+        const argument = rest.join('=').trim().replace(/^"|"$/g, '');
+        directives[name] = argument === '' ? true : argument;
+    }
+    return directives;
+}
+
+function readHeader(headers, name) {
+    if (!headers) {
+        return null;
+    }
+    if (typeof headers.get === 'function') {
+        return headers.get(name);
+    }
+    return headers[name] !== undefined ? headers[name] : null;
+}
+
+function pickStoredHeaders(headers) {
+    const stored = {};
+    for (const name of STORED_RESPONSE_HEADERS) {
+        const value = readHeader(headers, name);
+        if (value !== null) {
+            stored[name] = value;
+        }
+    }
+    return stored;
+}
+
+function parseHttpDate(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+// Returns the freshness lifetime in ms, or 0 when the response must be revalidated before use
+function freshnessLifetime(headers, directives) {
+    if (directives['no-cache']) {
+        return 0;
+    }
+
+    const maxAge = parseInt(directives['max-age'], 10);
+    if (!Number.isNaN(maxAge)) {
+        return Math.max(0, maxAge) * 1000;
+    }
+
+    const date = parseHttpDate(readHeader(headers, 'date'));
+    const expires = readHeader(headers, 'expires');
+    if (expires !== null) {
+        const expiresAt = parseHttpDate(expires);
+        // Invalid Expires values such as "0" mean already expired
+        return expiresAt === null ? 0 : Math.max(0, expiresAt - (date || Date.now()));
+    }
+
+    const lastModified = parseHttpDate(readHeader(headers, 'last-modified'));
+    if (lastModified !== null) {
+        const age = (date || Date.now()) - lastModified;
+        return Math.min(Math.max(0, age * HEURISTIC_FRESHNESS_FRACTION), MAX_HEURISTIC_FRESHNESS);
+    }
+
+    return 0;
+}
+
+// Cache metadata derived from an origin (or revalidation) response
+function describeResponse(headers, responseTime = Date.now()) {
+    const directives = parseCacheControl(readHeader(headers, 'cache-control'));
+    const age = parseInt(readHeader(headers, 'age'), 10);
+    const currentAge = Number.isNaN(age) ? 0 : age * 1000;
+
+    return {
+        headers: pickStoredHeaders(headers),
+        etag: readHeader(headers, 'etag'),
+        lastModified: readHeader(headers, 'last-modified'),
+        freshUntil: responseTime + Math.max(0, freshnessLifetime(headers, directives) - currentAge),
+        noStore: Boolean(directives['no-store']),
+        mustRevalidate: Boolean(directives['must-revalidate'] || directives['no-cache'])
+    };
+}
+
+function isFresh(meta, now = Date.now()) {
+    return Boolean(meta && meta.freshUntil && meta.freshUntil > now);
+}
+
+function conditionalHeaders(meta) {
+    const headers = {};
+    if (meta.etag) {
+        headers['If-None-Match'] = meta.etag;
+    }
+    if (meta.lastModified) {
+        headers['If-Modified-Since'] = meta.lastModified;
+    }
+    return Object.keys(headers).length > 0 ? headers : null;
+}
+
+// A 304 refreshes freshness and may update validators, but keeps the stored body
+function mergeRevalidation(meta, headers, responseTime = Date.now()) {
+    const refreshed = describeResponse(headers, responseTime);
+    const mergedHeaders = { ...meta.headers, ...refreshed.headers };
+    const freshness = describeResponse(mergedHeaders, responseTime);
+
+    return {
+        ...meta,
+        headers: mergedHeaders,
+        etag: refreshed.etag || meta.etag,
+        lastModified: refreshed.lastModified || meta.lastModified,
+        freshUntil: freshness.freshUntil,
+        mustRevalidate: freshness.mustRevalidate
+    };
+}
+
+function isCredentialedRequest(init = {}) {
+    const headers = new Headers(init.headers || {});
+    return headers.has('authorization') || init.credentials === 'include';
+}
+
+// Peers make our cache a shared cache (RFC 9111 section 3.5): anything personal to this
+// user must be neither stored nor served. Returns the reason a response can't be shared.
+function classifyResponse(headers, init = {}) {
+    const directives = parseCacheControl(readHeader(headers, 'cache-control'));
+    if (directives['no-store']) {
+        return { shareable: false, reason: 'no-store' };
+    }
+    if (directives.private) {
+        return { shareable: false, reason: 'private' };
+    }
+    if (readHeader(headers, 'set-cookie') !== null) {
+        return { shareable: false, reason: 'set-cookie' };
+    }
+
+    const vary = (readHeader(headers, 'vary') || '').toLowerCase().split(',').map(name => name.trim());
+    if (vary.some(name => name === '*' || name === 'cookie' || name === 'authorization')) {
+        return { shareable: false, reason: 'vary' };
+    }
+
+    // Responses to credentialed requests are only shared if the origin explicitly allows it
+    const allowed = directives.public || directives['s-maxage'] !== undefined || directives['must-revalidate'];
+    if (isCredentialedRequest(init) && !allowed) {
+        return { shareable: false, reason: 'credentialed' };
+    }
+
+    return { shareable: true, reason: null };
+}
+
+// Export for use in other modules
+const httpCacheApi = {
+    STORED_RESPONSE_HEADERS,
+    parseCacheControl,
+    pickStoredHeaders,
+    describeResponse,
+    isFresh,
+    classifyResponse,
+    isCredentialedRequest,
+    conditionalHeaders,
+    mergeRevalidation
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = httpCacheApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetHttpCache = httpCacheApi;
+}
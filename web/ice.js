@@ -0,0 +1,159 @@
+/**
+ * DeployNet ICE Configuration
+ * STUN/TURN server configuration, short-lived TURN credential refresh and route reporting
+ */
+
+const DEFAULT_ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+const ICE_DEFAULTS = {
+    iceTransportPolicy: 'all', // 'relay' forces TURN, e.g. to hide client addresses
+    refreshMargin: 60 * 1000, // Refresh TURN credentials this long before they expire
+    retryDelay: 30 * 1000 // Wait before retrying a failed credential fetch
+};
+
+// Accepts { iceServers, ttl } or the TURN REST API shape { username, password|credential, ttl, uris|urls }
+function normalizeTurnCredentials(response) {
+    if (!response || typeof response !== 'object') {
+        throw new Error('TURN credential response must be an object');
+    }
+
+    const ttl = Number(response.ttl);
+    let iceServers = response.iceServers;
+    if (!iceServers) {
+        const urls = response.uris || response.urls;
+        if (!urls || !response.username) {
+            throw new Error('TURN credential response has no servers');
+        }
+        iceServers = [{
+            urls,
+            username: response.username,
+            credential: response.credential || response.password
+        }];
+    }
+
+    return {
+        iceServers,
+        expiresAt: Number.isFinite(ttl) && ttl > 0 ? Date.now() + ttl * 1000 : null
+    };
+}
+
+function fetchTurnCredentials(url, fetchImpl) {
+    return async () => {
+        const response = await fetchImpl(url, { cache: 'no-store', credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch TURN credentials: ${response.status}`);
+        }
+        return response.json();
+    };
+}
+
+class IceServerManager {
+    constructor(options = {}) {
+        this.options = { ...ICE_DEFAULTS, ...options };
+        this.staticServers = options.iceServers || DEFAULT_ICE_SERVERS;
+        this.provider = options.credentialProvider ||
+            (options.credentialsUrl ? fetchTurnCredentials(options.credentialsUrl, options.fetch || fetch) : null);
+        this.turnServers = [];
+        this.expiresAt = null;
+        this.refreshTimer = null;
+        this.onRefresh = options.onRefresh || (() => {});
+        this.logger = options.logger || console;
+    }
+
+    getConfiguration() {
+        return {
+            iceServers: [...this.staticServers, ...this.turnServers],
+            iceTransportPolicy: this.options.iceTransportPolicy
+        };
+    }
+
+    async start() {
+        if (this.provider) {
+            await this.refresh();
+        }
+    }
+
+    async refresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        try {
+            const { iceServers, expiresAt } = normalizeTurnCredentials(await this.provider());
+            this.turnServers = iceServers;
+            this.expiresAt = expiresAt;
+            this.onRefresh(this.getConfiguration());
+        } catch (error) {
+            this.logger.warn('TURN credential refresh failed:', error);
+            this.schedule(this.options.retryDelay);
+            return false;
+        }
+
+        if (this.expiresAt !== null) {
+            this.schedule(Math.max(0, this.expiresAt - this.options.refreshMargin - Date.now()));
+        }
+        return true;
+    }
+
+    schedule(delay) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), delay);
+    }
+
+    stop() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+}
+
+// Summarizes the candidate pair ICE actually selected, from RTCPeerConnection.getStats()
+function describeSelectedCandidatePair(report) {
+    const stats = new Map();
+    report.forEach(entry => stats.set(entry.id, entry));
+
+    let pair = null;
+    for (const entry of stats.values()) {
+        if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+            pair = stats.get(entry.selectedCandidatePairId);
+            break;
+        }
+    }
+    if (!pair) {
+        // Firefox flags the pair itself instead of linking it from the transport
+        pair = [...stats.values()].find(entry => entry.type === 'candidate-pair' &&
+            (entry.selected || (entry.nominated && entry.state === 'succeeded'))) || null;
+    }
+    if (!pair) {
+        return null;
+    }
+
+    const describe = (candidate) => (candidate ? {
+        type: candidate.candidateType,
+        protocol: candidate.protocol,
+        address: candidate.address || candidate.ip || null
+    } : null);
+    const local = describe(stats.get(pair.localCandidateId));
+    const remote = describe(stats.get(pair.remoteCandidateId));
+
+    return {
+        local,
+        remote,
+        relayed: Boolean((local && local.type === 'relay') || (remote && remote.type === 'relay'))
+    };
+}
+
+// Export for use in other modules
+const iceApi = {
+    DEFAULT_ICE_SERVERS,
+    normalizeTurnCredentials,
+    IceServerManager,
+    describeSelectedCandidatePair
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = iceApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetIce = iceApi;
+}
@@ -0,0 +1,314 @@
+/**
+ * DeployNet Peer Identity
+ * Per-client keypairs, signed signaling messages and encrypted data channels
+ */
+
+const identityIntegrity = typeof module !== 'undefined' && module.exports
+    ? require('./integrity.js')
+    : window.DeployNetIntegrity;
+
+const IDENTITY_SIGN_KEY = { name: 'ECDSA', namedCurve: 'P-256' };
+const IDENTITY_SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const IDENTITY_AGREEMENT_KEY = { name: 'ECDH', namedCurve: 'P-256' };
+const SESSION_KEY_INFO = 'deploynet-channel-v1';
+const SESSION_IV_SIZE = 12;
+const SIGNAL_NONCE_SIZE = 16;
+const SIGNAL_MAX_AGE = 5 * 60 * 1000; // Either side of now, to allow for clock skew between peers
+const SIGNAL_REPLAY_HISTORY = 10000; // Nonces remembered at most, so a flood of signals can't grow it unbounded
+
+function randomBytes(size) {
+    const bytes = new Uint8Array(size);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(bytes);
+    }
+    return require('crypto').webcrypto.getRandomValues(bytes);
+}
+
+function randomIv() {
+    return randomBytes(SESSION_IV_SIZE);
+}
+
+// Only the fields that define the key, so IDs don't depend on key_ops or ext
+function publicJwk(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+// IDs are derived from the signing key, so only the holder of the private key can use one
+async function deriveClientId(signingKey) {
+    const digest = await identityIntegrity.sha256Hex(identityIntegrity.canonicalize(publicJwk(signingKey)));
+    return `deploy-${digest.slice(0, 32)}`;
+}
+
+// The a=fingerprint lines pin the DTLS certificate the browser will accept from the remote end
+function extractFingerprints(sdp) {
+    const fingerprints = [];
+    String(sdp || '').split(/\r?\n/).forEach(line => {
+        const match = /^a=fingerprint:(\S+)\s+([0-9A-Fa-f:]+)\s*$/.exec(line);
+        if (match) {
+            fingerprints.push(`${match[1].toLowerCase()} ${match[2].toUpperCase()}`);
+        }
+    });
+    return fingerprints;
+}
+
+// Covers the routing fields as well as the payload, so the hub cannot re-address or replay
+// a signed message into another room. For SDP this includes the DTLS fingerprints.
+// The timestamp and nonce let receivers reject stale and repeated statements.
+function signalStatement(message, auth) {
+    const payload = { ...message.payload };
+    delete payload.auth;
+    return new TextEncoder().encode(identityIntegrity.canonicalize({
+        type: message.type,
+        senderId: message.senderId,
+        roomId: message.roomId,
+        targetId: message.targetId || null,
+        payload,
+        signingKey: auth.signingKey,
+        agreementKey: auth.agreementKey,
+        encryption: auth.encryption,
+        issuedAt: auth.issuedAt,
+        nonce: auth.nonce
+    }));
+}
+
+class PeerIdentity {
+    constructor(clientId, signingKey, agreementKey, publicKeys) {
+        this.clientId = clientId;
+        this.signingKey = signingKey;
+        this.agreementKey = agreementKey;
+        this.publicKeys = publicKeys; // { signingKey, agreementKey } as JWK
+    }
+
+    static async generate() {
+        const subtle = identityIntegrity.getSubtleCrypto();
+        // Private keys are not extractable, so they never leave this page
+        const signing = await subtle.generateKey(IDENTITY_SIGN_KEY, false, ['sign', 'verify']);
+        const agreement = await subtle.generateKey(IDENTITY_AGREEMENT_KEY, false, ['deriveBits']);
+        const publicKeys = {
+            signingKey: publicJwk(await subtle.exportKey('jwk', signing.publicKey)),
+            agreementKey: publicJwk(await subtle.exportKey('jwk', agreement.publicKey))
+        };
+
+        return new PeerIdentity(
+            await deriveClientId(publicKeys.signingKey),
+            signing.privateKey,
+            agreement.privateKey,
+            publicKeys
+        );
+    }
+
+    // Returns the auth block to attach to the message payload
+    async sign(message, options = {}) {
+        const auth = {
+            ...this.publicKeys,
+            encryption: Boolean(options.encryption),
+            issuedAt: Date.now(),
+            nonce: identityIntegrity.bytesToBase64(randomBytes(SIGNAL_NONCE_SIZE))
+        };
+        const signature = await identityIntegrity.getSubtleCrypto().sign(
+            IDENTITY_SIGN_ALGORITHM,
+            this.signingKey,
+            signalStatement({ ...message, senderId: this.clientId }, auth)
+        );
+        return { ...auth, signature: identityIntegrity.bytesToBase64(signature) };
+    }
+
+    // ECDH + HKDF; both ends derive the same AES-GCM key for the pair
+    async deriveSessionKey(peerId, peerAgreementKey) {
+        const subtle = identityIntegrity.getSubtleCrypto();
+        const publicKey = await subtle.importKey('jwk', publicJwk(peerAgreementKey), IDENTITY_AGREEMENT_KEY, false, []);
+        const secret = await subtle.deriveBits({ name: 'ECDH', public: publicKey }, this.agreementKey, 256);
+        const keyMaterial = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+        return subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new TextEncoder().encode([this.clientId, peerId].sort().join('|')),
+                info: new TextEncoder().encode(SESSION_KEY_INFO)
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+}
+
+// Remembers the nonces of verified signals until they are too old to pass the age check
+class SignalReplayGuard {
+    constructor(maxAge = SIGNAL_MAX_AGE, maxEntries = SIGNAL_REPLAY_HISTORY) {
+        this.maxAge = maxAge;
+        this.maxEntries = maxEntries;
+        this.seen = new Map(); // senderId|nonce -> issuedAt, in insertion order
+    }
+
+    // Returns false if the nonce was already used by this sender
+    check(senderId, nonce, issuedAt, now = Date.now()) {
+        for (const [key, seenAt] of this.seen) {
+            if (Math.abs(now - seenAt) <= this.maxAge && this.seen.size < this.maxEntries) {
+                break;
+            }
+            this.seen.delete(key);
+        }
+
+        const key = `${senderId}|${nonce}`;
+        if (this.seen.has(key)) {
+            return false;
+        }
+        this.seen.set(key, issuedAt);
+        return true;
+    }
+}
+
+// Resolves to the sender's public keys, or null if the message is unsigned, forged, stale,
+// signed by a key that doesn't own the sender ID, or already seen by the replay guard
+async function verifySignal(message, options = {}) {
+    const { replayGuard = null, now = Date.now(), maxAge = SIGNAL_MAX_AGE } = options;
+    const auth = message.payload && message.payload.auth;
+    if (!auth || typeof auth.signature !== 'string' || !auth.signingKey || !auth.agreementKey) {
+        return null;
+    }
+    if (!Number.isFinite(auth.issuedAt) || Math.abs(now - auth.issuedAt) > maxAge) {
+        return null;
+    }
+    if (typeof auth.nonce !== 'string' || auth.nonce === '') {
+        return null;
+    }
+
+    try {
+        if (await deriveClientId(auth.signingKey) !== message.senderId) {
+            return null;
+        }
+
+        const subtle = identityIntegrity.getSubtleCrypto();
+        const key = await subtle.importKey('jwk', publicJwk(auth.signingKey), IDENTITY_SIGN_KEY, false, ['verify']);
+        const valid = await subtle.verify(
+            IDENTITY_SIGN_ALGORITHM,
+            key,
+            identityIntegrity.base64ToBytes(auth.signature),
+            signalStatement(message, auth)
+        );
+
+        // Only verified nonces are recorded, so forgeries can't burn a peer's nonces
+        if (!valid || (replayGuard && !replayGuard.check(message.senderId, auth.nonce, auth.issuedAt, now))) {
+            return null;
+        }
+        return {
+            signingKey: publicJwk(auth.signingKey),
+            agreementKey: publicJwk(auth.agreementKey),
+            encryption: auth.encryption === true
+        };
+    } catch {
+        return null;
+    }
+}
+
+// Wraps an RTCDataChannel so every frame is AES-GCM encrypted with the pair's session key.
+// WebCrypto is async, so sends and receives are queued to keep frames in order.
+class SecureChannel extends EventTarget {
+    constructor(channel, key, { localId, remoteId, logger = console }) {
+        super();
+        this.channel = channel;
+        this.key = key;
+        this.logger = logger;
+        // Each direction authenticates its sender, so a frame can't be reflected back
+        this.sendLabel = new TextEncoder().encode(localId);
+        this.receiveLabel = new TextEncoder().encode(remoteId);
+        this.sendQueue = Promise.resolve();
+        this.receiveQueue = Promise.resolve();
+        this.pendingBytes = 0;
+        this.binaryType = 'arraybuffer';
+
+        channel.binaryType = 'arraybuffer';
+        channel.addEventListener('bufferedamountlow', () => this.notifyBufferedAmountLow());
+        channel.addEventListener('close', () => this.dispatchEvent(new Event('close')));
+    }
+
+    get readyState() {
+        return this.channel.readyState;
+    }
+
+    // Includes frames still waiting to be encrypted, so TransferSession backpressure sees them
+    get bufferedAmount() {
+        return this.channel.bufferedAmount + this.pendingBytes;
+    }
+
+    get bufferedAmountLowThreshold() {
+        return this.channel.bufferedAmountLowThreshold;
+    }
+
+    set bufferedAmountLowThreshold(value) {
+        this.channel.bufferedAmountLowThreshold = value;
+    }
+
+    send(data) {
+        const bytes = identityIntegrity.toBytes(data);
+        this.pendingBytes += bytes.byteLength;
+
+        this.sendQueue = this.sendQueue.then(async () => {
+            const iv = randomIv();
+            const ciphertext = await identityIntegrity.getSubtleCrypto().encrypt(
+                { name: 'AES-GCM', iv, additionalData: this.sendLabel },
+                this.key,
+                bytes
+            );
+            this.pendingBytes -= bytes.byteLength;
+
+            if (this.channel.readyState === 'open') {
+                const frame = new Uint8Array(SESSION_IV_SIZE + ciphertext.byteLength);
+                frame.set(iv);
+                frame.set(new Uint8Array(ciphertext), SESSION_IV_SIZE);
+                this.channel.send(frame.buffer);
+            }
+            this.notifyBufferedAmountLow();
+        }).catch(error => {
+            this.logger.error('Failed to encrypt data channel frame:', error);
+            this.close();
+        });
+    }
+
+    // Resolves with the plaintext frame; rejects if it was tampered with or not encrypted for us
+    receive(data) {
+        const result = this.receiveQueue.then(() => {
+            const bytes = identityIntegrity.toBytes(data);
+            if (bytes.byteLength <= SESSION_IV_SIZE) {
+                throw new Error('Encrypted frame too short');
+            }
+            return identityIntegrity.getSubtleCrypto().decrypt(
+                { name: 'AES-GCM', iv: bytes.subarray(0, SESSION_IV_SIZE), additionalData: this.receiveLabel },
+                this.key,
+                bytes.subarray(SESSION_IV_SIZE)
+            );
+        });
+        this.receiveQueue = result.catch(() => {});
+        return result;
+    }
+
+    notifyBufferedAmountLow() {
+        if (this.bufferedAmount <= this.bufferedAmountLowThreshold) {
+            this.dispatchEvent(new Event('bufferedamountlow'));
+        }
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+// Export for use in other modules
+const identityApi = {
+    SIGNAL_MAX_AGE,
+    PeerIdentity,
+    SecureChannel,
+    SignalReplayGuard,
+    deriveClientId,
+    extractFingerprints,
+    verifySignal
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = identityApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetIdentity = identityApi;
+}
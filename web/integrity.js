@@ -0,0 +1,198 @@
+/**
+ * DeployNet Content Integrity
+ * Signed asset manifests and SHA-256 verification of peer-served content
+ */
+
+const MANIFEST_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const MANIFEST_SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+function getSubtleCrypto() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        return crypto.subtle;
+    }
+    return require('crypto').webcrypto.subtle;
+}
+
+function toBytes(content) {
+    if (typeof content === 'string') {
+        return new TextEncoder().encode(content);
+    }
+    if (content instanceof ArrayBuffer) {
+        return new Uint8Array(content);
+    }
+    if (ArrayBuffer.isView(content)) {
+        return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+    }
+    throw new Error('Unsupported content type for hashing');
+}
+
+function bytesToHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function sha256Hex(content) {
+    const digest = await getSubtleCrypto().digest('SHA-256', toBytes(content));
+    return bytesToHex(digest);
+}
+
+// Deterministic JSON (sorted keys) so signer and verifier hash the same bytes
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+async function importManifestKey(key, usage) {
+    // Accept JWKs from config files as well as ready-made CryptoKeys
+    if (key && key.kty) {
+        return getSubtleCrypto().importKey('jwk', key, MANIFEST_KEY_ALGORITHM, false, [usage]);
+    }
+    return key;
+}
+
+function manifestSigningPayload(manifest) {
+    const unsigned = { ...manifest };
+    delete unsigned.signature;
+    return new TextEncoder().encode(canonicalize(unsigned));
+}
+
+async function signManifest(manifest, privateKey) {
+    const key = await importManifestKey(privateKey, 'sign');
+    const signature = await getSubtleCrypto().sign(MANIFEST_SIGN_ALGORITHM, key, manifestSigningPayload(manifest));
+    return { ...manifest, signature: bytesToBase64(signature) };
+}
+
+async function verifyManifestSignature(manifest, publicKey) {
+    if (!manifest || typeof manifest.signature !== 'string') {
+        return false;
+    }
+
+    try {
+        const key = await importManifestKey(publicKey, 'verify');
+        return await getSubtleCrypto().verify(
+            MANIFEST_SIGN_ALGORITHM,
+            key,
+            base64ToBytes(manifest.signature),
+            manifestSigningPayload(manifest)
+        );
+    } catch {
+        return false;
+    }
+}
+
+class ContentManifest {
+    constructor(data, baseUrl) {
+        this.version = data.version;
+        this.siteId = data.siteId;
+        this.baseUrl = baseUrl;
+        this.entries = new Map(); // Absolute URL -> { sha256, size, pieceSize?, pieces? }
+
+        for (const [path, entry] of Object.entries(data.files || {})) {
+            this.entries.set(this.resolve(path), entry);
+        }
+    }
+
+    static async load(data, publicKey, baseUrl) {
+        if (!publicKey) {
+            throw new Error('No manifest public key configured');
+        }
+
+        const valid = await verifyManifestSignature(data, publicKey);
+        if (!valid) {
+            throw new Error('Manifest signature verification failed');
+        }
+
+        return new ContentManifest(data, baseUrl);
+    }
+
+    resolve(url) {
+        try {
+            return new URL(url, this.baseUrl).href;
+        } catch {
+            return url;
+        }
+    }
+
+    has(url) {
+        return this.entries.has(this.resolve(url));
+    }
+
+    getEntry(url) {
+        return this.entries.get(this.resolve(url)) || null;
+    }
+
+    async verify(url, content) {
+        const entry = this.getEntry(url);
+        if (!entry || content === null || content === undefined) {
+            return false;
+        }
+
+        const bytes = toBytes(content);
+        if (typeof entry.size === 'number' && bytes.byteLength !== entry.size) {
+            return false;
+        }
+
+        return await sha256Hex(bytes) === entry.sha256;
+    }
+
+    // Large assets list a hash per fixed-size piece so partial downloads can be checked
+    async verifyPiece(url, index, content) {
+        const entry = this.getEntry(url);
+        if (!entry || !Array.isArray(entry.pieces) || !entry.pieceSize || !entry.pieces[index]) {
+            return false;
+        }
+
+        const bytes = toBytes(content);
+        const expectedSize = Math.min(entry.pieceSize, entry.size - index * entry.pieceSize);
+        if (bytes.byteLength !== expectedSize) {
+            return false;
+        }
+
+        return await sha256Hex(bytes) === entry.pieces[index];
+    }
+}
+
+// Export for use in other modules
+const integrityApi = {
+    ContentManifest,
+    canonicalize,
+    sha256Hex,
+    signManifest,
+    verifyManifestSignature,
+    getSubtleCrypto,
+    toBytes,
+    bytesToHex,
+    bytesToBase64,
+    base64ToBytes
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = integrityApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetIntegrity = integrityApi;
+}
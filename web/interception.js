@@ -0,0 +1,142 @@
+/**
+ * DeployNet Interception Rules
+ * Declarative rules for which requests the client may answer from its cache and peers
+ */
+
+const interceptionHttpCache = typeof module !== 'undefined' && module.exports
+    ? require('./http-cache.js')
+    : window.DeployNetHttpCache;
+
+const INTERCEPTION_DEFAULTS = Object.freeze({
+    include: [], // Globs or RegExps; empty means every URL on an allowed origin
+    exclude: [], // Checked before include
+    origins: null, // Allowed origins; null means the page's own, '*' allows any
+    methods: ['GET', 'HEAD'],
+    bypassCredentials: true, // Requests sent with credentials: 'include' or Authorization go to the origin
+    optOutHeader: 'X-DeployNet-Skip' // Set on a request to send it to the origin
+});
+
+// '*' stays within a path segment, '**' crosses segments and '?' is one character
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Globs starting with '/' match the path, other globs the origin and path; RegExps see the whole URL
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        // A global RegExp keeps state between test() calls
+        const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+        return url => regex.test(url.href);
+    }
+    if (typeof pattern !== 'string' || pattern === '') {
+        throw new Error(`Invalid interception pattern: ${pattern}`);
+    }
+
+    const regex = globToRegExp(pattern);
+    return pattern.startsWith('/')
+        ? url => regex.test(url.pathname)
+        : url => regex.test(url.origin + url.pathname);
+}
+
+// fetch() takes the method and headers from a Request unless init overrides them
+function describeRequest(input, init) {
+    if (typeof input === 'string' || input instanceof URL) {
+        return { url: String(input), init: init || {} };
+    }
+    return {
+        url: input.url,
+        init: { method: input.method, headers: input.headers, credentials: input.credentials, ...init }
+    };
+}
+
+// The opt-out header is meant for us; sent on to another origin it would force a CORS preflight
+function removeHeader(input, init, name) {
+    if (init && init.headers) {
+        const headers = new Headers(init.headers);
+        headers.delete(name);
+        return [input, { ...init, headers }];
+    }
+    if (typeof input === 'object' && input.headers && typeof input.headers.has === 'function' && input.headers.has(name)) {
+        const headers = new Headers(input.headers);
+        headers.delete(name);
+        return [new Request(input, { headers }), init];
+    }
+    return [input, init];
+}
+
+class InterceptionRules {
+    constructor(rules = {}) {
+        const options = { ...INTERCEPTION_DEFAULTS, ...rules };
+        this.include = options.include.map(compilePattern);
+        this.exclude = options.exclude.map(compilePattern);
+        this.origins = options.origins;
+        this.methods = new Set(options.methods.map(method => method.toUpperCase()));
+        this.bypassCredentials = options.bypassCredentials;
+        this.optOutHeader = options.optOutHeader;
+    }
+
+    isOriginAllowed(origin, pageOrigin) {
+        const allowed = this.origins || [pageOrigin];
+        return allowed.includes('*') || allowed.includes(origin);
+    }
+
+    // Returns { intercept, reason }; the reason says why a request was left to the origin
+    evaluate(url, init = {}, pageOrigin = null) {
+        const headers = new Headers(init.headers || {});
+        if (this.optOutHeader && headers.has(this.optOutHeader)) {
+            return { intercept: false, reason: 'optOut' };
+        }
+        if (!this.methods.has((init.method || 'GET').toUpperCase())) {
+            return { intercept: false, reason: 'method' };
+        }
+        if (this.bypassCredentials && interceptionHttpCache.isCredentialedRequest(init)) {
+            return { intercept: false, reason: 'credentials' };
+        }
+
+        let parsed;
+        try {
+            parsed = pageOrigin ? new URL(url, pageOrigin) : new URL(url);
+        } catch {
+            return { intercept: false, reason: 'invalidUrl' };
+        }
+        if (!this.isOriginAllowed(parsed.origin, pageOrigin)) {
+            return { intercept: false, reason: 'origin' };
+        }
+        if (this.exclude.some(matches => matches(parsed))) {
+            return { intercept: false, reason: 'excluded' };
+        }
+        if (this.include.length > 0 && !this.include.some(matches => matches(parsed))) {
+            return { intercept: false, reason: 'notIncluded' };
+        }
+        return { intercept: true, reason: null };
+    }
+}
+
+// Export for use in other modules
+const interceptionApi = {
+    INTERCEPTION_DEFAULTS,
+    globToRegExp,
+    describeRequest,
+    removeHeader,
+    InterceptionRules
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = interceptionApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetInterception = interceptionApi;
+}
@@ -0,0 +1,74 @@
+/**
+ * DeployNet Logger
+ * Leveled logging with a pluggable sink, so embedders can route or silence client output
+ */
+
+const LOG_LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+});
+
+// Resolved on every call so console replacements made after startup (log shippers, test spies) apply
+const consoleSink = {
+    debug: (...args) => console.debug(...args),
+    info: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+class Logger {
+    // The sink is anything with debug/info/warn/error methods: console, pino, winston...
+    constructor({ level = 'info', sink = consoleSink } = {}) {
+        this.sink = sink;
+        this.setLevel(level);
+    }
+
+    setLevel(level) {
+        if (!(level in LOG_LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    log(level, ...args) {
+        if (this.isEnabled(level) && typeof this.sink[level] === 'function') {
+            this.sink[level](...args);
+        }
+    }
+
+    debug(...args) {
+        this.log('debug', ...args);
+    }
+
+    info(...args) {
+        this.log('info', ...args);
+    }
+
+    warn(...args) {
+        this.log('warn', ...args);
+    }
+
+    error(...args) {
+        this.log('error', ...args);
+    }
+}
+
+// Export for use in other modules
+const loggerApi = {
+    LOG_LEVELS,
+    consoleSink,
+    Logger
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = loggerApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetLogger = loggerApi;
+}
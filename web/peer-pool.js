@@ -0,0 +1,185 @@
+/**
+ * DeployNet Peer Pool
+ * Known peers with expiry, and which connections to open, keep or close
+ */
+
+const POOL_DEFAULTS = {
+    targetPeers: 4, // Connections kept open in the steady state
+    maxPeers: 5, // Hard cap, leaving room for peers that connect to us
+    maxKnownPeers: 100,
+    knownPeerTtl: 10 * 60 * 1000, // Discovered peers are forgotten after this long without news
+    connectTimeout: 15 * 1000, // Connections whose data channel isn't open by then are dropped
+    idleTimeout: 5 * 60 * 1000, // Connections beyond the target are closed after this long without traffic
+    minConnectionAge: 60 * 1000, // New connections get this long to prove themselves before they can be replaced
+    retryCooldown: 5 * 60 * 1000, // Closed peers aren't reconnected to for this long
+    churnMargin: 0.5, // A candidate must score this much better (relative) than the worst connection to replace it
+    minScore: 0
+};
+
+class PeerPool {
+    constructor(options = {}) {
+        this.options = { ...POOL_DEFAULTS, ...options };
+        this.known = new Map(); // peerId -> { info, seenAt, retryAfter }, least recently seen first
+        this.connections = new Map(); // peerId -> { openedAt, connectedAt, lastActivity }
+    }
+
+    discover(peerId, info, now = Date.now()) {
+        const existing = this.known.get(peerId);
+        this.known.delete(peerId);
+        this.known.set(peerId, { info, seenAt: now, retryAfter: existing ? existing.retryAfter : 0 });
+
+        while (this.known.size > this.options.maxKnownPeers) {
+            const oldest = [...this.known.keys()].find(id => !this.connections.has(id));
+            if (oldest === undefined) {
+                break;
+            }
+            this.known.delete(oldest);
+        }
+    }
+
+    forget(peerId) {
+        this.known.delete(peerId);
+    }
+
+    getInfo(peerId) {
+        const known = this.known.get(peerId);
+        return known ? known.info : null;
+    }
+
+    hasCapacity() {
+        return this.connections.size < this.options.maxPeers;
+    }
+
+    get size() {
+        return this.connections.size;
+    }
+
+    opened(peerId, now = Date.now()) {
+        if (!this.connections.has(peerId)) {
+            this.connections.set(peerId, { openedAt: now, connectedAt: null, lastActivity: now });
+        }
+    }
+
+    connected(peerId, now = Date.now()) {
+        this.opened(peerId, now);
+        const connection = this.connections.get(peerId);
+        connection.connectedAt = now;
+        connection.lastActivity = now;
+    }
+
+    // The channel went away but the connection may still be renegotiated, so restart the connect clock
+    disconnected(peerId, now = Date.now()) {
+        const connection = this.connections.get(peerId);
+        if (connection) {
+            connection.openedAt = now;
+            connection.connectedAt = null;
+        }
+    }
+
+    touch(peerId, now = Date.now()) {
+        const connection = this.connections.get(peerId);
+        if (connection) {
+            connection.lastActivity = now;
+        }
+    }
+
+    closed(peerId, now = Date.now()) {
+        this.connections.delete(peerId);
+        const known = this.known.get(peerId);
+        if (known) {
+            known.retryAfter = now + this.options.retryCooldown;
+        }
+    }
+
+    prune(now = Date.now()) {
+        for (const [peerId, known] of this.known) {
+            if (!this.connections.has(peerId) && now - known.seenAt > this.options.knownPeerTtl) {
+                this.known.delete(peerId);
+            }
+        }
+    }
+
+    // Known peers we could connect to now
+    candidates(now = Date.now()) {
+        this.prune(now);
+        return [...this.known.entries()]
+            .filter(([peerId, known]) => !this.connections.has(peerId) && known.retryAfter <= now)
+            .map(([peerId]) => peerId);
+    }
+
+    // Decides which connections to close and which peers to connect to. Opens at most one
+    // replacement per call, so a pool at its target churns slowly.
+    plan(score, options = {}, now = Date.now()) {
+        const { targetPeers, connectTimeout, idleTimeout, minConnectionAge, churnMargin, minScore } = this.options;
+        const eligible = options.isEligible || (() => true);
+        const close = [];
+        const connect = [];
+
+        const live = [];
+        for (const [peerId, connection] of this.connections) {
+            if (connection.connectedAt === null && now - connection.openedAt > connectTimeout) {
+                close.push({ peerId, reason: 'connectTimeout' });
+            } else {
+                live.push({ peerId, ...connection });
+            }
+        }
+
+        const idle = live
+            .filter(connection => connection.connectedAt !== null && now - connection.lastActivity > idleTimeout)
+            .sort((a, b) => a.lastActivity - b.lastActivity);
+        let open = live.length;
+        while (open > targetPeers && idle.length > 0) {
+            const { peerId } = idle.shift();
+            close.push({ peerId, reason: 'idle' });
+            live.splice(live.findIndex(connection => connection.peerId === peerId), 1);
+            open--;
+        }
+
+        const candidates = this.candidates(now)
+            .filter(eligible)
+            .map(peerId => ({ peerId, score: score(peerId) }))
+            .sort((a, b) => b.score - a.score);
+        while (open < targetPeers && candidates.length > 0) {
+            connect.push(candidates.shift().peerId);
+            open++;
+        }
+
+        if (connect.length === 0 && candidates.length > 0) {
+            const worst = live
+                .filter(connection => connection.connectedAt !== null && now - connection.connectedAt >= minConnectionAge)
+                .map(connection => ({ peerId: connection.peerId, score: score(connection.peerId) }))
+                .sort((a, b) => a.score - b.score)[0];
+            const best = candidates[0];
+            if (worst && (worst.score < minScore || best.score > worst.score * (1 + churnMargin))) {
+                close.push({ peerId: worst.peerId, reason: 'replaced' });
+                connect.push(best.peerId);
+            }
+        }
+
+        return { close, connect };
+    }
+
+    getStats(now = Date.now()) {
+        const connections = [...this.connections.values()];
+        return {
+            connections: connections.length,
+            connected: connections.filter(connection => connection.connectedAt !== null).length,
+            knownPeers: this.known.size,
+            candidates: this.candidates(now).length,
+            targetPeers: this.options.targetPeers,
+            maxPeers: this.options.maxPeers
+        };
+    }
+}
+
+// Export for use in other modules
+const peerPoolApi = {
+    POOL_DEFAULTS,
+    PeerPool
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = peerPoolApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetPeerPool = peerPoolApi;
+}
@@ -0,0 +1,127 @@
+/**
+ * DeployNet Rate Limiting
+ * Per-peer request buckets, upload budgets and temporary bans for abusive peers
+ */
+
+const RATE_LIMIT_DEFAULTS = {
+    requestRate: 10, // contentRequests per second, sustained
+    requestBurst: 20,
+    uploadBudgetPerSession: 250 * 1024 * 1024,
+    uploadBudgetPerHour: 100 * 1024 * 1024,
+    banDuration: 15 * 60 * 1000,
+    maxRateLimitViolations: 20, // Requests dropped for exceeding the rate before a ban
+    maxMalformedFrames: 3
+};
+
+const HOUR = 60 * 60 * 1000;
+const UPLOAD_BUCKET_SIZE = 60 * 1000;
+
+class TokenBucket {
+    constructor(capacity, refillPerSecond, now = Date.now()) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = now;
+    }
+
+    take(count = 1, now = Date.now()) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.updatedAt = now;
+
+        if (this.tokens < count) {
+            return false;
+        }
+        this.tokens -= count;
+        return true;
+    }
+}
+
+// Caps what this visitor uploads to peers, over the whole session and over a sliding hour
+class UploadBudget {
+    constructor(options = {}) {
+        this.perSession = options.perSession ?? RATE_LIMIT_DEFAULTS.uploadBudgetPerSession;
+        this.perHour = options.perHour ?? RATE_LIMIT_DEFAULTS.uploadBudgetPerHour;
+        this.sessionBytes = 0;
+        this.buckets = new Map(); // minute -> bytes, so the hourly window stays small
+    }
+
+    usedLastHour(now = Date.now()) {
+        const oldest = Math.floor((now - HOUR) / UPLOAD_BUCKET_SIZE);
+        let total = 0;
+        for (const [minute, bytes] of this.buckets) {
+            if (minute <= oldest) {
+                this.buckets.delete(minute);
+            } else {
+                total += bytes;
+            }
+        }
+        return total;
+    }
+
+    tryConsume(bytes, now = Date.now()) {
+        if (this.sessionBytes + bytes > this.perSession || this.usedLastHour(now) + bytes > this.perHour) {
+            return false;
+        }
+
+        const minute = Math.floor(now / UPLOAD_BUCKET_SIZE);
+        this.buckets.set(minute, (this.buckets.get(minute) || 0) + bytes);
+        this.sessionBytes += bytes;
+        return true;
+    }
+
+    getStats(now = Date.now()) {
+        return {
+            sessionBytes: this.sessionBytes,
+            lastHourBytes: this.usedLastHour(now),
+            perSession: this.perSession,
+            perHour: this.perHour
+        };
+    }
+}
+
+class PeerBanList {
+    constructor(options = {}) {
+        this.duration = options.duration ?? RATE_LIMIT_DEFAULTS.banDuration;
+        this.bans = new Map(); // peerId -> { reason, until }
+    }
+
+    ban(peerId, reason, now = Date.now()) {
+        const ban = { reason, until: now + this.duration };
+        this.bans.set(peerId, ban);
+        return ban;
+    }
+
+    isBanned(peerId, now = Date.now()) {
+        const ban = this.bans.get(peerId);
+        if (ban && ban.until <= now) {
+            this.bans.delete(peerId);
+            return false;
+        }
+        return Boolean(ban);
+    }
+
+    get(peerId, now = Date.now()) {
+        return this.isBanned(peerId, now) ? this.bans.get(peerId) : null;
+    }
+
+    list(now = Date.now()) {
+        return [...this.bans.keys()]
+            .filter(peerId => this.isBanned(peerId, now))
+            .map(peerId => ({ peerId, ...this.bans.get(peerId) }));
+    }
+}
+
+// Export for use in other modules
+const rateLimitApi = {
+    RATE_LIMIT_DEFAULTS,
+    TokenBucket,
+    UploadBudget,
+    PeerBanList
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = rateLimitApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetRateLimit = rateLimitApi;
+}
@@ -0,0 +1,202 @@
+/**
+ * DeployNet Signaling Connection
+ * WebSocket state machine with jittered exponential backoff and an offline send queue
+ */
+
+const ConnectionState = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    DISCONNECTED: 'disconnected'
+};
+
+const RECONNECT_DEFAULTS = {
+    retryAttempts: 3, // Reconnects attempted after a drop before giving up
+    baseDelay: 1000,
+    maxDelay: 30000,
+    maxQueueSize: 100 // Oldest queued messages are dropped beyond this
+};
+
+// Exponential backoff with jitter in [0.5, 1) of the nominal delay, so clients don't reconnect in lockstep
+function backoffDelay(attempt, { baseDelay, maxDelay }, random = Math.random) {
+    const nominal = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.round(nominal * (0.5 + random() / 2));
+}
+
+class SignalingConnection {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = { ...RECONNECT_DEFAULTS, ...options };
+        this.WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.onOpen = options.onOpen || (() => {});
+        this.onMessage = options.onMessage || (() => {});
+        this.onStateChange = options.onStateChange || (() => {});
+        this.logger = options.logger || console;
+
+        this.state = ConnectionState.IDLE;
+        this.socket = null;
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.queue = [];
+        this.pendingConnect = null;
+    }
+
+    // Resolves once connected; rejects when every attempt has failed
+    connect() {
+        if (this.state === ConnectionState.CONNECTED) {
+            return Promise.resolve();
+        }
+        if (!this.pendingConnect) {
+            this.pendingConnect = {};
+            this.pendingConnect.promise = new Promise((resolve, reject) => {
+                this.pendingConnect.resolve = resolve;
+                this.pendingConnect.reject = reject;
+            });
+            if (this.state === ConnectionState.IDLE || this.state === ConnectionState.DISCONNECTED) {
+                this.attempt = 0;
+                this.setState(ConnectionState.CONNECTING);
+                this.open();
+            }
+        }
+        return this.pendingConnect.promise;
+    }
+
+    open() {
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            if (socket !== this.socket) {
+                return;
+            }
+            this.attempt = 0;
+            this.setState(ConnectionState.CONNECTED);
+            // Registration goes out before anything queued while offline
+            this.onOpen();
+            this.flush();
+            this.settleConnect(null);
+        };
+
+        socket.onmessage = (event) => {
+            if (socket === this.socket) {
+                this.onMessage(event.data);
+            }
+        };
+
+        socket.onerror = (error) => {
+            // A close event always follows; reconnection is handled there
+            this.logger.error('Signaling connection error:', error);
+        };
+
+        socket.onclose = () => {
+            if (socket === this.socket) {
+                this.socket = null;
+                this.handleClose();
+            }
+        };
+    }
+
+    handleClose() {
+        if (this.state === ConnectionState.DISCONNECTED) {
+            return;
+        }
+
+        if (this.attempt >= this.options.retryAttempts) {
+            this.setState(ConnectionState.DISCONNECTED);
+            this.settleConnect(new Error('Unable to reach signaling server'));
+            return;
+        }
+
+        const delay = backoffDelay(this.attempt, this.options);
+        this.attempt++;
+        this.setState(ConnectionState.RECONNECTING, { attempt: this.attempt, delay });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open();
+        }, delay);
+    }
+
+    send(data) {
+        if (this.state === ConnectionState.CONNECTED && this.socket) {
+            this.socket.send(data);
+            return true;
+        }
+
+        this.queue.push(data);
+        if (this.queue.length > this.options.maxQueueSize) {
+            this.queue.shift();
+        }
+        return false;
+    }
+
+    flush() {
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(data => this.socket.send(data));
+    }
+
+    close() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.setState(ConnectionState.DISCONNECTED);
+        this.settleConnect(new Error('Signaling connection closed'));
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+    }
+
+    // For a socket that has stopped answering: reconnect now rather than wait for a close that may take minutes
+    abandon() {
+        const socket = this.socket;
+        if (!socket || this.state !== ConnectionState.CONNECTED) {
+            return;
+        }
+
+        this.socket = null;
+        socket.onopen = null;
+        socket.onmessage = null;
+        socket.onclose = null;
+        socket.close();
+        this.handleClose();
+    }
+
+    settleConnect(error) {
+        const pending = this.pendingConnect;
+        this.pendingConnect = null;
+        if (!pending) {
+            return;
+        }
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve();
+        }
+    }
+
+    setState(state, detail = {}) {
+        if (this.state === state && state !== ConnectionState.RECONNECTING) {
+            return;
+        }
+        const previous = this.state;
+        this.state = state;
+        this.onStateChange(state, { previous, ...detail });
+    }
+}
+
+// Export for use in other modules
+const reconnectApi = {
+    ConnectionState,
+    RECONNECT_DEFAULTS,
+    backoffDelay,
+    SignalingConnection
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = reconnectApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetReconnect = reconnectApi;
+}
@@ -0,0 +1,166 @@
+/**
+ * DeployNet Peer Scoring
+ * Ranks peers from measured latency, throughput and reliability
+ */
+
+const SCORE_DEFAULTS = {
+    halfLife: 10 * 60 * 1000, // History loses half its weight every 10 minutes
+    rttSmoothing: 0.3, // EWMA weight of the newest RTT sample
+    throughputSmoothing: 0.3,
+    referenceRtt: 100, // ms at which the latency factor is 0.5
+    referenceThroughput: 1024 * 1024 // bytes/s at which the throughput factor is 0.5
+};
+
+class PeerScorer {
+    constructor(options = {}) {
+        this.options = { ...SCORE_DEFAULTS, ...options };
+        this.peers = new Map(); // peerId -> stats
+    }
+
+    getOrCreate(peerId) {
+        let stats = this.peers.get(peerId);
+        if (!stats) {
+            stats = {
+                peerId,
+                rtt: null,
+                throughput: null,
+                successes: 0,
+                failures: 0,
+                integrityFailures: 0,
+                bytesReceived: 0,
+                capabilities: null,
+                lastDecay: Date.now(),
+                lastSeen: Date.now()
+            };
+            this.peers.set(peerId, stats);
+        }
+        return stats;
+    }
+
+    decay(stats, now = Date.now()) {
+        const elapsed = now - stats.lastDecay;
+        if (elapsed <= 0) {
+            return;
+        }
+
+        const factor = Math.pow(0.5, elapsed / this.options.halfLife);
+        stats.successes *= factor;
+        stats.failures *= factor;
+        stats.integrityFailures *= factor;
+        stats.lastDecay = now;
+    }
+
+    setCapabilities(peerId, capabilities) {
+        this.getOrCreate(peerId).capabilities = capabilities || null;
+    }
+
+    recordRtt(peerId, rtt) {
+        const stats = this.getOrCreate(peerId);
+        const alpha = this.options.rttSmoothing;
+        stats.rtt = stats.rtt === null ? rtt : alpha * rtt + (1 - alpha) * stats.rtt;
+        stats.lastSeen = Date.now();
+    }
+
+    recordTransfer(peerId, { ok, bytes = 0, duration = 0 }) {
+        const stats = this.getOrCreate(peerId);
+        this.decay(stats);
+        stats.lastSeen = Date.now();
+
+        if (!ok) {
+            stats.failures += 1;
+            return;
+        }
+
+        stats.successes += 1;
+        stats.bytesReceived += bytes;
+
+        if (bytes > 0 && duration > 0) {
+            const throughput = bytes / (duration / 1000);
+            const alpha = this.options.throughputSmoothing;
+            stats.throughput = stats.throughput === null
+                ? throughput
+                : alpha * throughput + (1 - alpha) * stats.throughput;
+        }
+    }
+
+    recordIntegrityFailure(peerId) {
+        const stats = this.getOrCreate(peerId);
+        this.decay(stats);
+        stats.integrityFailures += 1;
+        stats.failures += 1;
+    }
+
+    getScore(peerId) {
+        const stats = this.peers.get(peerId);
+        if (!stats) {
+            return this.computeScore(null);
+        }
+
+        this.decay(stats);
+        return this.computeScore(stats);
+    }
+
+    // Score in [0, 1]: reliability squared (a failure costs a whole timeout) x speed,
+    // halved for every recent integrity failure
+    computeScore(stats) {
+        const { referenceRtt, referenceThroughput } = this.options;
+        const successes = stats ? stats.successes : 0;
+        const failures = stats ? stats.failures : 0;
+        const reliability = (successes + 1) / (successes + failures + 2);
+
+        const latency = stats && stats.rtt !== null
+            ? referenceRtt / (referenceRtt + stats.rtt)
+            : 0.5;
+
+        let throughput = stats ? stats.throughput : null;
+        if (throughput === null && stats && stats.capabilities && stats.capabilities.uploadSpeed) {
+            // Advertised speed is in Mbit/s; trust it less than a measurement
+            throughput = (stats.capabilities.uploadSpeed * 1024 * 1024 / 8) * 0.5;
+        }
+        const speed = throughput !== null
+            ? throughput / (referenceThroughput + throughput)
+            : 0.5;
+
+        const integrityPenalty = stats ? Math.pow(0.5, stats.integrityFailures) : 1;
+
+        return reliability * reliability * (0.4 * latency + 0.6 * speed) * integrityPenalty;
+    }
+
+    rank(peerIds) {
+        return peerIds
+            .map(peerId => ({ peerId, score: this.getScore(peerId) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getStats(peerId) {
+        const stats = this.peers.get(peerId);
+        if (!stats) {
+            return null;
+        }
+
+        this.decay(stats);
+        return {
+            peerId,
+            score: this.computeScore(stats),
+            rtt: stats.rtt,
+            throughput: stats.throughput,
+            successes: stats.successes,
+            failures: stats.failures,
+            integrityFailures: stats.integrityFailures,
+            bytesReceived: stats.bytesReceived,
+            capabilities: stats.capabilities,
+            lastSeen: stats.lastSeen
+        };
+    }
+
+    remove(peerId) {
+        this.peers.delete(peerId);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PeerScorer };
+} else if (typeof window !== 'undefined') {
+    window.DeployNetScoring = { PeerScorer };
+}
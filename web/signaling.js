@@ -0,0 +1,175 @@
+/**
+ * DeployNet Signaling Protocol
+ * Message types, wire encoding and validation shared with the Go signaling hub
+ *
+ * Wire format (SignalMessage in cmd/signaling-server/main.go):
+ *   { version, type, payload, sender_id, timestamp, room_id, target_id? }
+ * The hub overwrites sender_id and room_id with the values of the sending connection,
+ * and delivers messages with a target_id only to that client.
+ */
+
+const SIGNALING_PROTOCOL_VERSION = 1;
+
+// Values follow the iota order of MessageType in the Go hub
+const MessageType = Object.freeze({
+    OFFER: 0,
+    ANSWER: 1,
+    ICE_CANDIDATE: 2,
+    PEER_DISCOVERY: 3,
+    HEARTBEAT: 4,
+    REGISTER: 5,
+    UNREGISTER: 6,
+    BROADCAST: 7,
+    TELEMETRY: 8
+});
+
+const MESSAGE_TYPE_NAMES = Object.freeze(
+    Object.fromEntries(Object.entries(MessageType).map(([name, value]) => [value, name]))
+);
+
+// Session negotiation concerns exactly one peer and must never be broadcast to the room
+const ADDRESSED_TYPES = new Set([MessageType.OFFER, MessageType.ANSWER, MessageType.ICE_CANDIDATE]);
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOptional(value, type) {
+    return value === undefined || value === null || typeof value === type;
+}
+
+function validateDescription(payload, expectedType) {
+    if (!isObject(payload) || payload.type !== expectedType || typeof payload.sdp !== 'string') {
+        return `payload must be an ${expectedType} session description`;
+    }
+    return null;
+}
+
+function validatePeerInfo(payload) {
+    if (!isObject(payload) || typeof payload.clientId !== 'string' || typeof payload.siteId !== 'string') {
+        return 'payload must include clientId and siteId';
+    }
+    if (payload.capabilities !== undefined && !isObject(payload.capabilities)) {
+        return 'capabilities must be an object';
+    }
+    return null;
+}
+
+// Each validator returns an error description, or null when the payload is well formed
+const PAYLOAD_VALIDATORS = {
+    [MessageType.OFFER]: (payload) => validateDescription(payload, 'offer'),
+    [MessageType.ANSWER]: (payload) => validateDescription(payload, 'answer'),
+    [MessageType.ICE_CANDIDATE]: (payload) => {
+        if (!isObject(payload) || typeof payload.candidate !== 'string' ||
+            !isOptional(payload.sdpMid, 'string') || !isOptional(payload.sdpMLineIndex, 'number')) {
+            return 'payload must be an ICE candidate';
+        }
+        return null;
+    },
+    [MessageType.PEER_DISCOVERY]: validatePeerInfo,
+    [MessageType.HEARTBEAT]: (payload) => (payload === null || isObject(payload) ? null : 'payload must be an object'),
+    [MessageType.REGISTER]: validatePeerInfo,
+    [MessageType.UNREGISTER]: (payload) => (
+        isObject(payload) && typeof payload.clientId === 'string' ? null : 'payload must include clientId'
+    ),
+    [MessageType.BROADCAST]: () => null,
+    [MessageType.TELEMETRY]: (payload) => (
+        isObject(payload) && Object.values(payload).every(value => Number.isFinite(value) && value >= 0)
+            ? null
+            : 'payload must map counter names to non-negative numbers'
+    )
+};
+
+function validateSignal(message) {
+    if (!isObject(message)) {
+        return 'message must be an object';
+    }
+    if (message.version !== SIGNALING_PROTOCOL_VERSION) {
+        return `unsupported protocol version ${message.version}`;
+    }
+    const validatePayload = PAYLOAD_VALIDATORS[message.type];
+    if (!validatePayload) {
+        return `unknown message type ${message.type}`;
+    }
+    if (typeof message.senderId !== 'string' || typeof message.roomId !== 'string') {
+        return 'sender and room IDs must be strings';
+    }
+    if (typeof message.timestamp !== 'string' || Number.isNaN(Date.parse(message.timestamp))) {
+        return 'timestamp must be an RFC 3339 date';
+    }
+    if (!isOptional(message.targetId, 'string')) {
+        return 'targetId must be a string';
+    }
+    if (ADDRESSED_TYPES.has(message.type) && !message.targetId) {
+        return 'targetId is required';
+    }
+    return validatePayload(message.payload === undefined ? null : message.payload);
+}
+
+function assertValidSignal(message) {
+    const problem = validateSignal(message);
+    if (problem) {
+        const name = MESSAGE_TYPE_NAMES[message && message.type] || 'unknown';
+        throw new Error(`Invalid ${name} signaling message: ${problem}`);
+    }
+}
+
+function encodeSignal({ type, payload = null, senderId, roomId, targetId, timestamp = new Date().toISOString() }) {
+    const message = { version: SIGNALING_PROTOCOL_VERSION, type, payload, senderId, roomId, targetId, timestamp };
+    assertValidSignal(message);
+
+    const wire = {
+        version: message.version,
+        type: message.type,
+        payload: message.payload,
+        sender_id: message.senderId,
+        timestamp: message.timestamp,
+        room_id: message.roomId
+    };
+    // Mirrors `omitempty` on the Go side
+    if (targetId) {
+        wire.target_id = targetId;
+    }
+    return JSON.stringify(wire);
+}
+
+function decodeSignal(data) {
+    let wire;
+    try {
+        wire = JSON.parse(data);
+    } catch {
+        throw new Error('Invalid signaling message: not JSON');
+    }
+    if (!isObject(wire)) {
+        throw new Error('Invalid signaling message: message must be an object');
+    }
+
+    const message = {
+        version: wire.version,
+        type: wire.type,
+        payload: wire.payload === undefined ? null : wire.payload,
+        senderId: wire.sender_id,
+        timestamp: wire.timestamp,
+        roomId: wire.room_id,
+        targetId: wire.target_id || null
+    };
+    assertValidSignal(message);
+    return message;
+}
+
+// Export for use in other modules
+const signalingApi = {
+    SIGNALING_PROTOCOL_VERSION,
+    MessageType,
+    MESSAGE_TYPE_NAMES,
+    ADDRESSED_TYPES,
+    validateSignal,
+    encodeSignal,
+    decodeSignal
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = signalingApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetSignaling = signalingApi;
+}
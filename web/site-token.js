@@ -0,0 +1,114 @@
+/**
+ * DeployNet Site Tokens
+ * Site-issued ES256 tokens (compact JWS) that peers present before they are served content
+ */
+
+const siteTokenIntegrity = typeof module !== 'undefined' && module.exports
+    ? require('./integrity.js')
+    : window.DeployNetIntegrity;
+
+const SITE_TOKEN_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SITE_TOKEN_SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const SITE_TOKEN_CLOCK_SKEW = 30 * 1000;
+
+function base64UrlEncode(bytes) {
+    return siteTokenIntegrity.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return siteTokenIntegrity.base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+}
+
+async function importSiteTokenKey(key, usage) {
+    // Accept JWKs from config files as well as ready-made CryptoKeys
+    if (key && key.kty) {
+        return siteTokenIntegrity.getSubtleCrypto().importKey('jwk', key, SITE_TOKEN_KEY_ALGORITHM, false, [usage]);
+    }
+    return key;
+}
+
+// For site backends and tests; the private key never belongs in the browser
+async function createSiteToken(claims, privateKey) {
+    const header = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ alg: 'ES256', typ: 'JWT' })));
+    const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)));
+    const key = await importSiteTokenKey(privateKey, 'sign');
+    const signature = await siteTokenIntegrity.getSubtleCrypto().sign(
+        SITE_TOKEN_SIGN_ALGORITHM,
+        key,
+        new TextEncoder().encode(`${header}.${payload}`)
+    );
+    return `${header}.${payload}.${base64UrlEncode(signature)}`;
+}
+
+// Resolves with the token's claims, or throws if it is malformed, forged, expired, or for another site or client
+async function verifySiteToken(token, publicKey, options = {}) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new Error('Malformed site token');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch {
+        throw new Error('Malformed site token');
+    }
+    if (header.alg !== 'ES256') {
+        throw new Error(`Unsupported site token algorithm: ${header.alg}`);
+    }
+
+    const key = await importSiteTokenKey(publicKey, 'verify');
+    const valid = await siteTokenIntegrity.getSubtleCrypto().verify(
+        SITE_TOKEN_SIGN_ALGORITHM,
+        key,
+        base64UrlDecode(parts[2]),
+        new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!valid) {
+        throw new Error('Invalid site token signature');
+    }
+
+    const now = options.now || Date.now();
+    // Tokens must expire, since a peer that leaks one can't revoke it
+    if (typeof claims.exp !== 'number') {
+        throw new Error('Site token has no expiry');
+    }
+    if (claims.exp * 1000 + SITE_TOKEN_CLOCK_SKEW <= now) {
+        throw new Error('Site token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf * 1000 - SITE_TOKEN_CLOCK_SKEW > now) {
+        throw new Error('Site token is not valid yet');
+    }
+    // Without an audience a token from any site sharing the key would be accepted here
+    if (options.siteId && claims.aud === undefined) {
+        throw new Error('Site token has no audience');
+    }
+    if (options.siteId && ![].concat(claims.aud).includes(options.siteId)) {
+        throw new Error('Site token was issued for another site');
+    }
+    // Binds the token to one client ID, so a peer that was shown it can't present it as its own
+    if (options.subject && claims.sub !== options.subject) {
+        throw new Error('Site token was issued for another client');
+    }
+
+    return claims;
+}
+
+// Export for use in other modules
+const siteTokenApi = {
+    createSiteToken,
+    verifySiteToken
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = siteTokenApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetSiteToken = siteTokenApi;
+}
@@ -0,0 +1,130 @@
+/**
+ * DeployNet Persistent Storage
+ * IndexedDB-backed tier for ContentCache so cached assets survive page loads
+ */
+
+const STORAGE_DB_VERSION = 1;
+const CONTENT_STORE = 'content';
+const METADATA_STORE = 'metadata';
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+class PersistentStore {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    static isSupported(indexedDBImpl) {
+        return Boolean(indexedDBImpl || (typeof indexedDB !== 'undefined' && indexedDB));
+    }
+
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = this.indexedDB.open(this.name, STORAGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // Metadata is kept apart from the bodies so the index loads without reading every asset
+            if (!db.objectStoreNames.contains(CONTENT_STORE)) {
+                db.createObjectStore(CONTENT_STORE);
+            }
+            if (!db.objectStoreNames.contains(METADATA_STORE)) {
+                db.createObjectStore(METADATA_STORE);
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    async put(url, content, metadata) {
+        const db = await this.open();
+        const transaction = db.transaction([CONTENT_STORE, METADATA_STORE], 'readwrite');
+        transaction.objectStore(CONTENT_STORE).put(content, url);
+        transaction.objectStore(METADATA_STORE).put(metadata, url);
+        await promisifyTransaction(transaction);
+    }
+
+    async get(url) {
+        const db = await this.open();
+        const transaction = db.transaction([CONTENT_STORE, METADATA_STORE], 'readonly');
+        const [content, metadata] = await Promise.all([
+            promisifyRequest(transaction.objectStore(CONTENT_STORE).get(url)),
+            promisifyRequest(transaction.objectStore(METADATA_STORE).get(url))
+        ]);
+
+        if (content === undefined || metadata === undefined) {
+            return null;
+        }
+        return { content, metadata };
+    }
+
+    async updateMetadata(url, metadata) {
+        const db = await this.open();
+        const transaction = db.transaction(METADATA_STORE, 'readwrite');
+        transaction.objectStore(METADATA_STORE).put(metadata, url);
+        await promisifyTransaction(transaction);
+    }
+
+    async listMetadata() {
+        const db = await this.open();
+        const transaction = db.transaction(METADATA_STORE, 'readonly');
+        const store = transaction.objectStore(METADATA_STORE);
+        const [keys, values] = await Promise.all([
+            promisifyRequest(store.getAllKeys()),
+            promisifyRequest(store.getAll())
+        ]);
+
+        return keys.map((url, index) => ({ url, metadata: values[index] }));
+    }
+
+    async delete(url) {
+        const db = await this.open();
+        const transaction = db.transaction([CONTENT_STORE, METADATA_STORE], 'readwrite');
+        transaction.objectStore(CONTENT_STORE).delete(url);
+        transaction.objectStore(METADATA_STORE).delete(url);
+        await promisifyTransaction(transaction);
+    }
+
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([CONTENT_STORE, METADATA_STORE], 'readwrite');
+        transaction.objectStore(CONTENT_STORE).clear();
+        transaction.objectStore(METADATA_STORE).clear();
+        await promisifyTransaction(transaction);
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PersistentStore };
+} else if (typeof window !== 'undefined') {
+    window.DeployNetStorage = { PersistentStore };
+}
@@ -0,0 +1,201 @@
+/**
+ * DeployNet Swarm Download
+ * Parallel piece-wise fetching of large assets from several peers
+ */
+
+class SwarmDownload {
+    constructor(options) {
+        this.size = options.size;
+        this.pieceSize = options.pieceSize;
+        this.requestPiece = options.requestPiece; // (peerId, start, end, signal) => Promise<ArrayBuffer>
+        this.verifyPiece = options.verifyPiece; // (index, bytes) => Promise<boolean>
+        this.fetchRange = options.fetchRange; // (start, end) => Promise<ArrayBuffer>, end exclusive
+        this.onPieceResult = options.onPieceResult || (() => {});
+
+        this.maxRequestsPerPeer = options.maxRequestsPerPeer || 2;
+        this.maxPeerFailures = options.maxPeerFailures || 3;
+        this.pieceTimeout = options.pieceTimeout || 5000;
+
+        this.buffer = new Uint8Array(this.size);
+        this.pieces = [];
+        for (let start = 0, index = 0; start < this.size; start += this.pieceSize, index++) {
+            this.pieces.push({
+                index,
+                start,
+                end: Math.min(start + this.pieceSize, this.size),
+                done: false,
+                requests: new Set(), // In-flight { peerId, controller }
+                failedPeers: new Set()
+            });
+        }
+
+        this.peers = new Map();
+        for (const peerId of options.peerIds) {
+            this.peers.set(peerId, { peerId, active: 0, failures: 0, bytes: 0 });
+        }
+
+        this.stats = { peerBytes: 0, originBytes: 0, peersUsed: new Set() };
+    }
+
+    async run() {
+        await new Promise(resolve => {
+            this.finishPeerPhase = resolve;
+            this.schedule();
+        });
+
+        const missing = this.pieces.filter(piece => !piece.done);
+        if (missing.length > 0) {
+            await this.fetchMissingFromOrigin(missing);
+        }
+
+        return this.buffer.buffer;
+    }
+
+    schedule() {
+        if (!this.finishPeerPhase) {
+            return;
+        }
+
+        for (const peer of this.peers.values()) {
+            while (peer.active < this.maxRequestsPerPeer) {
+                const piece = this.pickPiece(peer.peerId);
+                if (!piece) {
+                    break;
+                }
+                this.startRequest(peer, piece);
+            }
+        }
+
+        const inFlight = this.pieces.some(piece => piece.requests.size > 0);
+        const allDone = this.pieces.every(piece => piece.done);
+        if (allDone || !inFlight) {
+            // Either finished, or no peer can make progress on the remaining pieces
+            const finish = this.finishPeerPhase;
+            this.finishPeerPhase = null;
+            this.abortAll();
+            finish();
+        }
+    }
+
+    pickPiece(peerId) {
+        const candidates = this.pieces.filter(piece =>
+            !piece.done &&
+            !piece.failedPeers.has(peerId) &&
+            ![...piece.requests].some(request => request.peerId === peerId)
+        );
+
+        const idle = candidates.find(piece => piece.requests.size === 0);
+        if (idle) {
+            return idle;
+        }
+
+        // Endgame: duplicate a piece another peer is still working on, first response wins
+        return candidates
+            .filter(piece => piece.requests.size < 2)
+            .sort((a, b) => a.requests.size - b.requests.size)[0] || null;
+    }
+
+    async startRequest(peer, piece) {
+        const controller = new AbortController();
+        const request = { peerId: peer.peerId, controller };
+        const startedAt = Date.now();
+        const timer = setTimeout(() => controller.abort(), this.pieceTimeout);
+
+        piece.requests.add(request);
+        peer.active++;
+
+        try {
+            const bytes = await this.requestPiece(peer.peerId, piece.start, piece.end, controller.signal);
+            if (piece.done) {
+                return; // Another peer delivered this piece first
+            }
+
+            if (await this.verifyPiece(piece.index, bytes)) {
+                if (!piece.done) {
+                    this.completePiece(piece, bytes);
+                    peer.bytes += bytes.byteLength;
+                    this.stats.peerBytes += bytes.byteLength;
+                    this.stats.peersUsed.add(peer.peerId);
+                    this.onPieceResult({ peerId: peer.peerId, index: piece.index, ok: true, bytes: bytes.byteLength, duration: Date.now() - startedAt });
+                }
+            } else {
+                this.failPiece(peer, piece, 'integrity');
+            }
+        } catch (error) {
+            if (!piece.done) {
+                this.failPiece(peer, piece, controller.signal.aborted ? 'timeout' : 'error');
+            }
+        } finally {
+            clearTimeout(timer);
+            piece.requests.delete(request);
+            peer.active--;
+            this.schedule();
+        }
+    }
+
+    completePiece(piece, bytes) {
+        this.buffer.set(new Uint8Array(bytes), piece.start);
+        piece.done = true;
+
+        // Cancel duplicate endgame requests for the same piece
+        for (const request of piece.requests) {
+            request.controller.abort();
+        }
+    }
+
+    failPiece(peer, piece, reason) {
+        piece.failedPeers.add(peer.peerId);
+        peer.failures++;
+        this.onPieceResult({ peerId: peer.peerId, index: piece.index, ok: false, reason });
+
+        if (peer.failures >= this.maxPeerFailures || reason === 'integrity') {
+            this.peers.delete(peer.peerId);
+        }
+    }
+
+    abortAll() {
+        for (const piece of this.pieces) {
+            for (const request of piece.requests) {
+                request.controller.abort();
+            }
+        }
+    }
+
+    async fetchMissingFromOrigin(missing) {
+        // Merge adjacent pieces so each gap costs a single Range request
+        const ranges = [];
+        for (const piece of missing) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.pieces[last.pieces.length - 1].index === piece.index - 1) {
+                last.pieces.push(piece);
+                last.end = piece.end;
+            } else {
+                ranges.push({ start: piece.start, end: piece.end, pieces: [piece] });
+            }
+        }
+
+        for (const range of ranges) {
+            const bytes = new Uint8Array(await this.fetchRange(range.start, range.end));
+            if (bytes.byteLength !== range.end - range.start) {
+                throw new Error(`Origin returned ${bytes.byteLength} bytes for range ${range.start}-${range.end - 1}`);
+            }
+
+            for (const piece of range.pieces) {
+                const pieceBytes = bytes.slice(piece.start - range.start, piece.end - range.start);
+                if (!await this.verifyPiece(piece.index, pieceBytes)) {
+                    throw new Error(`Origin piece ${piece.index} failed verification`);
+                }
+                this.buffer.set(pieceBytes, piece.start);
+                piece.done = true;
+            }
+            this.stats.originBytes += bytes.byteLength;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SwarmDownload };
+} else if (typeof window !== 'undefined') {
+    window.DeployNetSwarm = { SwarmDownload };
+}
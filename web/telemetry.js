@@ -0,0 +1,55 @@
+/**
+ * DeployNet Telemetry
+ * Anonymous delivery counters that clients report to the signaling hub, which aggregates them per site
+ */
+
+// Only totals leave the client: no URLs, peer IDs or timings
+const TELEMETRY_COUNTERS = ['cacheHits', 'peerHits', 'originFallbacks', 'cacheBytes', 'peerBytes', 'originBytes'];
+
+function emptyCounters() {
+    return Object.fromEntries(TELEMETRY_COUNTERS.map(name => [name, 0]));
+}
+
+class TelemetryReporter {
+    constructor() {
+        this.pending = emptyCounters(); // Since the last report
+        this.reportedActivePeers = null;
+    }
+
+    record(counter, amount = 1) {
+        if (!(counter in this.pending)) {
+            throw new Error(`Unknown telemetry counter: ${counter}`);
+        }
+        this.pending[counter] += amount;
+    }
+
+    // The counters since the last report plus current gauges, or null when nothing changed
+    takeReport(activePeers) {
+        const idle = TELEMETRY_COUNTERS.every(name => this.pending[name] === 0);
+        if (idle && activePeers === this.reportedActivePeers) {
+            return null;
+        }
+
+        const report = { ...this.pending, activePeers };
+        this.pending = emptyCounters();
+        this.reportedActivePeers = activePeers;
+        return report;
+    }
+
+    // The hub drops a client's gauges when its connection goes, so they must be sent again
+    resetGauges() {
+        this.reportedActivePeers = null;
+    }
+}
+
+// Export for use in other modules
+const telemetryApi = {
+    TELEMETRY_COUNTERS,
+    TelemetryReporter
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = telemetryApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetTelemetry = telemetryApi;
+}
@@ -0,0 +1,325 @@
+/**
+ * DeployNet Transfer Protocol
+ * Binary framing, chunked content transfer and backpressure over RTCDataChannel
+ *
+ * Frame layout (big-endian):
+ *   0     uint8   protocol version
+ *   1     uint8   frame type (FrameType)
+ *   2     uint16  reserved
+ *   4     uint32  request ID
+ *   8     uint32  sequence number (chunk index for DATA frames)
+ *   12    ...     payload (UTF-8 JSON for MESSAGE frames, raw bytes for DATA frames)
+ */
+
+const TRANSFER_PROTOCOL_VERSION = 1;
+const FRAME_HEADER_SIZE = 12;
+const DEFAULT_CHUNK_SIZE = 16 * 1024; // Stays well below the SCTP message-size limit of every browser
+
+const FrameType = Object.freeze({
+    MESSAGE: 1,
+    DATA: 2
+});
+
+function asUint8Array(content) {
+    if (typeof content === 'string') {
+        return new TextEncoder().encode(content);
+    }
+    if (content instanceof ArrayBuffer) {
+        return new Uint8Array(content);
+    }
+    if (ArrayBuffer.isView(content)) {
+        return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+    }
+    throw new Error('Unsupported content type for transfer');
+}
+
+function encodeFrame(type, requestId, sequence, payload) {
+    const body = payload ? asUint8Array(payload) : new Uint8Array(0);
+    const frame = new Uint8Array(FRAME_HEADER_SIZE + body.byteLength);
+    const view = new DataView(frame.buffer);
+
+    view.setUint8(0, TRANSFER_PROTOCOL_VERSION);
+    view.setUint8(1, type);
+    view.setUint16(2, 0);
+    view.setUint32(4, requestId);
+    view.setUint32(8, sequence);
+    frame.set(body, FRAME_HEADER_SIZE);
+
+    return frame.buffer;
+}
+
+function decodeFrame(data) {
+    const bytes = asUint8Array(data);
+    if (bytes.byteLength < FRAME_HEADER_SIZE) {
+        throw new Error('Frame too short');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint8(0);
+    if (version !== TRANSFER_PROTOCOL_VERSION) {
+        throw new Error(`Unsupported transfer protocol version: ${version}`);
+    }
+
+    return {
+        type: view.getUint8(1),
+        requestId: view.getUint32(4),
+        sequence: view.getUint32(8),
+        payload: bytes.subarray(FRAME_HEADER_SIZE)
+    };
+}
+
+class TransferSession {
+    constructor(channel, options = {}) {
+        this.channel = channel;
+        this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        // Pause sending once this much data is queued and resume on 'bufferedamountlow'
+        this.maxBufferedAmount = options.maxBufferedAmount || this.chunkSize * 16;
+        this.maxContentSize = options.maxContentSize || 100 * 1024 * 1024;
+
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map(); // requestId -> incoming transfer state
+        this.outgoingTransfers = new Map(); // requestId -> { cancelled }
+        this.closed = false;
+
+        this.channel.binaryType = 'arraybuffer';
+        this.channel.bufferedAmountLowThreshold = this.chunkSize * 4;
+    }
+
+    sendMessage(message) {
+        if (this.closed || this.channel.readyState !== 'open') {
+            return false;
+        }
+
+        this.channel.send(encodeFrame(FrameType.MESSAGE, message.requestId || 0, 0, JSON.stringify(message)));
+        return true;
+    }
+
+    // Sends a request message and resolves with the reassembled response body
+    request(message, options = {}) {
+        const requestId = this.allocateRequestId();
+
+        return new Promise((resolve, reject) => {
+            const pending = {
+                requestId,
+                expectedSize: options.expectedSize,
+                resolve,
+                reject,
+                meta: null,
+                buffer: null,
+                receivedChunks: new Set(),
+                timer: null,
+                signal: options.signal,
+                onAbort: null
+            };
+
+            if (options.timeout) {
+                pending.timer = setTimeout(() => {
+                    this.cancel(requestId, new Error('Peer request timeout'));
+                }, options.timeout);
+            }
+
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    reject(new Error('Request cancelled'));
+                    return;
+                }
+                pending.onAbort = () => this.cancel(requestId, new Error('Request cancelled'));
+                options.signal.addEventListener('abort', pending.onAbort);
+            }
+
+            this.pendingRequests.set(requestId, pending);
+
+            if (!this.sendMessage({ ...message, requestId })) {
+                this.settle(requestId, new Error('Data channel not open'));
+            }
+        });
+    }
+
+    cancel(requestId, error = new Error('Request cancelled')) {
+        if (!this.pendingRequests.has(requestId)) {
+            return;
+        }
+
+        this.sendMessage({ type: 'contentCancel', requestId });
+        this.settle(requestId, error);
+    }
+
+    async sendContent(requestId, meta, content) {
+        const bytes = asUint8Array(content);
+        const transfer = { cancelled: false };
+        this.outgoingTransfers.set(requestId, transfer);
+
+        try {
+            this.sendMessage({
+                type: 'contentResponse',
+                requestId,
+                ...meta,
+                size: bytes.byteLength,
+                chunkSize: this.chunkSize
+            });
+
+            for (let sequence = 0, offset = 0; offset < bytes.byteLength; sequence++, offset += this.chunkSize) {
+                await this.waitForBufferDrain();
+                if (transfer.cancelled || this.closed || this.channel.readyState !== 'open') {
+                    return false;
+                }
+
+                const chunk = bytes.subarray(offset, offset + this.chunkSize);
+                this.channel.send(encodeFrame(FrameType.DATA, requestId, sequence, chunk));
+            }
+
+            return true;
+        } finally {
+            this.outgoingTransfers.delete(requestId);
+        }
+    }
+
+    waitForBufferDrain() {
+        if (this.channel.bufferedAmount <= this.maxBufferedAmount) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const done = () => {
+                this.channel.removeEventListener('bufferedamountlow', done);
+                this.channel.removeEventListener('close', done);
+                resolve();
+            };
+            this.channel.addEventListener('bufferedamountlow', done);
+            this.channel.addEventListener('close', done);
+        });
+    }
+
+    // Returns control messages for the caller to handle, or null if the frame was consumed here
+    handleFrame(data) {
+        const frame = decodeFrame(data);
+
+        if (frame.type === FrameType.DATA) {
+            this.handleDataFrame(frame);
+            return null;
+        }
+
+        if (frame.type !== FrameType.MESSAGE) {
+            throw new Error(`Unknown frame type: ${frame.type}`);
+        }
+
+        const message = JSON.parse(new TextDecoder().decode(frame.payload));
+        switch (message.type) {
+            case 'contentResponse':
+                this.handleResponseHeader(message);
+                return null;
+            case 'contentError':
+                this.settle(message.requestId, new Error(`Peer could not serve request: ${message.reason}`));
+                return null;
+            case 'contentCancel': {
+                const transfer = this.outgoingTransfers.get(message.requestId);
+                if (transfer) {
+                    transfer.cancelled = true;
+                }
+                return null;
+            }
+            default:
+                return message;
+        }
+    }
+
+    handleResponseHeader(message) {
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending || pending.meta) {
+            return;
+        }
+
+        const { size, chunkSize } = message;
+        if (!Number.isInteger(size) || size < 0 || size > this.maxContentSize) {
+            this.cancel(message.requestId, new Error(`Invalid response size: ${size}`));
+            return;
+        }
+        if (pending.expectedSize !== undefined && size !== pending.expectedSize) {
+            this.cancel(message.requestId, new Error(`Unexpected response size: ${size}`));
+            return;
+        }
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+            this.cancel(message.requestId, new Error(`Invalid chunk size: ${chunkSize}`));
+            return;
+        }
+
+        pending.meta = message;
+        pending.buffer = new Uint8Array(size);
+        pending.chunkCount = Math.ceil(size / chunkSize);
+
+        if (pending.chunkCount === 0) {
+            this.settle(message.requestId, null, pending.buffer.buffer);
+        }
+    }
+
+    handleDataFrame(frame) {
+        const pending = this.pendingRequests.get(frame.requestId);
+        if (!pending || !pending.meta) {
+            return; // Late chunk for a cancelled or finished request
+        }
+
+        const offset = frame.sequence * pending.meta.chunkSize;
+        if (frame.sequence >= pending.chunkCount || offset + frame.payload.byteLength > pending.buffer.byteLength) {
+            this.cancel(frame.requestId, new Error('Chunk out of range'));
+            return;
+        }
+
+        pending.buffer.set(frame.payload, offset);
+        pending.receivedChunks.add(frame.sequence);
+
+        if (pending.receivedChunks.size === pending.chunkCount) {
+            this.settle(frame.requestId, null, pending.buffer.buffer);
+        }
+    }
+
+    settle(requestId, error, content) {
+        const pending = this.pendingRequests.get(requestId);
+        if (!pending) {
+            return;
+        }
+
+        this.pendingRequests.delete(requestId);
+        clearTimeout(pending.timer);
+        if (pending.signal && pending.onAbort) {
+            pending.signal.removeEventListener('abort', pending.onAbort);
+        }
+
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve({ content, meta: pending.meta });
+        }
+    }
+
+    allocateRequestId() {
+        const requestId = this.nextRequestId;
+        this.nextRequestId = this.nextRequestId >= 0xffffffff ? 1 : this.nextRequestId + 1;
+        return requestId;
+    }
+
+    close() {
+        this.closed = true;
+        for (const transfer of this.outgoingTransfers.values()) {
+            transfer.cancelled = true;
+        }
+        for (const requestId of [...this.pendingRequests.keys()]) {
+            this.settle(requestId, new Error('Data channel closed'));
+        }
+    }
+}
+
+// Export for use in other modules
+const transferApi = {
+    FrameType,
+    FRAME_HEADER_SIZE,
+    DEFAULT_CHUNK_SIZE,
+    encodeFrame,
+    decodeFrame,
+    TransferSession
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = transferApi;
+} else if (typeof window !== 'undefined') {
+    window.DeployNetTransfer = transferApi;
+}